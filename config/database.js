@@ -32,6 +32,22 @@ const connectDB = async () => {
       // Journaliser mais ne pas interrompre le serveur
       console.warn('Échec de la vérification/suppression index pseudo_1:', idxErr?.message || idxErr);
     }
+
+    // Ancien index unique sur invoices.number: remplacé par un index partiel,
+    // les documents réservés n'ayant pas encore de numéro
+    try {
+      const invoicesColl = conn.connection.db.collection('invoices');
+      const indexes = await invoicesColl.indexes();
+      if (indexes.some((idx) => idx.name === 'number_1')) {
+        await invoicesColl.dropIndex('number_1');
+        console.log('Index number_1 des factures supprimé');
+      }
+    } catch (idxErr) {
+      // Collection absente (aucune facture émise) ou droits insuffisants
+      if (idxErr?.codeName !== 'NamespaceNotFound') {
+        console.warn('Échec de la vérification/suppression index number_1:', idxErr?.message || idxErr);
+      }
+    }
   } catch (error) {
     console.error('Erreur de connexion MongoDB:', error.message);
     // En environnement serverless, éviter process.exit qui peut provoquer des timeouts
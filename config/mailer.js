@@ -47,4 +47,13 @@ async function sendEmail({ to, subject, html, text, from }) {
   return info;
 }
 
-module.exports = { sendEmail };
\ No newline at end of file
+// Échapper une valeur saisie par l'utilisateur avant de l'insérer dans le HTML d'un email
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+})[char]);
+
+module.exports = { sendEmail, escapeHtml };
\ No newline at end of file
@@ -0,0 +1,138 @@
+const https = require('https');
+
+const PAYPAL_CLIENT_ID = process.env.PAYPAL_CLIENT_ID;
+const PAYPAL_CLIENT_SECRET = process.env.PAYPAL_CLIENT_SECRET;
+const PAYPAL_ENV = (process.env.PAYPAL_ENV || 'sandbox').toLowerCase();
+const PAYPAL_BASE = PAYPAL_ENV === 'live' ? 'https://api-m.paypal.com' : 'https://api-m.sandbox.paypal.com';
+
+// Helper HTTP via https natif
+const httpRequest = (url, method, headers = {}, body = null) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const parsed = new URL(url);
+      const options = {
+        hostname: parsed.hostname,
+        path: parsed.pathname + (parsed.search || ''),
+        method,
+        headers
+      };
+
+      const req = https.request(options, (res) => {
+        let data = '';
+        res.on('data', (chunk) => (data += chunk));
+        res.on('end', () => {
+          try {
+            const contentType = res.headers['content-type'] || '';
+            const isJSON = contentType.includes('application/json');
+            const parsedData = isJSON ? JSON.parse(data || '{}') : data;
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+              resolve(parsedData);
+            } else {
+              reject({ status: res.statusCode, data: parsedData });
+            }
+          } catch (e) {
+            reject(e);
+          }
+        });
+      });
+
+      req.on('error', (err) => reject(err));
+      if (body) req.write(body);
+      req.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+};
+
+// Obtenir un access token OAuth2 PayPal
+const getPayPalAccessToken = async () => {
+  if (!PAYPAL_CLIENT_ID || !PAYPAL_CLIENT_SECRET) {
+    throw new Error('Configuration PayPal manquante: PAYPAL_CLIENT_ID/PAYPAL_CLIENT_SECRET');
+  }
+
+  const tokenUrl = `${PAYPAL_BASE}/v1/oauth2/token`;
+  const authHeader = Buffer.from(`${PAYPAL_CLIENT_ID}:${PAYPAL_CLIENT_SECRET}`).toString('base64');
+  const body = 'grant_type=client_credentials';
+
+  const response = await httpRequest(
+    tokenUrl,
+    'POST',
+    {
+      'Authorization': `Basic ${authHeader}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Accept': 'application/json'
+    },
+    body
+  );
+
+  return response?.access_token;
+};
+
+// Vérifier la signature d'un webhook PayPal auprès de l'API (verify-webhook-signature).
+// Le corps brut est réinjecté tel quel pour ne pas altérer le contenu signé.
+const verifyWebhookSignature = async (headers = {}, rawBody = '') => {
+  const webhookId = process.env.PAYPAL_WEBHOOK_ID;
+  if (!webhookId) {
+    throw new Error('Configuration PayPal manquante: PAYPAL_WEBHOOK_ID');
+  }
+
+  const fields = {
+    auth_algo: headers['paypal-auth-algo'],
+    cert_url: headers['paypal-cert-url'],
+    transmission_id: headers['paypal-transmission-id'],
+    transmission_sig: headers['paypal-transmission-sig'],
+    transmission_time: headers['paypal-transmission-time'],
+    webhook_id: webhookId
+  };
+  if (Object.values(fields).some((v) => !v)) {
+    return false;
+  }
+
+  const payload = `${JSON.stringify(fields).slice(0, -1)},"webhook_event":${rawBody}}`;
+  const accessToken = await getPayPalAccessToken();
+  const result = await httpRequest(
+    `${PAYPAL_BASE}/v1/notifications/verify-webhook-signature`,
+    'POST',
+    {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    },
+    payload
+  );
+
+  return result?.verification_status === 'SUCCESS';
+};
+
+// Rembourser (totalement ou partiellement) une capture PayPal
+const refundCapture = async (captureId, { amount, currency, note, invoiceId } = {}) => {
+  const accessToken = await getPayPalAccessToken();
+  const payload = {
+    amount: amount !== undefined
+      ? { value: Number(amount).toFixed(2), currency_code: (currency || 'EUR').toUpperCase() }
+      : undefined,
+    note_to_payer: note || undefined,
+    invoice_id: invoiceId || undefined
+  };
+
+  return httpRequest(
+    `${PAYPAL_BASE}/v2/payments/captures/${encodeURIComponent(captureId)}/refund`,
+    'POST',
+    {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      'Prefer': 'return=representation'
+    },
+    JSON.stringify(payload)
+  );
+};
+
+module.exports = {
+  PAYPAL_BASE,
+  httpRequest,
+  getPayPalAccessToken,
+  verifyWebhookSignature,
+  refundCapture
+};
@@ -0,0 +1,6 @@
+const Stripe = require('stripe');
+
+// Client Stripe partagé (server.js, routes de paiement, remboursements)
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+module.exports = stripe;
@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 
 // Middleware pour gérer les erreurs de validation
@@ -242,18 +243,76 @@ const validateProduct = [
   handleValidationErrors
 ];
 
+// Ligne de commande classique (une variante), par opposition à une commande en série (sizes)
+const isSingleSizeItem = (value, { req, path }) => {
+  const index = Number(path.match(/^items\[(\d+)\]/)?.[1]);
+  return !Array.isArray(req.body.items?.[index]?.sizes);
+};
+
 const validateOrder = [
   body('items')
     .isArray({ min: 1 })
     .withMessage('La commande doit contenir au moins un article'),
   
-  body('items.*.product')
-    .isMongoId()
+  body('items.*')
+    .custom((item) => mongoose.Types.ObjectId.isValid(item?.product || item?.productId))
     .withMessage('ID de produit invalide'),
+
+  body('items.*.variant.size')
+    .if(isSingleSizeItem)
+    .notEmpty()
+    .withMessage('La taille de l\'article est requise'),
   
   body('items.*.quantity')
+    .if(isSingleSizeItem)
     .isInt({ min: 1, max: 100 })
     .withMessage('La quantité doit être entre 1 et 100'),
+
+  // Commande en série: grille tailles × quantités et marquages individuels
+  body('items.*.sizes')
+    .optional()
+    .isArray({ min: 1, max: 20 })
+    .withMessage('La grille de tailles doit contenir entre 1 et 20 tailles'),
+
+  body('items.*.sizes.*.size')
+    .notEmpty()
+    .withMessage('La taille est requise pour chaque ligne de la grille'),
+
+  body('items.*.sizes.*.quantity')
+    .isInt({ min: 1, max: 500 })
+    .withMessage('La quantité par taille doit être entre 1 et 500'),
+
+  body('items.*.personalizations')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('500 marquages individuels maximum'),
+
+  body('items.*.personalizations.*.name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage('Le nom à marquer ne peut pas dépasser 30 caractères'),
+
+  body('items.*.personalizations.*.number')
+    .optional()
+    .custom((number) => /^\d{1,3}$/.test(String(number).trim()))
+    .withMessage('Le numéro à marquer doit contenir 1 à 3 chiffres'),
+
+  body('items.*.customizationId')
+    .optional()
+    .isMongoId()
+    .withMessage('ID de personnalisation invalide'),
+
+  body('items.*.customization.embroidery.stitches')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Le nombre de points de broderie doit être un entier positif'),
+
+  body('items.*.customization.embroidery.colors')
+    .optional()
+    .isArray({ max: 15 })
+    .withMessage('15 couleurs de fil maximum'),
   
   body('shippingAddress.firstName')
     .trim()
@@ -281,7 +340,7 @@ const validateOrder = [
     .withMessage('Le code postal doit contenir 5 chiffres'),
   
   body('payment.method')
-    .isIn(['card', 'paypal', 'bank-transfer'])
+    .custom((value, { req }) => ['card', 'paypal', 'bank-transfer'].includes(value || req.body.paymentMethod))
     .withMessage('Méthode de paiement invalide'),
   
   handleValidationErrors
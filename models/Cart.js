@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const SHIPPING_METHODS = ['standard', 'express', 'overnight', 'pickup'];
+
+// Durée de conservation d'un panier anonyme inactif (jours)
+const ANONYMOUS_CART_TTL_DAYS = Number(process.env.ANONYMOUS_CART_TTL_DAYS) || 30;
+
+const cartItemSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variantId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'La quantité doit être au moins 1'],
+    max: [100, 'La quantité ne peut pas dépasser 100']
+  },
+  customization: { type: mongoose.Schema.Types.ObjectId, ref: 'Customization' },
+  addedAt: { type: Date, default: Date.now }
+});
+
+// Panier persistant: rattaché à un utilisateur ou à un jeton anonyme (X-Cart-Token)
+const cartSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  token: { type: String, trim: true },
+  items: { type: [cartItemSchema], default: [] },
+  couponCode: { type: String, trim: true, uppercase: true },
+  shippingMethod: { type: String, enum: SHIPPING_METHODS, default: 'standard' },
+  // Destination connue avant la saisie de l'adresse complète (cotation de la livraison)
+  shippingDestination: {
+    country: { type: String, trim: true, uppercase: true },
+    postalCode: { type: String, trim: true }
+  },
+  currency: { type: String, enum: ['EUR', 'USD', 'GBP'], default: 'EUR' },
+  expiresAt: { type: Date }
+}, { timestamps: true });
+
+cartSchema.index({ user: 1 }, { unique: true, sparse: true });
+cartSchema.index({ token: 1 }, { unique: true, sparse: true });
+// Suppression automatique des paniers anonymes expirés
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+cartSchema.pre('save', function(next) {
+  this.expiresAt = this.user
+    ? undefined
+    : new Date(Date.now() + ANONYMOUS_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+  next();
+});
+
+// Ajouter un article ou cumuler la quantité d'une ligne identique
+cartSchema.methods.addItem = function({ product, variantId, quantity = 1, customization = null }) {
+  const existing = this.items.find(i =>
+    i.product.toString() === product.toString() &&
+    i.variantId.toString() === variantId.toString() &&
+    String(i.customization || '') === String(customization || '')
+  );
+  if (existing) {
+    existing.quantity = Math.min(100, existing.quantity + quantity);
+    return existing;
+  }
+  this.items.push({ product, variantId, quantity, customization });
+  return this.items[this.items.length - 1];
+};
+
+module.exports = mongoose.model('Cart', cartSchema);
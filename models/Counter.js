@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Compteurs atomiques nommés (numéros de commande, de facture, de retour...)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  },
+  // Dernière valeur réservée pour un document (numérotation sans trou des factures):
+  // écrite sur ce document avant toute nouvelle réservation
+  pending: {
+    owner: mongoose.Schema.Types.ObjectId,
+    seq: Number
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Créer le compteur s'il n'existe pas encore.
+// seed() fournit la dernière valeur déjà utilisée (ex: numéros attribués avant la mise
+// en place des compteurs).
+counterSchema.statics.ensure = async function(key, { seed } = {}) {
+  const start = seed ? Number(await seed()) || 0 : 0;
+  try {
+    await this.create({ _id: key, seq: start });
+  } catch (error) {
+    // Créé entre-temps par une requête concurrente
+    if (error?.code !== 11000) throw error;
+  }
+};
+
+// Incrémenter et retourner la valeur suivante du compteur
+counterSchema.statics.next = async function(key, { seed } = {}) {
+  const increment = () => this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true }
+  );
+
+  let counter = await increment();
+  if (!counter) {
+    await this.ensure(key, { seed });
+    counter = await increment();
+  }
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
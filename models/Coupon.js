@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const COUPON_TYPES = ['percentage', 'fixed', 'free-shipping'];
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Le code est requis'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [40, 'Le code ne peut pas dépasser 40 caractères']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'La description ne peut pas dépasser 200 caractères']
+  },
+  type: {
+    type: String,
+    enum: COUPON_TYPES,
+    required: [true, 'Le type de réduction est requis']
+  },
+  // Pourcentage (0-100) ou montant fixe; ignoré pour la livraison offerte
+  value: {
+    type: Number,
+    default: 0,
+    min: [0, 'La valeur ne peut pas être négative']
+  },
+  maxDiscountAmount: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  minOrderAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  startsAt: Date,
+  endsAt: Date,
+  // Limites d'utilisation (null = illimité)
+  usageLimit: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  usageLimitPerUser: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Portée: vide = tout le catalogue
+  appliesTo: {
+    categories: [{ type: String, lowercase: true, trim: true }],
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }]
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.index({ isActive: 1, endsAt: 1 });
+
+couponSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'Un pourcentage ne peut pas dépasser 100');
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'La date de fin doit être postérieure à la date de début');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
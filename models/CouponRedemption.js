@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Utilisation d'un code promo: une seule par commande (collection séparée du code,
+// dont le document ne grossit pas avec le nombre d'utilisations)
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  discountAmount: { type: Number, default: 0, min: 0 },
+  // Commande payée alors que la limite d'utilisation était déjà atteinte
+  overLimit: { type: Boolean, default: false },
+  usedAt: { type: Date, default: Date.now }
+});
+
+couponRedemptionSchema.index({ coupon: 1, order: 1 }, { unique: true });
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+couponRedemptionSchema.index({ coupon: 1, usedAt: -1 });
+
+// Enregistrer l'utilisation d'une commande; renvoie null si elle est déjà comptée
+couponRedemptionSchema.statics.record = async function({ coupon, order, user, discountAmount = 0 }) {
+  try {
+    return await this.create({ coupon, order, user, discountAmount });
+  } catch (err) {
+    if (err?.code === 11000) return null;
+    throw err;
+  }
+};
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
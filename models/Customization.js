@@ -1,10 +1,29 @@
 const mongoose = require('mongoose');
+const { previewPath } = require('../services/mockupPreview');
+const { LAYER_TYPES, DESIGN_SIDES, SHAPE_KINDS, MAX_LAYERS } = require('../services/designLayers');
+const { PRINT_TECHNIQUES } = require('../services/printAreas');
 
 const positionSchema = new mongoose.Schema({
   x: { type: Number, default: 50 }, // percentage 0-100
   y: { type: Number, default: 50 }  // percentage 0-100
 }, { _id: false });
 
+// Qualité d'une image à sa taille d'impression (voir services/artworkQuality)
+const artworkQualitySchema = new mongoose.Schema({
+  dpi: { type: Number },
+  printWidthCm: { type: Number },
+  printHeightCm: { type: Number }
+}, { _id: false });
+
+const artworkWarningSchema = new mongoose.Schema({
+  layer: { type: mongoose.Schema.Types.Mixed }, // index du calque, ou 'image' (ancien format)
+  side: { type: String },
+  code: { type: String }, // low-resolution, stretched, cmyk, no-transparency
+  severity: { type: String, enum: ['info', 'warning', 'critical'] },
+  message: { type: String },
+  dpi: { type: Number }
+}, { _id: false });
+
 const textConfigSchema = new mongoose.Schema({
   content: { type: String, default: '' },
   font: { type: String, default: 'Arial' },
@@ -18,29 +37,146 @@ const textConfigSchema = new mongoose.Schema({
 }, { _id: false });
 
 const imageConfigSchema = new mongoose.Schema({
-  dataUrl: { type: String },
+  // Fichier stocké (Cloudinary ou disque local, voir services/imageStorage)
+  url: { type: String },
+  publicId: { type: String },
+  storage: { type: String, enum: ['cloudinary', 'local'] },
+  width: { type: Number }, // px du fichier source
+  height: { type: Number },
+  colorSpace: { type: String }, // srgb, cmyk, b-w…
+  hasTransparency: { type: Boolean },
+  quality: artworkQualitySchema,
+  dataUrl: { type: String }, // ancien format (base64 en base), converti par scripts/migrateCustomizationImages.js
   size: { type: Number, default: 100 }, // px
   rotation: { type: Number, default: 0 },
   position: { type: positionSchema, default: () => ({}) },
   side: { type: String, enum: ['front', 'back'], default: 'front' }
 }, { _id: false });
 
+// Calques du format multi-couches: chaque calque porte sa face, sa position, son ordre d'empilement
+// et le contenu correspondant à son type (text, image ou shape)
+const layerTextSchema = new mongoose.Schema({
+  content: { type: String, required: true, maxlength: 500 },
+  font: { type: String, default: 'Arial' },
+  fontSize: { type: Number, default: 24 },
+  color: { type: String, default: '#000000' },
+  align: { type: String, enum: ['left', 'center', 'right'], default: 'center' },
+  shape: { type: String, enum: ['horizontal', 'vertical', 'diagonal', 'arc'], default: 'horizontal' }
+}, { _id: false });
+
+const layerImageSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  publicId: { type: String },
+  storage: { type: String, enum: ['cloudinary', 'local'] },
+  width: { type: Number },
+  height: { type: Number },
+  colorSpace: { type: String },
+  hasTransparency: { type: Boolean },
+  quality: artworkQualitySchema,
+  size: { type: Number, default: 100 } // px (largeur dans l'éditeur)
+}, { _id: false });
+
+const layerShapeSchema = new mongoose.Schema({
+  kind: { type: String, enum: SHAPE_KINDS, required: true },
+  width: { type: Number, default: 100 }, // px
+  height: { type: Number, default: 100 },
+  fill: { type: String, default: '#000000' },
+  stroke: { type: String },
+  strokeWidth: { type: Number, default: 0 }
+}, { _id: false });
+
+const layerSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: LAYER_TYPES,
+    required: true,
+    // Le contenu du type est obligatoire (ex. layer.text pour un calque texte)
+    validate: {
+      validator: function(type) { return Boolean(this[type]); },
+      message: (props) => `Contenu du calque ${props.value} manquant`
+    }
+  },
+  side: { type: String, enum: DESIGN_SIDES, default: 'front' },
+  position: { type: positionSchema, default: () => ({}) },
+  zIndex: { type: Number, default: 0 },
+  rotation: { type: Number, default: 0 },
+  opacity: { type: Number, min: 0, max: 1, default: 1 },
+  // Technique de marquage souhaitée (contrôlée contre les zones du modèle)
+  technique: { type: String, enum: PRINT_TECHNIQUES },
+  text: layerTextSchema,
+  image: layerImageSchema,
+  shape: layerShapeSchema
+});
+
 const backgroundSchema = new mongoose.Schema({
   type: { type: String, enum: ['none', 'color', 'image'], default: 'none' },
   color: { type: String, default: '#ffffff' },
-  imageDataUrl: { type: String },
+  imageUrl: { type: String },
+  imagePublicId: { type: String },
+  imageStorage: { type: String, enum: ['cloudinary', 'local'] },
+  imageWidth: { type: Number },
+  imageHeight: { type: Number },
+  imageDataUrl: { type: String }, // ancien format
   opacity: { type: Number, default: 1 }
 }, { _id: false });
 
 const customizationSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Propriétaire anonyme: jeton de session (X-Design-Token), jamais renvoyé dans les réponses
+  sessionToken: { type: String, select: false },
+  name: { type: String, trim: true, maxlength: 100 },
   product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+  productModel: { type: mongoose.Schema.Types.ObjectId, ref: 'ProductModel' },
   productType: { type: String, trim: true }, // e.g., 't-shirts', 'sweats', 'casquettes'
   productColor: { type: String, trim: true }, // hex
+  // Format multi-couches; text / image ne sont plus renseignés que par les anciens designs
+  layers: {
+    type: [layerSchema],
+    validate: [(layers) => layers.length <= MAX_LAYERS, `${MAX_LAYERS} calques maximum`]
+  },
   text: textConfigSchema,
   image: imageConfigSchema,
   background: backgroundSchema,
+  // Contrôles qualité des images (résolution à la taille d'impression, couleurs, transparence)
+  artworkWarnings: { type: [artworkWarningSchema], default: [] },
   totalPrice: { type: Number, default: 0 },
-}, { timestamps: true });
+  // Versions: un design rattaché à une commande est figé (lockedAt);
+  // le modifier crée une nouvelle version et l'ancienne pointe vers elle (supersededBy)
+  version: { type: Number, default: 1 },
+  root: { type: mongoose.Schema.Types.ObjectId, ref: 'Customization' },
+  previousVersion: { type: mongoose.Schema.Types.ObjectId, ref: 'Customization' },
+  supersededBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Customization' },
+  lockedAt: { type: Date },
+  deletedAt: { type: Date },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.sessionToken;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Miniatures de prévisualisation des faces personnalisées
+// (l'image compte aussi quand son URL est exclue de la projection, ex. vue commande)
+customizationSchema.virtual('previewUrls').get(function() {
+  const sides = new Set((this.layers || []).map(layer => layer.side));
+  if (this.text?.content) sides.add(this.text.side || 'front');
+  if (this.image && (this.image.url || this.image.dataUrl || !this.isSelected('image.url'))) sides.add(this.image.side || 'front');
+  return Object.fromEntries(DESIGN_SIDES.filter(side => sides.has(side)).map(side => [side, previewPath(this._id, side)]));
+});
+
+customizationSchema.index({ user: 1, updatedAt: -1 });
+customizationSchema.index({ sessionToken: 1 }, { sparse: true });
+customizationSchema.index({ root: 1, version: -1 });
+
+// Première version: le design est sa propre racine
+customizationSchema.pre('validate', function(next) {
+  if (!this.root) this.root = this._id;
+  next();
+});
 
 module.exports = mongoose.model('Customization', customizationSchema);
\ No newline at end of file
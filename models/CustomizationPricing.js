@@ -1,13 +1,31 @@
 const mongoose = require('mongoose');
 
 // Ajout du type combiné et placement générique
-const TYPES = ['text', 'image', 'combo'];
-const PLACEMENTS = ['front', 'back', 'both', 'any'];
+// shape et manches: tarifs par calque des designs multi-couches
+// embroidery: tarif au nombre de points (paliers), price = prix plancher par pièce
+const TYPES = ['text', 'image', 'shape', 'combo', 'embroidery'];
+const PLACEMENTS = ['front', 'back', 'both', 'any', 'left-sleeve', 'right-sleeve'];
+
+// Palier de broderie: prix par pièce jusqu'à maxStitches points
+const EmbroideryTierSchema = new mongoose.Schema({
+  maxStitches: { type: Number, required: true, min: 1 },
+  price: { type: Number, required: true, min: 0 },
+}, { _id: false });
+
+const EmbroideryPricingSchema = new mongoose.Schema({
+  tiers: { type: [EmbroideryTierSchema], default: [] },
+  extraPer1000: { type: Number, default: 0, min: 0 }, // au-delà du dernier palier, par tranche de 1000 points
+  includedColors: { type: Number, default: 3, min: 0 },
+  colorSurcharge: { type: Number, default: 0, min: 0 }, // par couleur de fil supplémentaire et par pièce
+  digitizingFee: { type: Number, default: 0, min: 0 }, // frais de programmation, une fois par ligne
+  maxStitches: { type: Number, default: 50000, min: 1 },
+}, { _id: false });
 
 const CustomizationPricingSchema = new mongoose.Schema({
   type: { type: String, enum: TYPES, required: true },
   placement: { type: String, enum: PLACEMENTS, required: true },
   price: { type: Number, required: true, min: 0 },
+  embroidery: { type: EmbroideryPricingSchema },
   isActive: { type: Boolean, default: true },
 }, { timestamps: true });
 
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  company: String,
+  street: String,
+  city: String,
+  postalCode: String,
+  country: String,
+  email: String,
+  siret: String,
+  vatNumber: String
+}, { _id: false });
+
+const lineSchema = new mongoose.Schema({
+  description: { type: String, required: true },
+  quantity: { type: Number, default: 1 },
+  unitPrice: { type: Number, default: 0 },
+  taxRate: { type: Number, default: 0 },
+  amountExclTax: { type: Number, default: 0 },
+  taxAmount: { type: Number, default: 0 }
+}, { _id: false });
+
+// Facture ou avoir figé au moment de l'émission (les montants ne sont jamais recalculés)
+const invoiceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['invoice', 'credit-note'],
+    required: true
+  },
+  // Numérotation continue par type et par année, indépendante du numéro de commande.
+  // Attribué après la réservation du document: null le temps de l'émission
+  number: {
+    type: String,
+    default: null
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: String,
+  // Avoir: remboursement d'origine et facture rectifiée
+  refund: mongoose.Schema.Types.ObjectId,
+  relatedInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  relatedInvoiceNumber: String,
+  reason: String,
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  seller: partySchema,
+  buyer: partySchema,
+  lines: { type: [lineSchema], default: [] },
+  taxBreakdown: [{
+    _id: false,
+    rate: Number,
+    taxableAmount: Number,
+    amount: Number
+  }],
+  totals: {
+    exclTax: { type: Number, default: 0 },
+    tax: { type: Number, default: 0 },
+    inclTax: { type: Number, default: 0 }
+  },
+  currency: {
+    type: String,
+    default: 'EUR'
+  },
+  taxRegime: String,
+  reverseCharge: {
+    type: Boolean,
+    default: false
+  },
+  legalMentions: [String]
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ order: 1, type: 1 });
+invoiceSchema.index(
+  { number: 1 },
+  { unique: true, partialFilterExpression: { number: { $type: 'string' } }, name: 'unique_document_number' }
+);
+// Une seule facture par commande, un seul avoir par remboursement
+invoiceSchema.index(
+  { order: 1 },
+  { unique: true, partialFilterExpression: { type: 'invoice' }, name: 'unique_invoice_per_order' }
+);
+invoiceSchema.index(
+  { order: 1, refund: 1 },
+  { unique: true, partialFilterExpression: { type: 'credit-note' }, name: 'unique_credit_note_per_refund' }
+);
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
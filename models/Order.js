@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { computeOrderTotals } = require('../services/pricing');
+const { nextOrderNumber } = require('../services/numbering');
+const { ORDER_STATUSES, REFUNDABLE_ORDER_STATUSES, assertTransition } = require('../services/orderStatus');
 
 const orderSchema = new mongoose.Schema({
   orderNumber: {
@@ -29,6 +32,9 @@ const orderSchema = new mongoose.Schema({
       },
       material: String
     },
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId // _id de la variante du produit
+    },
     quantity: {
       type: Number,
       required: true,
@@ -39,6 +45,11 @@ const orderSchema = new mongoose.Schema({
       required: true,
       min: [0, 'Le prix unitaire ne peut pas être négatif']
     },
+    // Design enregistré (Customization) rendu pour les fichiers d'impression
+    design: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customization'
+    },
     customization: {
       text: {
         content: String,
@@ -58,7 +69,11 @@ const orderSchema = new mongoose.Schema({
       embroidery: {
         design: String,
         stitches: Number,
-        colors: [String]
+        colors: [String],
+        placement: String,
+        // Tarif calculé à la commande (services/pricing: computeEmbroideryPrice)
+        unitPrice: Number,
+        setupFee: Number
       },
       totalCustomizationPrice: {
         type: Number,
@@ -69,11 +84,68 @@ const orderSchema = new mongoose.Schema({
       type: Number,
       required: true
     },
+    // Commande en série: lignes d'un même design développées par taille (services/pricing: priceBulkItem)
+    bulkOrder: {
+      group: String,
+      totalQuantity: Number,
+      sizeCount: Number
+    },
+    // Marquages individuels des pièces de la ligne (nom, numéro)
+    personalizations: [{
+      _id: false,
+      name: { type: String, trim: true, maxlength: 30 },
+      number: { type: String, trim: true, maxlength: 3 }
+    }],
+    // Paliers de quantité appliqués (services/bulkPricing): remise par composante, frais de lancement
+    bulkPricing: {
+      setupFees: Number,
+      savings: Number,
+      parts: [{
+        _id: false,
+        type: { type: String },
+        baseUnitPrice: Number,
+        minQuantity: Number,
+        discountPercent: Number,
+        unitPrice: Number
+      }]
+    },
+    // TVA de la ligne (taux selon destination et catégorie, montant après remise)
+    tax: {
+      rate: Number,
+      taxClass: {
+        type: String,
+        enum: ['standard', 'reduced'],
+        default: 'standard'
+      },
+      amount: {
+        type: Number,
+        default: 0
+      }
+    },
     status: {
       type: String,
       enum: ['pending', 'confirmed', 'in-production', 'ready', 'shipped', 'delivered', 'cancelled'],
       default: 'pending'
     },
+    refundedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Suivi atelier: opérateur assigné, lot et horodatage des étapes
+    production: {
+      operator: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      assignedAt: Date,
+      batch: {
+        type: String,
+        trim: true
+      },
+      startedAt: Date,
+      readyAt: Date
+    },
     notes: String
   }],
   pricing: {
@@ -114,15 +186,47 @@ const orderSchema = new mongoose.Schema({
         type: Number,
         default: 0,
         min: 0
-      }
+      },
+      // Taux appliqué à la livraison (taux normal de la destination)
+      shippingRate: Number,
+      country: {
+        type: String,
+        uppercase: true,
+        trim: true
+      },
+      regime: {
+        type: String,
+        enum: ['domestic', 'oss', 'reverse-charge', 'export'],
+        default: 'domestic'
+      },
+      reverseCharge: {
+        type: Boolean,
+        default: false
+      },
+      vatNumber: {
+        type: String,
+        trim: true
+      },
+      breakdown: [{
+        _id: false,
+        rate: Number,
+        taxableAmount: Number,
+        amount: Number
+      }]
     },
     discount: {
       code: String,
       type: {
         type: String,
-        enum: ['percentage', 'fixed'],
+        enum: ['percentage', 'fixed', 'free-shipping'],
         default: 'percentage'
       },
+      coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon'
+      },
+      // Utilisation du code comptabilisée au paiement
+      redeemedAt: Date,
       value: {
         type: Number,
         default: 0,
@@ -241,6 +345,7 @@ const orderSchema = new mongoose.Schema({
     },
     transactionId: String,
     paymentIntentId: String, // Pour Stripe
+    checkoutSessionId: String, // Session Stripe Checkout
     paypalOrderId: String, // Pour PayPal
     paidAt: Date,
     refunds: [{
@@ -255,6 +360,19 @@ const orderSchema = new mongoose.Schema({
         trim: true
       },
       refundId: String,
+      provider: {
+        type: String,
+        enum: ['stripe', 'paypal', 'manual']
+      },
+      returnNumber: String, // Retour d'articles (RT{aammjj}{séquence})
+      items: [{
+        itemId: mongoose.Schema.Types.ObjectId,
+        quantity: Number,
+        restocked: {
+          type: Boolean,
+          default: false
+        }
+      }],
       processedAt: {
         type: Date,
         default: Date.now
@@ -263,11 +381,25 @@ const orderSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
       }
+    }],
+    disputes: [{
+      disputeId: {
+        type: String,
+        required: true
+      },
+      status: String,
+      reason: String,
+      outcome: String,
+      amount: Number,
+      updatedAt: {
+        type: Date,
+        default: Date.now
+      }
     }]
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'],
+    enum: ORDER_STATUSES,
     default: 'pending'
   },
   tracking: {
@@ -301,7 +433,7 @@ const orderSchema = new mongoose.Schema({
     emails: [{
       type: {
         type: String,
-        enum: ['confirmation', 'payment-received', 'processing', 'shipped', 'delivered', 'cancelled'],
+        enum: ['confirmation', 'payment-received', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'],
         required: true
       },
       sentAt: {
@@ -372,7 +504,12 @@ const orderSchema = new mongoose.Schema({
 // Retirer l’index en double: orderNumber est déjà unique.
 orderSchema.index({ user: 1, createdAt: -1 });
 orderSchema.index({ status: 1 });
+orderSchema.index({ status: 1, 'items.status': 1 });
 orderSchema.index({ 'payment.status': 1 });
+orderSchema.index({ 'payment.paymentIntentId': 1 }, { sparse: true });
+orderSchema.index({ 'payment.checkoutSessionId': 1 }, { sparse: true });
+orderSchema.index({ 'payment.paypalOrderId': 1 }, { sparse: true });
+orderSchema.index({ 'payment.transactionId': 1 }, { sparse: true });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ 'tracking.trackingNumber': 1 });
 
@@ -410,52 +547,41 @@ orderSchema.virtual('refundableAmount').get(function() {
 });
 
 // Middleware pour générer le numéro de commande
-orderSchema.pre('save', async function(next) {
+// (avant validation, le champ orderNumber étant requis; compteur atomique par jour)
+orderSchema.pre('validate', async function(next) {
   if (this.isNew && !this.orderNumber) {
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    const day = date.getDate().toString().padStart(2, '0');
-    
-    // Compter les commandes du jour
-    const startOfDay = new Date(date.getFullYear(), date.getMonth(), date.getDate());
-    const endOfDay = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
-    
-    const count = await this.constructor.countDocuments({
-      createdAt: { $gte: startOfDay, $lt: endOfDay }
-    });
-    
-    const sequence = (count + 1).toString().padStart(4, '0');
-    this.orderNumber = `CW${year}${month}${day}${sequence}`;
+    this.orderNumber = await nextOrderNumber();
   }
   next();
 });
 
-// Middleware pour calculer les totaux
-orderSchema.pre('save', function(next) {
-  // Calculer le sous-total
-  this.pricing.subtotal = this.items.reduce((total, item) => {
-    return total + (item.unitPrice * item.quantity);
-  }, 0);
-
-  // Calculer le total de personnalisation
-  this.pricing.customizationTotal = this.items.reduce((total, item) => {
-    return total + (item.customization?.totalCustomizationPrice || 0);
-  }, 0);
-
-  // Calculer la TVA
-  const taxableAmount = this.pricing.subtotal + this.pricing.customizationTotal + this.pricing.shipping.cost - this.pricing.discount.amount;
-  this.pricing.tax.amount = taxableAmount * this.pricing.tax.rate;
+// Middleware pour calculer les totaux (même formule que la création de commande)
+orderSchema.pre('validate', function(next) {
+  const totals = computeOrderTotals({
+    items: this.items,
+    shippingCost: this.pricing.shipping.cost,
+    discountAmount: this.pricing.discount.amount,
+    taxRate: this.pricing.tax.rate,
+    shippingTaxRate: this.pricing.tax.shippingRate ?? this.pricing.tax.rate
+  });
 
-  // Calculer le total
-  this.pricing.total = taxableAmount + this.pricing.tax.amount;
+  this.pricing.subtotal = totals.subtotal;
+  this.pricing.customizationTotal = totals.customizationTotal;
+  this.pricing.tax.amount = totals.taxAmount;
+  this.pricing.tax.breakdown = totals.breakdown;
+  this.pricing.total = totals.total;
+  this.items.forEach((item, index) => {
+    item.tax.rate = totals.taxLines[index].rate;
+    item.tax.amount = totals.taxLines[index].amount;
+  });
 
   next();
 });
 
 // Middleware pour ajouter à la timeline
 orderSchema.pre('save', function(next) {
-  if (this.isModified('status') && !this.isNew) {
+  const last = this.timeline[this.timeline.length - 1];
+  if (this.isModified('status') && !this.isNew && last?.status !== this.status) {
     this.timeline.push({
       status: this.status,
       description: `Statut changé vers: ${this.status}`,
@@ -477,43 +603,48 @@ orderSchema.methods.addTimelineEntry = function(status, description, updatedBy =
 };
 
 // Méthode pour mettre à jour le statut
+// Changer le statut selon la table des transitions (OrderStatusError si interdit)
 orderSchema.methods.updateStatus = function(newStatus, description = null, updatedBy = null) {
+  assertTransition(this.status, newStatus);
+
   this.status = newStatus;
-  
-  if (description || updatedBy) {
-    this.timeline.push({
-      status: newStatus,
-      description: description || `Statut changé vers: ${newStatus}`,
-      updatedBy,
-      automatic: !updatedBy
-    });
+  if (newStatus === 'shipped' && !this.tracking.shippedAt) {
+    this.tracking.shippedAt = new Date();
   }
+  if (newStatus === 'delivered') {
+    this.tracking.deliveredAt = new Date();
+  }
+
+  this.timeline.push({
+    status: newStatus,
+    description: description || `Statut changé vers: ${newStatus}`,
+    updatedBy,
+    automatic: !updatedBy
+  });
 
   return this.save();
 };
 
-// Méthode pour ajouter des informations de suivi
-orderSchema.methods.addTracking = function(carrier, trackingNumber, trackingUrl = null) {
+// Méthode pour ajouter des informations de suivi (passe la commande en expédiée)
+orderSchema.methods.addTracking = function(carrier, trackingNumber, trackingUrl = null, updatedBy = null) {
   this.tracking.carrier = carrier;
   this.tracking.trackingNumber = trackingNumber;
   this.tracking.trackingUrl = trackingUrl;
-  this.tracking.shippedAt = new Date();
-  
-  this.status = 'shipped';
-  
-  return this.save();
+  this.tracking.shippedAt = this.tracking.shippedAt || new Date();
+
+  if (this.status === 'shipped') {
+    return this.save();
+  }
+  return this.updateStatus('shipped', `Expédiée via ${carrier} (${trackingNumber})`, updatedBy);
 };
 
 // Méthode pour marquer comme livré
-orderSchema.methods.markAsDelivered = function() {
-  this.status = 'delivered';
-  this.tracking.deliveredAt = new Date();
-  
-  return this.save();
+orderSchema.methods.markAsDelivered = function(updatedBy = null) {
+  return this.updateStatus('delivered', 'Commande livrée', updatedBy);
 };
 
 // Méthode pour traiter un remboursement
-orderSchema.methods.processRefund = function(amount, reason, refundId = null, processedBy = null) {
+orderSchema.methods.processRefund = function(amount, reason, refundId = null, processedBy = null, details = {}) {
   if (amount > this.refundableAmount) {
     throw new Error('Le montant du remboursement dépasse le montant remboursable');
   }
@@ -522,13 +653,18 @@ orderSchema.methods.processRefund = function(amount, reason, refundId = null, pr
     amount,
     reason,
     refundId,
-    processedBy
+    processedBy,
+    provider: details.provider,
+    returnNumber: details.returnNumber,
+    items: details.items || []
   });
 
   // Mettre à jour le statut de paiement
   if (this.totalRefunded >= this.pricing.total) {
     this.payment.status = 'refunded';
-    this.status = 'refunded';
+    if (REFUNDABLE_ORDER_STATUSES.includes(this.status)) {
+      this.status = 'refunded';
+    }
   } else {
     this.payment.status = 'partially-refunded';
   }
@@ -26,6 +26,12 @@ const productSchema = new mongoose.Schema({
     enum: ['t-shirts', 'vestes', 'casquettes', 'bonnets', 'vaisselle'],
     lowercase: true
   },
+  // Classe fiscale (taux normal ou réduit du pays de destination)
+  taxClass: {
+    type: String,
+    enum: ['standard', 'reduced'],
+    default: 'standard'
+  },
   gender: {
     type: String,
     enum: ALLOWED_GENDERS,
@@ -448,21 +454,6 @@ productSchema.methods.getAvailableVariants = function() {
   return (Array.isArray(this.variants) ? this.variants.filter(v => (v.stock || 0) > 0) : []);
 };
 
-productSchema.methods.getCustomizationPrice = function(customizations = {}) {
-  const options = this.customization?.options || {};
-  let price = 0;
-  if (options.text?.enabled && customizations.text) {
-    price += options.text.basePrice || 0;
-  }
-  if (options.image?.enabled && customizations.image) {
-    price += options.image.basePrice || 0;
-  }
-  if (options.embroidery?.enabled && customizations.embroidery) {
-    price += options.embroidery.basePrice || 0;
-  }
-  return price;
-};
-
 productSchema.methods.incrementViews = function() {
   this.analytics = this.analytics || {};
   this.analytics.views = (this.analytics.views || 0) + 1;
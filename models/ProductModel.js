@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { PRINT_TECHNIQUES } = require('../services/printAreas');
+const { DESIGN_SIDES } = require('../services/designLayers');
 
 const ALLOWED_TYPES = ['t-shirt', 'sweat', 'hoodie', 'casquette', 'mug'];
 const ALLOWED_SIZES = ['XS', 'S', 'M', 'L', 'XL', '2XL', '3XL', '4XL', '5XL'];
@@ -11,6 +13,30 @@ const ImagesSchema = new mongoose.Schema({
   back: { type: String, required: true },
 }, { _id: false });
 
+// Zone imprimable d'une face: rectangle en % de l'image de la face (manches: canevas de la manche),
+// taille d'impression maximale et techniques de marquage autorisées
+const PrintAreaSchema = new mongoose.Schema({
+  side: { type: String, enum: DESIGN_SIDES, required: true },
+  name: { type: String, trim: true, default: 'principale' }, // ex. 'poitrine', 'coeur', 'dos'
+  x: { type: Number, required: true, min: 0, max: 100 },
+  y: { type: Number, required: true, min: 0, max: 100 },
+  width: { type: Number, required: true, min: 1, max: 100 },
+  height: { type: Number, required: true, min: 1, max: 100 },
+  widthCm: { type: Number, required: true, min: 1 },
+  heightCm: { type: Number, required: true, min: 1 },
+  techniques: {
+    type: [{ type: String, enum: PRINT_TECHNIQUES }],
+    default: () => ['print']
+  }
+}, { _id: false });
+
+PrintAreaSchema.pre('validate', function(next) {
+  if (this.x + this.width > 100 || this.y + this.height > 100) {
+    this.invalidate('width', 'La zone d\'impression dépasse l\'image du modèle');
+  }
+  next();
+});
+
 const ProductModelSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true },
   type: { type: String, enum: ALLOWED_TYPES, required: true },
@@ -24,6 +50,8 @@ const ProductModelSchema = new mongoose.Schema({
   images: { type: ImagesSchema, required: true },
   // Mapping facultatif couleur -> liste d'URLs d'images spécifiques à la couleur
   imagesByColor: { type: Object, default: {} },
+  // Zones imprimables par face (sinon zones par défaut du type, voir services/printAreas)
+  printAreas: { type: [PrintAreaSchema], default: [] },
   active: { type: Boolean, default: true },
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
 }, { timestamps: true });
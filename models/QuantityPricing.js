@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Paliers de quantité (commandes d'équipes, séries): remise par palier sur le prix unitaire
+// de l'article (garment) ou d'un type de personnalisation; 'all' = tout type sans règle dédiée.
+// Portée: un produit, un modèle, ou aucun des deux (règle globale).
+const TYPES = ['all', 'garment', 'text', 'image', 'shape', 'combo', 'embroidery'];
+
+const QuantityTierSchema = new mongoose.Schema({
+  minQuantity: { type: Number, required: true, min: 2 }, // ex. 10 pour « 10+ »
+  discountPercent: { type: Number, required: true, min: 0, max: 100 },
+}, { _id: false });
+
+const QuantityPricingSchema = new mongoose.Schema({
+  type: { type: String, enum: TYPES, required: true },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', default: null },
+  productModel: { type: mongoose.Schema.Types.ObjectId, ref: 'ProductModel', default: null },
+  tiers: {
+    type: [QuantityTierSchema],
+    default: [],
+    validate: {
+      validator: (tiers) => new Set(tiers.map(t => t.minQuantity)).size === tiers.length,
+      message: 'Deux paliers ne peuvent pas avoir la même quantité minimale'
+    }
+  },
+  // Frais fixes de lancement (calage, écrans...), facturés dès qu'un palier est atteint,
+  // une fois par ligne et amortis sur la série
+  setupFee: { type: Number, default: 0, min: 0 },
+  isActive: { type: Boolean, default: true },
+}, { timestamps: true });
+
+QuantityPricingSchema.pre('validate', function(next) {
+  if (this.product && this.productModel) {
+    this.invalidate('productModel', 'Une règle porte sur un produit ou un modèle, pas les deux');
+  }
+  next();
+});
+
+QuantityPricingSchema.index({ type: 1, product: 1, productModel: 1 }, { unique: true });
+
+module.exports = mongoose.model('QuantityPricing', QuantityPricingSchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const SHIPPING_METHODS = ['standard', 'express', 'overnight', 'pickup'];
+const SHIPPING_CLASSES = ['standard', 'express', 'fragile', 'oversized'];
+
+// Tarif d'une zone: méthode + classe de colis + tranche de poids (grammes)
+const rateSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: SHIPPING_METHODS,
+    required: [true, 'La méthode de livraison est requise']
+  },
+  // 'all' = s'applique à toutes les classes sans tarif dédié
+  shippingClass: {
+    type: String,
+    enum: [...SHIPPING_CLASSES, 'all'],
+    default: 'all'
+  },
+  minWeight: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  maxWeight: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  price: {
+    type: Number,
+    required: [true, 'Le prix est requis'],
+    min: 0
+  },
+  // Supplément par kg entamé au-delà du poids minimum de la tranche
+  pricePerKg: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  estimatedDays: {
+    type: Number,
+    default: 3,
+    min: 0
+  },
+  // Le seuil de gratuité de la zone s'applique-t-il à ce tarif
+  freeShippingEligible: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Le nom de la zone est requis'],
+    trim: true,
+    maxlength: [80, 'Le nom ne peut pas dépasser 80 caractères']
+  },
+  // Codes pays ISO 3166-1 alpha-2; vide = reste du monde
+  countries: [{
+    type: String,
+    uppercase: true,
+    trim: true,
+    minlength: 2,
+    maxlength: 2
+  }],
+  // Préfixes de code postal (ex: '20' pour la Corse); vide = tout le pays
+  postalPrefixes: [{
+    type: String,
+    trim: true
+  }],
+  freeShippingThreshold: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  rates: { type: [rateSchema], default: [] },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+shippingZoneSchema.index({ countries: 1, isActive: 1 });
+
+shippingZoneSchema.pre('validate', function(next) {
+  (this.rates || []).forEach((rate, index) => {
+    if (rate.maxWeight != null && rate.maxWeight < rate.minWeight) {
+      this.invalidate(`rates.${index}.maxWeight`, 'Le poids maximum doit être supérieur au poids minimum');
+    }
+  });
+  next();
+});
+
+module.exports = mongoose.model('ShippingZone', shippingZoneSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['active', 'committed', 'released', 'expired'];
+
+const reservedItemSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variantId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  quantity: { type: Number, required: true, min: 1 }
+}, { _id: false });
+
+// Stock retenu pour une commande tant que son paiement n'est pas confirmé
+const stockReservationSchema = new mongoose.Schema({
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true, unique: true },
+  items: { type: [reservedItemSchema], default: [] },
+  status: { type: String, enum: STATUSES, default: 'active' },
+  expiresAt: { type: Date, default: null }, // null: paiement hors ligne, sans expiration
+  committedAt: Date,
+  releasedAt: Date,
+  releaseReason: { type: String, trim: true }
+}, { timestamps: true });
+
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('StockReservation', stockReservationSchema);
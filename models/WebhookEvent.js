@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const PROVIDERS = ['stripe', 'paypal'];
+
+// Événements de webhook déjà traités (idempotence face aux renvois des fournisseurs)
+const webhookEventSchema = new mongoose.Schema({
+  provider: { type: String, enum: PROVIDERS, required: true },
+  eventId: { type: String, required: true, trim: true },
+  type: { type: String, trim: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  processedAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+// Réserver un événement avant traitement; renvoie false s'il a déjà été traité
+webhookEventSchema.statics.claim = async function(provider, eventId, type) {
+  try {
+    await this.create({ provider, eventId, type });
+    return true;
+  } catch (err) {
+    if (err?.code === 11000) return false;
+    throw err;
+  }
+};
+
+// Libérer un événement dont le traitement a échoué pour permettre un nouvel envoi
+webhookEventSchema.statics.release = function(provider, eventId) {
+  return this.deleteOne({ provider, eventId });
+};
+
+// Associer la commande concernée à l'événement traité
+webhookEventSchema.statics.attachOrder = function(provider, eventId, orderId) {
+  return this.updateOne({ provider, eventId }, { $set: { order: orderId } });
+};
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
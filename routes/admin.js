@@ -5,8 +5,16 @@ const User = require('../models/User');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
 const Category = require('../models/Category');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const ShippingZone = require('../models/ShippingZone');
 const multer = require('multer');
 const cloudinary = require('../config/cloudinary');
+const { uploadToCloudinaryWithRetry } = require('../services/imageStorage');
+const { refundOrder, RefundError } = require('../services/refunds');
+const { ORDER_STATUSES, OrderStatusError } = require('../services/orderStatus');
+const { changeOrderStatus } = require('../services/orderWorkflow');
+const { TAX_CLASSES } = require('../services/tax');
 
 // Utiliser un stockage mémoire pour fiabiliser et gérer le retry Cloudinary
 const upload = multer({
@@ -24,25 +32,6 @@ const CLOUDINARY_UPLOAD_OPTIONS = {
   ]
 };
 
-// Upload avec retry exponentiel sur erreurs 5xx Cloudinary
-const uploadToCloudinaryWithRetry = async (file, options = {}, maxRetries = 2) => {
-  const dataUri = `data:${file.mimetype};base64,${file.buffer.toString('base64')}`;
-  let attempt = 0;
-  while (true) {
-    try {
-      return await cloudinary.uploader.upload(dataUri, options);
-    } catch (err) {
-      const msg = err?.message || '';
-      const code = err?.http_code || err?.status || 0;
-      const is5xx = (typeof code === 'number' && code >= 500 && code < 600) || /status code - 5\d{2}/.test(msg);
-      if (!is5xx || attempt >= maxRetries) throw err;
-      const delayMs = 500 * Math.pow(2, attempt);
-      await new Promise(r => setTimeout(r, delayMs));
-      attempt += 1;
-    }
-  }
-};
-
 // @desc    Obtenir les statistiques du dashboard admin
 // @route   GET /api/admin/stats
 // @access  Private/Admin/Moderator
@@ -325,6 +314,9 @@ router.get('/orders', authenticateToken, requireAdmin, async (req, res) => {
     const orders = await Order.find(query)
       .populate('user', 'firstName lastName email')
       .populate('items.product', 'name images')
+      // Miniatures des designs via design.previewUrls (sans charger les images embarquées)
+      // et avertissements qualité des images (design.artworkWarnings)
+      .populate('items.design', 'productType productModel text image.side image.size image.position layers.type layers.side artworkWarnings')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
@@ -359,25 +351,16 @@ router.get('/orders', authenticateToken, requireAdmin, async (req, res) => {
 // @access  Private/Admin
 router.put('/orders/:id/status', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const { status } = req.body;
-    
-    const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
-    if (!validStatuses.includes(status)) {
+    const { status, note } = req.body;
+
+    if (!ORDER_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
-        message: 'Statut invalide'
+        message: `Statut invalide. Valeurs autorisées: ${ORDER_STATUSES.join(', ')}`
       });
     }
 
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      { 
-        status,
-        updatedAt: new Date()
-      },
-      { new: true, runValidators: true }
-    ).populate('user', 'firstName lastName email');
-
+    const order = await Order.findById(req.params.id);
     if (!order) {
       return res.status(404).json({
         success: false,
@@ -385,12 +368,22 @@ router.put('/orders/:id/status', authenticateToken, requireAdmin, async (req, re
       });
     }
 
+    // Même cycle de vie que PUT /api/orders/:orderId/status
+    await changeOrderStatus(order, status, { note, updatedBy: req.user._id });
+    await order.populate('user', 'firstName lastName email');
+
     res.json({
       success: true,
       data: { order },
       message: 'Statut de la commande mis à jour avec succès'
     });
   } catch (error) {
+    if (error instanceof OrderStatusError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Erreur lors de la mise à jour du statut de la commande:', error);
     res.status(500).json({
       success: false,
@@ -399,6 +392,329 @@ router.put('/orders/:id/status', authenticateToken, requireAdmin, async (req, re
   }
 });
 
+// @desc    Rembourser tout ou partie d'une commande (Stripe, PayPal ou manuel)
+// @route   POST /api/admin/orders/:id/refunds
+// @access  Private/Admin
+router.post('/orders/:id/refunds', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { amount, reason, items, restock = true } = req.body || {};
+
+    if (items !== undefined && !Array.isArray(items)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Le champ items doit être une liste [{ itemId, quantity }]'
+      });
+    }
+
+    const order = await Order.findById(req.params.id).populate('user', 'firstName lastName email');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Commande non trouvée'
+      });
+    }
+
+    const { order: refundedOrder, refund } = await refundOrder(order, {
+      amount,
+      reason,
+      items: items || [],
+      restock: restock !== false,
+      processedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { order: refundedOrder, refund },
+      message: 'Remboursement effectué avec succès'
+    });
+  } catch (error) {
+    if (error instanceof RefundError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Erreur lors du remboursement de la commande:', error?.message || error);
+    const providerMessage = error?.raw?.message || error?.data?.message;
+    res.status(providerMessage ? 502 : 500).json({
+      success: false,
+      message: providerMessage
+        ? `Remboursement refusé par le prestataire de paiement: ${providerMessage}`
+        : 'Erreur serveur lors du remboursement'
+    });
+  }
+});
+
+// Champs modifiables d'un code promo
+const COUPON_FIELDS = [
+  'code', 'description', 'type', 'value', 'maxDiscountAmount', 'minOrderAmount',
+  'startsAt', 'endsAt', 'usageLimit', 'usageLimitPerUser', 'appliesTo', 'isActive'
+];
+
+const pickCouponFields = (body = {}) => COUPON_FIELDS.reduce((data, field) => {
+  if (body[field] !== undefined) data[field] = body[field];
+  return data;
+}, {});
+
+// @desc    Lister les codes promo
+// @route   GET /api/admin/coupons
+// @access  Private/Admin
+router.get('/coupons', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const search = req.query.search || '';
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (search) {
+      query.code = { $regex: search, $options: 'i' };
+    }
+    if (req.query.active !== undefined) {
+      query.isActive = req.query.active === 'true';
+    }
+
+    const [coupons, totalCount] = await Promise.all([
+      Coupon.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Coupon.countDocuments(query)
+    ]);
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.json({
+      success: true,
+      data: {
+        coupons,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des codes promo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur serveur lors de la récupération des codes promo'
+    });
+  }
+});
+
+// @desc    Détail d'un code promo avec ses utilisations (paginées, les plus récentes d'abord)
+// @route   GET /api/admin/coupons/:id
+// @access  Private/Admin
+router.get('/coupons/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Code promo non trouvé' });
+    }
+
+    const [redemptions, totalCount] = await Promise.all([
+      CouponRedemption.find({ coupon: coupon._id })
+        .sort({ usedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('user', 'firstName lastName email')
+        .populate('order', 'orderNumber'),
+      CouponRedemption.countDocuments({ coupon: coupon._id })
+    ]);
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.json({
+      success: true,
+      data: {
+        coupon,
+        redemptions,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération du code promo:', error);
+    res.status(500).json({ success: false, message: 'Erreur serveur lors de la récupération du code promo' });
+  }
+});
+
+// @desc    Créer un code promo
+// @route   POST /api/admin/coupons
+// @access  Private/Admin
+router.post('/coupons', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const coupon = new Coupon({ ...pickCouponFields(req.body), createdBy: req.user._id });
+    await coupon.save();
+
+    res.status(201).json({ success: true, data: coupon, message: 'Code promo créé avec succès' });
+  } catch (error) {
+    if (error?.code === 11000) {
+      return res.status(400).json({ success: false, message: 'Ce code promo existe déjà' });
+    }
+    if (error?.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    console.error('Erreur lors de la création du code promo:', error);
+    res.status(500).json({ success: false, message: 'Erreur serveur lors de la création du code promo' });
+  }
+});
+
+// @desc    Mettre à jour un code promo
+// @route   PUT /api/admin/coupons/:id
+// @access  Private/Admin
+router.put('/coupons/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Code promo non trouvé' });
+    }
+
+    coupon.set(pickCouponFields(req.body));
+    await coupon.save();
+
+    res.json({ success: true, data: coupon, message: 'Code promo mis à jour avec succès' });
+  } catch (error) {
+    if (error?.code === 11000) {
+      return res.status(400).json({ success: false, message: 'Ce code promo existe déjà' });
+    }
+    if (error?.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    console.error('Erreur lors de la mise à jour du code promo:', error);
+    res.status(500).json({ success: false, message: 'Erreur serveur lors de la mise à jour du code promo' });
+  }
+});
+
+// @desc    Supprimer un code promo (désactivé s'il a déjà été utilisé)
+// @route   DELETE /api/admin/coupons/:id
+// @access  Private/Admin
+router.delete('/coupons/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Code promo non trouvé' });
+    }
+
+    // Conserver l'historique des commandes qui y font référence
+    if (coupon.usedCount > 0) {
+      coupon.isActive = false;
+      await coupon.save();
+      return res.json({ success: true, message: 'Code promo déjà utilisé: désactivé' });
+    }
+
+    await Coupon.findByIdAndDelete(req.params.id);
+    res.json({ success: true, message: 'Code promo supprimé avec succès' });
+  } catch (error) {
+    console.error('Erreur lors de la suppression du code promo:', error);
+    res.status(500).json({ success: false, message: 'Erreur serveur lors de la suppression du code promo' });
+  }
+});
+
+// Champs modifiables d'une zone de livraison
+const SHIPPING_ZONE_FIELDS = ['name', 'countries', 'postalPrefixes', 'freeShippingThreshold', 'rates', 'priority', 'isActive'];
+
+// @desc    Lister les zones de livraison
+// @route   GET /api/admin/shipping-zones
+// @access  Private/Admin
+router.get('/shipping-zones', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const zones = await ShippingZone.find({}).sort({ priority: -1, name: 1 });
+    res.json({ success: true, data: { zones } });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des zones de livraison:', error);
+    res.status(500).json({ success: false, message: 'Erreur serveur lors de la récupération des zones de livraison' });
+  }
+});
+
+// @desc    Créer une zone de livraison
+// @route   POST /api/admin/shipping-zones
+// @access  Private/Admin
+router.post('/shipping-zones', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const data = SHIPPING_ZONE_FIELDS.reduce((acc, field) => {
+      if (req.body[field] !== undefined) acc[field] = req.body[field];
+      return acc;
+    }, {});
+    const zone = await ShippingZone.create(data);
+
+    res.status(201).json({ success: true, data: zone, message: 'Zone de livraison créée avec succès' });
+  } catch (error) {
+    if (error?.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    console.error('Erreur lors de la création de la zone de livraison:', error);
+    res.status(500).json({ success: false, message: 'Erreur serveur lors de la création de la zone de livraison' });
+  }
+});
+
+// @desc    Mettre à jour une zone de livraison (tarifs inclus)
+// @route   PUT /api/admin/shipping-zones/:id
+// @access  Private/Admin
+router.put('/shipping-zones/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const zone = await ShippingZone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ success: false, message: 'Zone de livraison non trouvée' });
+    }
+
+    SHIPPING_ZONE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) zone.set(field, req.body[field]);
+    });
+    await zone.save();
+
+    res.json({ success: true, data: zone, message: 'Zone de livraison mise à jour avec succès' });
+  } catch (error) {
+    if (error?.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    console.error('Erreur lors de la mise à jour de la zone de livraison:', error);
+    res.status(500).json({ success: false, message: 'Erreur serveur lors de la mise à jour de la zone de livraison' });
+  }
+});
+
+// @desc    Supprimer une zone de livraison
+// @route   DELETE /api/admin/shipping-zones/:id
+// @access  Private/Admin
+router.delete('/shipping-zones/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ success: false, message: 'Zone de livraison non trouvée' });
+    }
+    res.json({ success: true, message: 'Zone de livraison supprimée avec succès' });
+  } catch (error) {
+    console.error('Erreur lors de la suppression de la zone de livraison:', error);
+    res.status(500).json({ success: false, message: 'Erreur serveur lors de la suppression de la zone de livraison' });
+  }
+});
+
 // @desc    Récupérer tous les produits (admin)
 // @route   GET /api/admin/products
 // @access  Private/Admin
@@ -483,7 +799,8 @@ router.post('/products', authenticateToken, requireAdmin, async (req, res) => {
       sku,
       stock,
       status = 'active',
-      gender
+      gender,
+      taxClass
     } = req.body;
     
     // Vérification des champs requis
@@ -580,6 +897,10 @@ router.post('/products', authenticateToken, requireAdmin, async (req, res) => {
       });
     }
 
+    if (taxClass !== undefined && !TAX_CLASSES.includes(taxClass)) {
+      return res.status(400).json({ success: false, message: `Classe fiscale invalide. Valeurs autorisées: ${TAX_CLASSES.join(', ')}` });
+    }
+
     // Normaliser tailles et couleurs
     const allowedSizes = ['XS', 'S', 'M', 'L', 'XL', '2XL', '3XL', '4XL', '5XL', 'Unique'];
     const normalizeSize = (s) => {
@@ -607,6 +928,7 @@ router.post('/products', authenticateToken, requireAdmin, async (req, res) => {
       materials: materials || [],
       sku: (sku || `PROD-${Date.now()}`).toUpperCase(),
       status,
+      ...(taxClass !== undefined ? { taxClass } : {}),
       createdBy: req.user._id
     });
 
@@ -669,7 +991,8 @@ router.put('/products/:id', authenticateToken, requireAdmin, async (req, res) =>
       sku,
       stock,
       status,
-      gender
+      gender,
+      taxClass
     } = req.body;
     
     const product = await Product.findById(req.params.id);
@@ -705,6 +1028,12 @@ router.put('/products/:id', authenticateToken, requireAdmin, async (req, res) =>
       }
       updateData.gender = normalizedGender;
     }
+    if (taxClass !== undefined) {
+      if (!TAX_CLASSES.includes(taxClass)) {
+        return res.status(400).json({ success: false, message: `Classe fiscale invalide. Valeurs autorisées: ${TAX_CLASSES.join(', ')}` });
+      }
+      updateData.taxClass = taxClass;
+    }
     console.log('[ADMIN] Données de mise à jour préparées:', Object.keys(updateData));
 
     const updateOps = { $set: updateData };
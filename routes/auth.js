@@ -5,6 +5,8 @@ const { OAuth2Client } = require('google-auth-library');
 const User = require('../models/User');
 const https = require('https');
 const { sendEmail } = require('../config/mailer');
+const { cartTokenFrom, mergeAnonymousCart } = require('../services/cart');
+const { designTokenFrom, adoptAnonymousCustomizations } = require('../services/customizations');
 const { 
   generateToken, 
   generateRefreshToken, 
@@ -21,6 +23,21 @@ const {
 
 const router = express.Router();
 
+// Rattacher le panier et les designs anonymes à l'utilisateur qui se connecte (sans bloquer la connexion)
+const attachAnonymousSessionOnLogin = async (req, user) => {
+  try {
+    await mergeAnonymousCart(user._id, cartTokenFrom(req));
+  } catch (error) {
+    console.error('Erreur lors de la fusion du panier:', error);
+  }
+  // Rattacher au compte les designs créés avant la connexion
+  try {
+    await adoptAnonymousCustomizations(user._id, designTokenFrom(req));
+  } catch (error) {
+    console.error('Erreur lors du rattachement des designs:', error);
+  }
+};
+
 // Configuration Google OAuth
 const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
@@ -155,6 +172,8 @@ router.post('/login', validateLogin, async (req, res) => {
     await user.save();
     console.log('[server/auth] Login success', { userId: user._id.toString(), email: user.email });
 
+    await attachAnonymousSessionOnLogin(req, user);
+
     // Générer les tokens
     const token = generateToken(user._id);
     const refreshToken = generateRefreshToken(user._id);
@@ -263,6 +282,8 @@ router.post('/google', async (req, res) => {
       });
     }
 
+    await attachAnonymousSessionOnLogin(req, user);
+
     // Générer les tokens
     const token = generateToken(user._id);
     const refreshToken = generateRefreshToken(user._id);
@@ -387,6 +408,8 @@ router.post('/facebook', async (req, res) => {
       return res.status(401).json({ success: false, message: 'Compte désactivé' });
     }
 
+    await attachAnonymousSessionOnLogin(req, user);
+
     const token = generateToken(user._id);
     const refreshToken = generateRefreshToken(user._id);
     const userResponse = user.getPublicProfile();
@@ -1,101 +1,124 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const { optionalAuth } = require('../middleware/auth');
-const CustomizationPricing = require('../models/CustomizationPricing');
-
-// Defaults if DB empty
-const DEFAULTS = {
-  text: { front: 5, back: 5, both: 8 },
-  image: { front: 10, back: 10, both: 15 },
-  combo: { any: 12 },
-};
-
-const loadGrid = async () => {
-  const rows = await CustomizationPricing.find({ isActive: true });
-  const grid = { text: {}, image: {}, combo: {} };
-  for (const r of rows) {
-    if (r && grid[r.type]) {
-      grid[r.type][r.placement] = r.price;
-    }
-  }
-  // Remplir les valeurs par défaut manquantes
-  for (const t of ['text','image']) {
-    for (const p of ['front','back','both']) {
-      if (typeof grid[t][p] !== 'number') grid[t][p] = DEFAULTS[t][p];
-    }
-  }
-  if (typeof grid.combo.any !== 'number') grid.combo.any = DEFAULTS.combo.any;
-  return grid;
-};
+const Product = require('../models/Product');
+const {
+  round2,
+  loadCustomizationGrid,
+  computeCustomizationPrice,
+  computeLayersPrice,
+  computeEmbroideryPrice,
+  PricingError,
+  findVariant,
+  unitPriceFor,
+  priceParts
+} = require('../services/pricing');
+const { loadQuantityRules, quoteQuantity, quantityTiers } = require('../services/bulkPricing');
 
 // POST /api/calculate-price - Calculer le prix total basé sur les sélections
+// (design multi-couches: layers = [{ type, side }], un prix par calque;
+// broderie: embroidery = { stitches, colors, placement }, frais de programmation à part;
+// quantity: tarif de la série selon les paliers du produit / modèle (productModelId), grille par palier)
 router.post('/calculate-price', optionalAuth, async (req, res) => {
   try {
-    const { textFront = false, textBack = false, imageFront = false, imageBack = false, baseModelPrice } = req.body || {};
+    const {
+      textFront = false,
+      textBack = false,
+      imageFront = false,
+      imageBack = false,
+      layers,
+      embroidery,
+      baseModelPrice,
+      productId,
+      productModelId,
+      variant,
+      quantity = 1
+    } = req.body || {};
 
-    const grid = await loadGrid();
-
-    // Determine placements
-    const textPlacement = textFront && textBack ? 'both' : (textFront ? 'front' : (textBack ? 'back' : null));
-    const imagePlacement = imageFront && imageBack ? 'both' : (imageFront ? 'front' : (imageBack ? 'back' : null));
+    if (layers !== undefined && !Array.isArray(layers)) {
+      return res.status(400).json({ success: false, message: 'layers doit être un tableau' });
+    }
+    const qty = Number(quantity);
+    if (!Number.isInteger(qty) || qty < 1) {
+      return res.status(400).json({ success: false, message: 'La quantité doit être un entier positif' });
+    }
+    if (productModelId && !mongoose.Types.ObjectId.isValid(productModelId)) {
+      return res.status(400).json({ success: false, message: 'ID de modèle invalide' });
+    }
 
-    let textPrice = 0;
-    let imagePrice = 0;
-    let comboApplied = false;
-    let textSavings = 0;
-    let imageSavings = 0;
+    const grid = await loadCustomizationGrid();
+    const designPrice = layers
+      ? computeLayersPrice(grid, layers)
+      : computeCustomizationPrice(grid, { textFront, textBack, imageFront, imageBack });
 
-    if (textPlacement) {
-      textPrice = grid.text[textPlacement];
-      if (textPlacement === 'both') {
-        const singles = (grid.text.front + grid.text.back);
-        textSavings = Math.max(0, singles - textPrice);
+    // Prix de base: catalogue si un produit est fourni, sinon prix du modèle transmis
+    let base = Number(baseModelPrice);
+    let product = null;
+    if (productId) {
+      product = mongoose.Types.ObjectId.isValid(productId)
+        ? await Product.findOne({ _id: productId, status: 'active' })
+        : null;
+      if (!product) {
+        return res.status(404).json({ success: false, message: 'Produit non trouvé' });
       }
-    }
-    if (imagePlacement) {
-      imagePrice = grid.image[imagePlacement];
-      if (imagePlacement === 'both') {
-        const singles = (grid.image.front + grid.image.back);
-        imageSavings = Math.max(0, singles - imagePrice);
+      const productVariant = variant ? findVariant(product, variant) : null;
+      if (variant && !productVariant) {
+        return res.status(400).json({ success: false, message: 'Variante non disponible' });
       }
+      base = unitPriceFor(product, productVariant);
     }
 
-    // Appliquer le prix combiné E si texte et image sont sélectionnés
-    let customizationPrice = Number((textPrice + imagePrice).toFixed(2));
-    if (textPlacement && imagePlacement && typeof grid.combo?.any === 'number') {
-      customizationPrice = Number((grid.combo.any).toFixed(2));
-      comboApplied = true;
-    }
+    // Même calcul que la création de commande (tarif au point du produit s'il en définit un)
+    const embroideryPrice = embroidery ? computeEmbroideryPrice(grid, embroidery, { product }) : null;
+    const customizationPrice = round2(designPrice.customizationPrice + (embroideryPrice?.unitPrice || 0));
+    const details = embroideryPrice ? { ...designPrice.details, embroidery: embroideryPrice.details } : designPrice.details;
 
-    const base = Number(baseModelPrice);
     const hasBase = Number.isFinite(base) && base >= 0;
-    const grandTotal = hasBase ? Number((base + customizationPrice).toFixed(2)) : undefined;
+    const grandTotal = hasBase ? round2(base + customizationPrice) : undefined;
+
+    // Paliers de quantité: prix unitaire et total de la série, puis à chaque palier
+    const scope = { product: product?._id, productModel: productModelId };
+    const bulkInput = {
+      parts: [
+        ...(hasBase ? [{ type: 'garment', unitPrice: base }] : []),
+        ...priceParts(designPrice),
+        ...(embroideryPrice ? [{ type: 'embroidery', unitPrice: embroideryPrice.unitPrice }] : [])
+      ],
+      rules: await loadQuantityRules(scope),
+      scope,
+      setupFee: embroideryPrice?.setupFee || 0
+    };
+    const quote = quoteQuantity({ ...bulkInput, quantity: qty });
 
     return res.json({
       success: true,
       data: {
-        selections: { textFront, textBack, imageFront, imageBack },
+        selections: layers
+          ? { layers: details.layers.map(({ type, side }) => ({ type, side })) }
+          : { textFront, textBack, imageFront, imageBack },
         grid,
-        details: {
-          textPlacement: textPlacement || 'none',
-          imagePlacement: imagePlacement || 'none',
-          textPrice,
-          imagePrice,
-          combo: { applied: comboApplied, price: comboApplied ? grid.combo.any : null },
-          savings: {
-            text: textSavings,
-            image: imageSavings,
-            total: Number((textSavings + imageSavings).toFixed(2)),
-          },
-        },
+        details,
         totals: {
           customizationPrice,
+          setupFee: embroideryPrice?.setupFee || 0,
           baseModelPrice: hasBase ? base : null,
           grandTotal: hasBase ? grandTotal : null,
-        }
+          quantity: qty,
+          unitPrice: quote.unitPrice,
+          setupFees: quote.setupFees,
+          effectiveUnitPrice: quote.effectiveUnitPrice,
+          total: quote.total,
+          savings: quote.savings,
+        },
+        quantityPricing: quote.parts,
+        tiers: quantityTiers(bulkInput)
       }
     });
   } catch (err) {
+    if (err instanceof PricingError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
     console.error('[POST calculate-price] error', err);
     res.status(500).json({ success: false, message: 'Erreur serveur' });
   }
@@ -0,0 +1,271 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { findVariant } = require('../services/pricing');
+const { findOwnedCustomization } = require('../services/customizations');
+const { SHIPPING_METHODS, normalizeCountry } = require('../services/shipping');
+const {
+  CART_TOKEN_HEADER,
+  cartTokenFrom,
+  resolveCart,
+  priceCart,
+  mergeAnonymousCart
+} = require('../services/cart');
+
+const router = express.Router();
+
+// Réponse commune: panier recalculé + jeton anonyme le cas échéant
+const sendCart = async (res, cart, status = 200, message) => {
+  const priced = await priceCart(cart);
+  if (cart?.token) {
+    res.set(CART_TOKEN_HEADER, cart.token);
+  }
+  return res.status(status).json({
+    success: true,
+    ...(message ? { message } : {}),
+    data: {
+      cart: {
+        _id: cart?._id || null,
+        cartToken: cart?.token || null,
+        ...priced
+      }
+    }
+  });
+};
+
+// @route   GET /api/cart
+// @desc    Obtenir le panier courant avec les prix recalculés
+// @access  Public (utilisateur connecté ou jeton X-Cart-Token)
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const cart = await resolveCart(req);
+    return sendCart(res, cart);
+  } catch (error) {
+    console.error('Erreur lors de la récupération du panier:', error);
+    res.status(500).json({ success: false, message: 'Erreur interne du serveur' });
+  }
+});
+
+// @route   POST /api/cart/items
+// @desc    Ajouter un article (variante + personnalisation optionnelle)
+// @access  Public
+router.post('/items', optionalAuth, async (req, res) => {
+  try {
+    const { productId, variantId, variant, customizationId } = req.body || {};
+    const quantity = parseInt(req.body?.quantity, 10) || 1;
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ success: false, message: 'ID de produit invalide' });
+    }
+    if (quantity < 1 || quantity > 100) {
+      return res.status(400).json({ success: false, message: 'La quantité doit être entre 1 et 100' });
+    }
+
+    const product = await Product.findOne({ _id: productId, status: 'active' });
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Produit non trouvé' });
+    }
+
+    const productVariant = variantId && mongoose.Types.ObjectId.isValid(variantId)
+      ? product.variants.id(variantId)
+      : findVariant(product, variant);
+    if (!productVariant) {
+      return res.status(400).json({ success: false, message: `Variante non disponible pour le produit: ${product.name}` });
+    }
+
+    if (customizationId) {
+      if (!mongoose.Types.ObjectId.isValid(customizationId)) {
+        return res.status(400).json({ success: false, message: 'ID de personnalisation invalide' });
+      }
+      // Uniquement un design du demandeur (compte ou jeton de design anonyme)
+      if (!await findOwnedCustomization(req, customizationId)) {
+        return res.status(404).json({ success: false, message: 'Personnalisation introuvable' });
+      }
+    }
+
+    const cart = await resolveCart(req, { create: true });
+    const line = cart.addItem({
+      product: product._id,
+      variantId: productVariant._id,
+      quantity,
+      customization: customizationId || null
+    });
+
+    if ((productVariant.stock || 0) < line.quantity) {
+      return res.status(409).json({ success: false, message: `Stock insuffisant pour: ${product.name}` });
+    }
+
+    await cart.save();
+    product.incrementCartAdds();
+    await product.save();
+
+    return sendCart(res, cart, 201, 'Article ajouté au panier');
+  } catch (error) {
+    console.error('Erreur lors de l\'ajout au panier:', error);
+    res.status(500).json({ success: false, message: 'Erreur interne du serveur' });
+  }
+});
+
+// @route   PUT /api/cart/items/:itemId
+// @desc    Modifier la quantité d'un article
+// @access  Public
+router.put('/items/:itemId', optionalAuth, async (req, res) => {
+  try {
+    const quantity = parseInt(req.body?.quantity, 10);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > 100) {
+      return res.status(400).json({ success: false, message: 'La quantité doit être entre 1 et 100' });
+    }
+
+    const cart = await resolveCart(req);
+    const line = cart?.items.id(req.params.itemId);
+    if (!line) {
+      return res.status(404).json({ success: false, message: 'Article non trouvé dans le panier' });
+    }
+
+    line.quantity = quantity;
+    await cart.save();
+
+    return sendCart(res, cart, 200, 'Panier mis à jour');
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour du panier:', error);
+    res.status(500).json({ success: false, message: 'Erreur interne du serveur' });
+  }
+});
+
+// @route   DELETE /api/cart/items/:itemId
+// @desc    Retirer un article du panier
+// @access  Public
+router.delete('/items/:itemId', optionalAuth, async (req, res) => {
+  try {
+    const cart = await resolveCart(req);
+    const line = cart?.items.id(req.params.itemId);
+    if (!line) {
+      return res.status(404).json({ success: false, message: 'Article non trouvé dans le panier' });
+    }
+
+    line.deleteOne();
+    await cart.save();
+
+    return sendCart(res, cart, 200, 'Article retiré du panier');
+  } catch (error) {
+    console.error('Erreur lors du retrait de l\'article:', error);
+    res.status(500).json({ success: false, message: 'Erreur interne du serveur' });
+  }
+});
+
+// @route   POST /api/cart/coupon
+// @desc    Appliquer un code promo au panier
+// @access  Public
+router.post('/coupon', optionalAuth, async (req, res) => {
+  try {
+    const code = (req.body?.code || '').toString().trim();
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'Code promo requis' });
+    }
+
+    const cart = await resolveCart(req);
+    if (!cart || !cart.items.length) {
+      return res.status(400).json({ success: false, message: 'Le panier est vide' });
+    }
+
+    // Vérifier le code contre le contenu actuel du panier avant de l'enregistrer
+    cart.couponCode = code;
+    const { coupon } = await priceCart(cart);
+    if (!coupon?.valid) {
+      return res.status(400).json({
+        success: false,
+        message: coupon?.error || 'Code promo invalide'
+      });
+    }
+    await cart.save();
+
+    return sendCart(res, cart, 200, 'Code promo appliqué');
+  } catch (error) {
+    console.error('Erreur lors de l\'application du code promo:', error);
+    res.status(500).json({ success: false, message: 'Erreur interne du serveur' });
+  }
+});
+
+// @route   DELETE /api/cart/coupon
+// @desc    Retirer le code promo du panier
+// @access  Public
+router.delete('/coupon', optionalAuth, async (req, res) => {
+  try {
+    const cart = await resolveCart(req);
+    if (cart) {
+      cart.couponCode = undefined;
+      await cart.save();
+    }
+    return sendCart(res, cart, 200, 'Code promo retiré');
+  } catch (error) {
+    console.error('Erreur lors du retrait du code promo:', error);
+    res.status(500).json({ success: false, message: 'Erreur interne du serveur' });
+  }
+});
+
+// @route   PUT /api/cart/shipping
+// @desc    Choisir le mode de livraison et la destination (pays, code postal)
+// @access  Public
+router.put('/shipping', optionalAuth, async (req, res) => {
+  try {
+    const { method, country, postalCode } = req.body || {};
+    if (!SHIPPING_METHODS.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: `Mode de livraison invalide. Valeurs autorisées: ${SHIPPING_METHODS.join(', ')}`
+      });
+    }
+
+    const cart = await resolveCart(req, { create: true });
+    cart.shippingMethod = method;
+    if (country !== undefined) cart.shippingDestination.country = country ? normalizeCountry(country) : undefined;
+    if (postalCode !== undefined) cart.shippingDestination.postalCode = postalCode || undefined;
+    await cart.save();
+
+    return sendCart(res, cart, 200, 'Mode de livraison mis à jour');
+  } catch (error) {
+    console.error('Erreur lors du choix de livraison:', error);
+    res.status(500).json({ success: false, message: 'Erreur interne du serveur' });
+  }
+});
+
+// @route   DELETE /api/cart
+// @desc    Vider le panier
+// @access  Public
+router.delete('/', optionalAuth, async (req, res) => {
+  try {
+    const cart = await resolveCart(req);
+    if (cart) {
+      cart.items = [];
+      cart.couponCode = undefined;
+      await cart.save();
+    }
+    return sendCart(res, cart, 200, 'Panier vidé');
+  } catch (error) {
+    console.error('Erreur lors du vidage du panier:', error);
+    res.status(500).json({ success: false, message: 'Erreur interne du serveur' });
+  }
+});
+
+// @route   POST /api/cart/merge
+// @desc    Fusionner un panier anonyme dans celui de l'utilisateur connecté
+// @access  Private
+router.post('/merge', authenticateToken, async (req, res) => {
+  try {
+    const token = cartTokenFrom(req);
+    if (!token) {
+      return res.status(400).json({ success: false, message: 'Jeton de panier requis' });
+    }
+
+    const merged = await mergeAnonymousCart(req.user._id, token);
+    const cart = merged || await resolveCart(req);
+
+    return sendCart(res, cart, 200, 'Panier fusionné');
+  } catch (error) {
+    console.error('Erreur lors de la fusion du panier:', error);
+    res.status(500).json({ success: false, message: 'Erreur interne du serveur' });
+  }
+});
+
+module.exports = router;
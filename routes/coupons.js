@@ -0,0 +1,44 @@
+const express = require('express');
+const { optionalAuth } = require('../middleware/auth');
+const { normalizeCode } = require('../services/coupons');
+const { resolveCart, priceCart } = require('../services/cart');
+
+const router = express.Router();
+
+// @route   POST /api/coupons/validate
+// @desc    Vérifier un code promo contre le panier courant (sans l'appliquer)
+// @access  Public (utilisateur connecté ou jeton X-Cart-Token)
+router.post('/validate', optionalAuth, async (req, res) => {
+  try {
+    const code = normalizeCode(req.body?.code);
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'Code promo requis' });
+    }
+
+    const cart = await resolveCart(req);
+    if (!cart || !cart.items.length) {
+      return res.status(400).json({ success: false, message: 'Le panier est vide' });
+    }
+
+    cart.couponCode = code;
+    const { coupon, totals } = await priceCart(cart);
+    if (!coupon?.valid) {
+      return res.status(400).json({
+        success: false,
+        message: coupon?.error || 'Code promo invalide',
+        data: { coupon }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Code promo valide',
+      data: { coupon, totals }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la validation du code promo:', error);
+    res.status(500).json({ success: false, message: 'Erreur interne du serveur' });
+  }
+});
+
+module.exports = router;
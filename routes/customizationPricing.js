@@ -17,9 +17,9 @@ router.get('/', optionalAuth, async (req, res) => {
 // POST /api/customization-pricing - Créer/mettre à jour un prix (admin)
 router.post('/', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const { type, placement, price, isActive = true } = req.body || {};
-    const allowedTypes = ['text', 'image', 'combo'];
-    const allowedPlacements = ['front', 'back', 'both', 'any'];
+    const { type, placement, price, embroidery, isActive = true } = req.body || {};
+    const allowedTypes = ['text', 'image', 'shape', 'combo', 'embroidery'];
+    const allowedPlacements = ['front', 'back', 'both', 'any', 'left-sleeve', 'right-sleeve'];
     if (!allowedTypes.includes(type)) {
       return res.status(400).json({ success: false, message: 'Type invalide' });
     }
@@ -31,14 +31,29 @@ router.post('/', authenticateToken, requireAdmin, async (req, res) => {
       return res.status(400).json({ success: false, message: 'Prix invalide' });
     }
 
+    // Broderie: paliers de points, couleurs incluses, supplément par couleur, frais de programmation
+    if (embroidery !== undefined && type !== 'embroidery') {
+      return res.status(400).json({ success: false, message: 'Paramètres de broderie réservés au type embroidery' });
+    }
+    if (embroidery?.tiers !== undefined) {
+      const tiers = Array.isArray(embroidery.tiers) ? embroidery.tiers : null;
+      const validTiers = tiers && tiers.every(t => Number.isInteger(Number(t?.maxStitches)) && Number(t.maxStitches) > 0 && Number(t.price) >= 0);
+      if (!validTiers) {
+        return res.status(400).json({ success: false, message: 'Paliers de broderie invalides (maxStitches, price)' });
+      }
+    }
+
     const doc = await CustomizationPricing.findOneAndUpdate(
       { type, placement },
-      { $set: { price: numericPrice, isActive } },
-      { new: true, upsert: true }
+      { $set: { price: numericPrice, isActive, ...(embroidery ? { embroidery } : {}) } },
+      { new: true, upsert: true, runValidators: true }
     );
 
     res.json({ success: true, data: doc });
   } catch (err) {
+    if (err?.name === 'ValidationError' || err?.name === 'CastError') {
+      return res.status(400).json({ success: false, message: 'Données invalides' });
+    }
     console.error('[POST customization-pricing] error', err);
     res.status(500).json({ success: false, message: 'Erreur serveur' });
   }
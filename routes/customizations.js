@@ -1,19 +1,101 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const { optionalAuth } = require('../middleware/auth');
 const Customization = require('../models/Customization');
 const Product = require('../models/Product');
+const ProductModel = require('../models/ProductModel');
+const { DesignRenderError } = require('../services/designRender');
+const { renderPreview, verifyPreviewSignature } = require('../services/mockupPreview');
+const { StorageError } = require('../services/imageStorage');
+const { PlacementError } = require('../services/placement');
+const {
+  DESIGN_TOKEN_HEADER,
+  CustomizationError,
+  generateDesignToken,
+  designTokenFrom,
+  ownerOf,
+  findOwnedCustomization,
+  listCustomizations,
+  designPrice,
+  parseLayers,
+  checkDesign,
+  storeDesignImages,
+  removeStoredImages,
+  updateCustomization,
+  duplicateCustomization,
+  deleteCustomization
+} = require('../services/customizations');
+
+// Erreurs métier (stockage, version concurrente, calque invalide) → statut porté par l'erreur
+const sendKnownError = (res, error) => {
+  if (error instanceof StorageError || error instanceof CustomizationError) {
+    res.status(error.status).json({ message: error.message });
+    return true;
+  }
+  if (error instanceof PlacementError) {
+    res.status(error.status).json({ message: error.message, errors: error.errors });
+    return true;
+  }
+  if (error?.name === 'ValidationError') {
+    res.status(400).json({ message: 'Données invalides', errors: Object.values(error.errors).map(e => e.message) });
+    return true;
+  }
+  return false;
+};
+
+// Champs propriétaire d'un nouveau design (compte, ou jeton anonyme créé au besoin)
+const newOwnerFields = (req, res) => {
+  if (req.user) return { user: req.user._id };
+  const sessionToken = designTokenFrom(req) || generateDesignToken();
+  res.set(DESIGN_TOKEN_HEADER, sessionToken);
+  return { sessionToken };
+};
+
+// placementAdjustments: calques recadrés (mode clamp)
+const designResponse = (doc, extra = {}) => ({
+  id: doc._id,
+  customization: doc,
+  ...extra
+});
+
+// Lister mes designs (dernière version de chaque design)
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const owner = ownerOf(req);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    if (!owner) {
+      return res.json({ data: { customizations: [], pagination: { currentPage: page, totalPages: 0, totalCount: 0 } } });
+    }
+
+    const { customizations, total } = await listCustomizations(owner, { page, limit });
+    return res.json({
+      data: {
+        customizations,
+        pagination: { currentPage: page, totalPages: Math.ceil(total / limit), totalCount: total }
+      }
+    });
+  } catch (error) {
+    console.error('[customizations] GET / error', error);
+    return res.status(500).json({ message: 'Erreur interne du serveur' });
+  }
+});
 
 // Créer une personnalisation
 router.post('/', optionalAuth, async (req, res) => {
   try {
     const {
       productId,
+      productModelId,
       productType,
       productColor,
+      name,
+      layers,
       text,
       image,
-      background
+      background,
+      placementMode
     } = req.body || {};
 
     let product = null;
@@ -24,9 +106,18 @@ router.post('/', optionalAuth, async (req, res) => {
       }
     }
 
+    // Modèle utilisé dans l'éditeur (zones d'impression, rendu)
+    let productModel = null;
+    if (productModelId) {
+      productModel = await ProductModel.findById(productModelId);
+      if (!productModel) {
+        return res.status(404).json({ message: 'Modèle introuvable' });
+      }
+    }
+
     // Validation simple
-    if (!product && !productType) {
-      return res.status(400).json({ message: 'productId ou productType requis' });
+    if (!product && !productModel && !productType) {
+      return res.status(400).json({ message: 'productId, productModelId ou productType requis' });
     }
 
     // Validation taille image (approx, base64)
@@ -38,56 +129,66 @@ router.post('/', optionalAuth, async (req, res) => {
       }
     }
 
-    // Calcul prix de personnalisation si produit fourni
-    let totalPrice = 0;
-    if (product) {
-      const customizations = {};
-      if (text?.side) {
-        customizations.text = {
-          position: text.side,
-          color: text.color,
-          font: text.font
-        };
-      }
-      if (image?.side) {
-        customizations.image = {
-          position: image.side
-        };
-      }
-      try {
-        totalPrice = product.getCustomizationPrice(customizations);
-      } catch (e) {
-        // Ne pas bloquer si méthode échoue
-        totalPrice = product.effectivePrice || (product.price?.sale ?? product.price?.base ?? 0);
-      }
-    }
+    // Format multi-couches: les calques remplacent le texte / l'image uniques de l'ancien format
+    const designLayers = layers !== undefined && layers !== null ? parseLayers(layers) : undefined;
+    const design = designLayers ? { layers: designLayers } : { text, image };
 
-    const doc = await Customization.create({
-      user: req.user?._id,
-      product: product?._id,
-      productType,
-      productColor,
-      text,
-      image,
-      background,
-      totalPrice
-    });
+    // Images envoyées en base64 → stockage (Cloudinary ou disque), seules les références sont enregistrées
+    const stored = await storeDesignImages({ ...design, background });
+
+    let doc;
+    let adjustments;
+    try {
+      // Calques contrôlés contre les zones imprimables du modèle (refusés ou recadrés),
+      // qualité des images évaluée à leur taille d'impression
+      const checked = await checkDesign(
+        { layers: stored.layers, text: design.text, image: stored.image },
+        { productModel, productType: productType || product?.category, mode: placementMode }
+      );
+      adjustments = checked.adjustments;
+
+      // Calcul prix de personnalisation (même moteur que /api/calculate-price et les commandes)
+      const totalPrice = await designPrice(checked.design);
+
+      doc = await Customization.create({
+        ...newOwnerFields(req, res),
+        name,
+        product: product?._id,
+        productModel: productModel?._id,
+        productType: productType || productModel?.type,
+        productColor,
+        layers: checked.design.layers,
+        text: checked.design.text,
+        image: checked.design.image,
+        background: stored.background,
+        artworkWarnings: checked.artworkWarnings,
+        totalPrice
+      });
+    } catch (createError) {
+      await removeStoredImages(stored.stored);
+      throw createError;
+    }
 
     return res.status(201).json({
       message: 'Personnalisation sauvegardée',
-      data: { id: doc._id, customization: doc }
+      data: designResponse(doc, {
+        ...(doc.sessionToken ? { designToken: doc.sessionToken } : {}),
+        ...(adjustments.length ? { placementAdjustments: adjustments } : {})
+      })
     });
   } catch (error) {
+    if (sendKnownError(res, error)) return;
     console.error('[customizations] POST / error', error);
     return res.status(500).json({ message: 'Erreur interne du serveur' });
   }
 });
 
-// Récupérer une personnalisation
+// Récupérer une personnalisation (propriétaire, ou équipe)
 router.get('/:id', optionalAuth, async (req, res) => {
   try {
-    const doc = await Customization.findById(req.params.id).populate('product').populate('user', 'firstName lastName email');
+    const doc = await findOwnedCustomization(req, req.params.id, { allowStaff: true });
     if (!doc) return res.status(404).json({ message: 'Personnalisation introuvable' });
+    await doc.populate('product');
     return res.json({ data: doc });
   } catch (error) {
     console.error('[customizations] GET /:id error', error);
@@ -95,4 +196,112 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
+// Modifier une personnalisation (nouvelle version si elle est déjà commandée)
+router.put('/:id', optionalAuth, async (req, res) => {
+  try {
+    const doc = await findOwnedCustomization(req, req.params.id);
+    if (!doc) return res.status(404).json({ message: 'Personnalisation introuvable' });
+    if (doc.supersededBy) {
+      return res.status(409).json({
+        message: 'Une version plus récente de ce design existe',
+        data: { latestId: doc.supersededBy }
+      });
+    }
+
+    const { name, productColor, layers, text, image, background, placementMode } = req.body || {};
+    const { customization, versioned, adjustments } = await updateCustomization(
+      doc,
+      { name, productColor, layers, text, image, background },
+      { placementMode }
+    );
+
+    return res.status(versioned ? 201 : 200).json({
+      message: versioned
+        ? 'Design déjà commandé: nouvelle version créée'
+        : 'Personnalisation mise à jour',
+      data: designResponse(customization, {
+        versioned,
+        previousVersionId: versioned ? doc._id : undefined,
+        ...(adjustments.length ? { placementAdjustments: adjustments } : {})
+      })
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+    console.error('[customizations] PUT /:id error', error);
+    return res.status(500).json({ message: 'Erreur interne du serveur' });
+  }
+});
+
+// Dupliquer une personnalisation
+router.post('/:id/duplicate', optionalAuth, async (req, res) => {
+  try {
+    const doc = await findOwnedCustomization(req, req.params.id);
+    if (!doc) return res.status(404).json({ message: 'Personnalisation introuvable' });
+
+    const copy = await duplicateCustomization(doc, newOwnerFields(req, res));
+    return res.status(201).json({
+      message: 'Design dupliqué',
+      data: designResponse(copy)
+    });
+  } catch (error) {
+    console.error('[customizations] POST /:id/duplicate error', error);
+    return res.status(500).json({ message: 'Erreur interne du serveur' });
+  }
+});
+
+// Supprimer une personnalisation (archivée si une commande la référence)
+router.delete('/:id', optionalAuth, async (req, res) => {
+  try {
+    const doc = await findOwnedCustomization(req, req.params.id);
+    if (!doc) return res.status(404).json({ message: 'Personnalisation introuvable' });
+
+    const { archived } = await deleteCustomization(doc);
+    return res.json({
+      message: archived ? 'Personnalisation archivée (rattachée à une commande)' : 'Personnalisation supprimée',
+      data: { id: doc._id, archived }
+    });
+  } catch (error) {
+    console.error('[customizations] DELETE /:id error', error);
+    return res.status(500).json({ message: 'Erreur interne du serveur' });
+  }
+});
+
+// Miniature JPEG du design sur le visuel du modèle (emails, back-office, listes de designs):
+// URL signée et non expirée (design.previewUrls), sinon propriétaire ou équipe authentifiés
+router.get('/:id/preview/:side.jpg', optionalAuth, async (req, res) => {
+  try {
+    const { id, side } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Identifiant invalide' });
+    }
+    const doc = verifyPreviewSignature(id, side, req.query.exp, req.query.sig)
+      ? await Customization.findById(id)
+      : await findOwnedCustomization(req, id, { allowStaff: true });
+    if (!doc) return res.status(404).json({ message: 'Personnalisation introuvable' });
+    await doc.populate('productModel');
+
+    const { buffer, etag } = await renderPreview(doc, side, {
+      width: req.query.width,
+      color: req.query.color
+    });
+    res.set({
+      'Content-Type': 'image/jpeg',
+      'Cache-Control': 'private, max-age=86400',
+      // Image intégrée par le front et les clients mail (autre origine que l'API)
+      'Cross-Origin-Resource-Policy': 'cross-origin',
+      ETag: etag
+    });
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+    return res.send(buffer);
+  } catch (error) {
+    if (error instanceof DesignRenderError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('[customizations] GET /:id/preview error', error);
+    return res.status(500).json({ message: 'Erreur interne du serveur' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
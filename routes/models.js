@@ -2,11 +2,19 @@ const express = require('express');
 const router = express.Router();
 const ProductModel = require('../models/ProductModel');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { printAreasFor } = require('../services/printAreas');
+const { DESIGN_SIDES } = require('../services/designLayers');
+
+const sendValidationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Données invalides',
+  errors: Object.values(error.errors).map(e => e.message)
+});
 
 // Créer un modèle (admin)
 router.post('/', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const { name, type, category, gender, basePrice, sizes, colors, images, imagesByColor, active } = req.body;
+    const { name, type, category, gender, basePrice, sizes, colors, images, imagesByColor, printAreas, active } = req.body;
 
     if (!name || !type || !category || !gender || !basePrice || !sizes || !colors || !images || !images.front || !images.back) {
       return res.status(400).json({ success: false, message: 'Champs requis manquants' });
@@ -22,12 +30,14 @@ router.post('/', authenticateToken, requireAdmin, async (req, res) => {
       colors,
       images,
       imagesByColor: imagesByColor || {},
+      printAreas: printAreas || [],
       active: active !== undefined ? active : true,
       createdBy: req.user?._id,
     });
 
     res.status(201).json({ success: true, data: model });
   } catch (error) {
+    if (error?.name === 'ValidationError') return sendValidationError(res, error);
     console.error('Erreur création modèle:', error);
     res.status(500).json({ success: false, message: 'Erreur interne du serveur' });
   }
@@ -67,14 +77,33 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Zones d'impression effectives par face (celles du modèle, sinon celles par défaut du type)
+router.get('/:id/print-areas', async (req, res) => {
+  try {
+    const model = await ProductModel.findById(req.params.id);
+    if (!model) return res.status(404).json({ success: false, message: 'Modèle non trouvé' });
+    const areas = Object.fromEntries(DESIGN_SIDES
+      .map(side => [side, printAreasFor(side, { productType: model.type, printAreas: model.printAreas })])
+      .filter(([, sideAreas]) => sideAreas.length));
+    res.json({ success: true, data: { modelId: model._id, type: model.type, areas } });
+  } catch (error) {
+    console.error('Erreur zones d\'impression modèle:', error);
+    res.status(500).json({ success: false, message: 'Erreur interne du serveur' });
+  }
+});
+
 // Mettre à jour un modèle (admin)
 router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const updates = req.body;
-    const model = await ProductModel.findByIdAndUpdate(req.params.id, updates, { new: true });
+    // Chargement + save: les zones d'impression sont validées comme à la création
+    const model = await ProductModel.findById(req.params.id);
     if (!model) return res.status(404).json({ success: false, message: 'Modèle non trouvé' });
+    model.set(updates);
+    await model.save();
     res.json({ success: true, data: model });
   } catch (error) {
+    if (error?.name === 'ValidationError') return sendValidationError(res, error);
     console.error('Erreur update modèle:', error);
     res.status(500).json({ success: false, message: 'Erreur interne du serveur' });
   }
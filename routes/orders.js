@@ -1,6 +1,6 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
-const Product = require('../models/Product');
 const { 
   authenticateToken, 
   requireAdmin, 
@@ -9,6 +9,27 @@ const {
 const {
   validateOrder
 } = require('../middleware/validation');
+const {
+  PricingError,
+  priceOrderItems,
+  computeOrderTotals
+} = require('../services/pricing');
+const { ShippingError, quoteShipping } = require('../services/shipping');
+const { resolveTaxContext, assignItemTaxRates, orderTaxFields } = require('../services/tax');
+const Invoice = require('../models/Invoice');
+const { InvoiceError, syncOrderDocuments } = require('../services/invoices');
+const { renderInvoicePdf } = require('../services/invoicePdf');
+const { CouponError, evaluateCoupon } = require('../services/coupons');
+const {
+  StockError,
+  reserveStock,
+  reservationTtlFor,
+  releaseReservation,
+  releaseExpiredReservations
+} = require('../services/stockReservation');
+const { ORDER_STATUSES, OrderStatusError } = require('../services/orderStatus');
+const { changeOrderStatus, shipOrder } = require('../services/orderWorkflow');
+const { lockCustomizations } = require('../services/customizations');
 
 const router = express.Router();
 
@@ -17,90 +38,90 @@ const router = express.Router();
 // @access  Private
 router.post('/', authenticateToken, validateOrder, async (req, res) => {
   try {
-    const { items, shippingAddress, billingAddress, paymentMethod, couponCode } = req.body;
-    
-    // Vérifier la disponibilité des produits et calculer les prix
-    let subtotal = 0;
-    let customizationTotal = 0;
-    const orderItems = [];
-
-    for (const item of items) {
-      const product = await Product.findById(item.productId);
-      
-      if (!product || product.status !== 'active') {
-        return res.status(400).json({
+    const { items, shippingAddress, billingAddress, couponCode } = req.body;
+    const paymentMethod = req.body.payment?.method || req.body.paymentMethod;
+
+    // Tarifer les lignes depuis le catalogue et la grille de personnalisation
+    let orderItems;
+    try {
+      orderItems = await priceOrderItems(items, { userId: req.user._id });
+    } catch (pricingError) {
+      if (pricingError instanceof PricingError) {
+        return res.status(pricingError.status).json({
           success: false,
-          message: `Produit non disponible: ${item.productId}`
+          message: pricingError.message
         });
       }
+      throw pricingError;
+    }
 
-      // Vérifier la variante
-      const variant = product.variants.find(v => 
-        v.size === item.variant.size && 
-        v.color === item.variant.color && 
-        v.material === item.variant.material
-      );
-
-      if (!variant) {
-        return res.status(400).json({
+    const { subtotal } = computeOrderTotals({ items: orderItems });
+
+    // Coter la livraison selon la destination, le poids et la classe des articles
+    const shippingMethod = req.body.shipping?.method || req.body.shippingMethod || 'standard';
+    let shippingQuote;
+    try {
+      shippingQuote = await quoteShipping({
+        items: orderItems,
+        country: shippingAddress?.country,
+        postalCode: shippingAddress?.postalCode,
+        method: shippingMethod
+      });
+    } catch (shippingError) {
+      if (shippingError instanceof ShippingError) {
+        return res.status(shippingError.status).json({
           success: false,
-          message: `Variante non disponible pour le produit: ${product.name}`
+          message: shippingError.message
         });
       }
-
-      if (variant.stock < item.quantity) {
-        return res.status(400).json({
-          success: false,
-          message: `Stock insuffisant pour: ${product.name} (${variant.size}, ${variant.color})`
-        });
+      throw shippingError;
+    }
+    let shippingCost = shippingQuote.selected.cost;
+
+    // Appliquer le code promo (validé côté serveur)
+    let discount;
+    if (couponCode) {
+      try {
+        const applied = await evaluateCoupon(couponCode, { items: orderItems, shippingCost, userId: req.user._id });
+        discount = applied.discount;
+        shippingCost = applied.shippingCost;
+      } catch (couponError) {
+        if (couponError instanceof CouponError) {
+          return res.status(couponError.status).json({
+            success: false,
+            message: couponError.message
+          });
+        }
+        throw couponError;
       }
-
-      // Calculer les prix
-      const unitPrice = product.salePrice || product.basePrice;
-      const itemCustomizationPrice = item.customization ? 
-        product.calculateCustomizationPrice(item.customization) : 0;
-
-      const orderItem = {
-        product: product._id,
-        productName: product.name,
-        productImage: product.images[0]?.url || '',
-        variant: item.variant,
-        quantity: item.quantity,
-        unitPrice,
-        customization: item.customization || {},
-        customizationPrice: itemCustomizationPrice,
-        status: 'pending'
-      };
-
-      orderItems.push(orderItem);
-      subtotal += unitPrice * item.quantity;
-      customizationTotal += itemCustomizationPrice * item.quantity;
     }
 
-    // Calculer les frais de livraison (logique simplifiée)
-    const shippingCost = subtotal > 50 ? 0 : 5.99;
-    
-    // Calculer les taxes (exemple: 20% TVA)
-    const taxRate = 0.20;
-    const taxAmount = (subtotal + customizationTotal + shippingCost) * taxRate;
-    
-    // Calculer le total
-    const totalAmount = subtotal + customizationTotal + shippingCost + taxAmount;
+    // TVA selon le pays de livraison, la catégorie des produits et le numéro de TVA (B2B)
+    const taxContext = await resolveTaxContext({
+      country: shippingAddress?.country,
+      vatNumber: req.body.vatNumber || billingAddress?.vatNumber
+    });
+    await assignItemTaxRates(orderItems, taxContext);
 
-    // Créer la commande
+    // Les totaux (sous-total, TVA, total) sont calculés par le hook de sauvegarde
+    // avec la même formule que computeOrderTotals
     const order = new Order({
       user: req.user._id,
       items: orderItems,
       pricing: {
         subtotal,
-        customizationTotal,
-        shipping: shippingCost,
-        tax: taxAmount,
-        total: totalAmount,
+        shipping: {
+          cost: shippingCost,
+          method: shippingMethod,
+          estimatedDays: shippingQuote.selected.estimatedDays
+        },
+        tax: orderTaxFields(taxContext),
+        ...(discount ? { discount } : {}),
+        total: 0,
         currency: 'EUR'
       },
       shippingAddress,
-      billingAddress,
+      billingAddress: billingAddress || shippingAddress,
       payment: {
         method: paymentMethod,
         status: 'pending'
@@ -108,23 +129,35 @@ router.post('/', authenticateToken, validateOrder, async (req, res) => {
       status: 'pending'
     });
 
-    await order.save();
+    // Réserver le stock (décrément atomique par variante, rollback si une ligne échoue)
+    releaseExpiredReservations().catch(err => console.warn('[Stock] Expiration des réservations:', err?.message));
+    try {
+      await reserveStock(order._id, order.items.map(item => ({
+        product: item.product,
+        variantId: item.variantId,
+        quantity: item.quantity,
+        label: `${item.variant.size}${item.variant.color?.name ? `, ${item.variant.color.name}` : ''}`
+      })), { ttlMinutes: reservationTtlFor(paymentMethod) });
+    } catch (stockError) {
+      if (stockError instanceof StockError) {
+        return res.status(stockError.status).json({
+          success: false,
+          message: stockError.message
+        });
+      }
+      throw stockError;
+    }
 
-    // Décrémenter le stock des produits
-    for (const item of orderItems) {
-      await Product.updateOne(
-        { 
-          '_id': item.product,
-          'variants.size': item.variant.size,
-          'variants.color': item.variant.color,
-          'variants.material': item.variant.material
-        },
-        { 
-          $inc: { 'variants.$.stock': -item.quantity }
-        }
-      );
+    try {
+      await order.save();
+    } catch (saveError) {
+      await releaseReservation(order._id, 'Échec de création de la commande');
+      throw saveError;
     }
 
+    // Les designs commandés sont figés: une modification ultérieure créera une nouvelle version
+    await lockCustomizations(order.items.map(item => item.design).filter(Boolean));
+
     await order.populate('user', 'firstName lastName email');
 
     res.status(201).json({
@@ -268,6 +301,8 @@ router.get('/:orderId', authenticateToken, async (req, res) => {
     const order = await Order.findOne(filter)
       .populate('user', 'firstName lastName email')
       .populate('items.product', 'name images')
+      // Design sans les images embarquées: la vue utilise design.previewUrls
+      .populate('items.design', 'productType productModel text image.side image.size image.position layers.type layers.side artworkWarnings')
       .select('-__v');
     
     if (!order) {
@@ -293,6 +328,170 @@ router.get('/:orderId', authenticateToken, async (req, res) => {
   }
 });
 
+// Commande accessible au client propriétaire ou à l'équipe (admin/moderator)
+const findAccessibleOrder = (req) => {
+  const filter = { _id: req.params.orderId };
+  if (!['admin', 'moderator'].includes(req.user.role)) {
+    filter.user = req.user._id;
+  }
+  return Order.findOne(filter);
+};
+
+const sendPdf = async (res, document) => {
+  const pdf = await renderInvoicePdf(document);
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${document.number}.pdf"`,
+    'Content-Length': pdf.length
+  });
+  return res.send(pdf);
+};
+
+// @route   GET /api/orders/:orderId/invoice.pdf
+// @desc    Télécharger la facture d'une commande payée
+// @access  Private (propriétaire ou Admin/Moderator)
+router.get('/:orderId/invoice.pdf', authenticateToken, async (req, res) => {
+  try {
+    const order = await findAccessibleOrder(req);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Commande non trouvée'
+      });
+    }
+
+    // Lecture seule: la facture est émise à l'encaissement (ou via POST /documents)
+    const invoice = await Invoice.findOne({ order: order._id, type: 'invoice', number: { $type: 'string' } });
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Aucune facture émise pour cette commande'
+      });
+    }
+    return sendPdf(res, invoice);
+  } catch (error) {
+    console.error('Erreur lors de la génération de la facture:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   GET /api/orders/:orderId/credit-notes
+// @desc    Lister les avoirs émis pour les remboursements d'une commande
+// @access  Private (propriétaire ou Admin/Moderator)
+router.get('/:orderId/credit-notes', authenticateToken, async (req, res) => {
+  try {
+    const order = await findAccessibleOrder(req);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Commande non trouvée'
+      });
+    }
+
+    const creditNotes = await Invoice.find({ order: order._id, type: 'credit-note', number: { $type: 'string' } })
+      .sort({ issuedAt: 1 });
+    res.json({
+      success: true,
+      data: {
+        creditNotes: creditNotes.map(note => ({
+          _id: note._id,
+          number: note.number,
+          issuedAt: note.issuedAt,
+          reason: note.reason,
+          relatedInvoiceNumber: note.relatedInvoiceNumber,
+          totals: note.totals
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des avoirs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   GET /api/orders/:orderId/credit-notes/:creditNoteId.pdf
+// @desc    Télécharger un avoir
+// @access  Private (propriétaire ou Admin/Moderator)
+router.get('/:orderId/credit-notes/:creditNoteId.pdf', authenticateToken, async (req, res) => {
+  try {
+    const order = await findAccessibleOrder(req);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Commande non trouvée'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.creditNoteId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID d\'avoir invalide'
+      });
+    }
+
+    const creditNote = await Invoice.findOne({
+      _id: req.params.creditNoteId,
+      order: order._id,
+      type: 'credit-note',
+      number: { $type: 'string' }
+    });
+    if (!creditNote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Avoir non trouvé'
+      });
+    }
+
+    return sendPdf(res, creditNote);
+  } catch (error) {
+    console.error('Erreur lors de la génération de l\'avoir:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   POST /api/orders/:orderId/documents
+// @desc    Émettre la facture et les avoirs manquants d'une commande payée (reprise après incident)
+// @access  Private/Admin
+router.post('/:orderId/documents', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const order = await findAccessibleOrder(req);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Commande non trouvée'
+      });
+    }
+
+    const { invoice, creditNotes } = await syncOrderDocuments(order);
+    res.json({
+      success: true,
+      message: 'Documents émis',
+      data: {
+        invoice: { _id: invoice._id, number: invoice.number, issuedAt: invoice.issuedAt },
+        creditNotes: creditNotes.map(note => ({ _id: note._id, number: note.number, issuedAt: note.issuedAt }))
+      }
+    });
+  } catch (error) {
+    if (error instanceof InvoiceError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Erreur lors de l\'émission des documents:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
 // @route   PUT /api/orders/:orderId/status
 // @desc    Mettre à jour le statut d'une commande (Admin/Moderator)
 // @access  Private/Admin/Moderator
@@ -300,16 +499,11 @@ router.put('/:orderId/status', authenticateToken, requireModerator, async (req,
   try {
     const { orderId } = req.params;
     const { status, note } = req.body;
-    
-    const validStatuses = [
-      'pending', 'confirmed', 'processing', 'production', 
-      'shipped', 'delivered', 'cancelled', 'refunded'
-    ];
-    
-    if (!validStatuses.includes(status)) {
+
+    if (!ORDER_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
-        message: 'Statut invalide'
+        message: `Statut invalide. Valeurs autorisées: ${ORDER_STATUSES.join(', ')}`
       });
     }
 
@@ -322,8 +516,8 @@ router.put('/:orderId/status', authenticateToken, requireModerator, async (req,
       });
     }
 
-    // Mettre à jour le statut
-    await order.updateStatus(status, req.user._id, note);
+    // Mettre à jour le statut (transitions contrôlées, effets de bord inclus)
+    await changeOrderStatus(order, status, { note, updatedBy: req.user._id });
 
     await order.populate('user', 'firstName lastName email');
 
@@ -336,6 +530,12 @@ router.put('/:orderId/status', authenticateToken, requireModerator, async (req,
     });
 
   } catch (error) {
+    if (error instanceof OrderStatusError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Erreur lors de la mise à jour du statut:', error);
     res.status(500).json({
       success: false,
@@ -368,8 +568,8 @@ router.put('/:orderId/tracking', authenticateToken, requireModerator, async (req
       });
     }
 
-    // Ajouter les informations de suivi
-    await order.addTracking(carrier, trackingNumber, trackingUrl);
+    // Ajouter les informations de suivi (la commande passe en expédiée)
+    await shipOrder(order, { carrier, trackingNumber, trackingUrl, updatedBy: req.user._id });
 
     await order.populate('user', 'firstName lastName email');
 
@@ -382,6 +582,12 @@ router.put('/:orderId/tracking', authenticateToken, requireModerator, async (req
     });
 
   } catch (error) {
+    if (error instanceof OrderStatusError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Erreur lors de l\'ajout du suivi:', error);
     res.status(500).json({
       success: false,
@@ -414,32 +620,20 @@ router.post('/:orderId/cancel', authenticateToken, async (req, res) => {
       });
     }
 
-    // Vérifier si la commande peut être annulée
-    const cancellableStatuses = ['pending', 'confirmed'];
-    if (!cancellableStatuses.includes(order.status)) {
-      return res.status(400).json({
+    // Le client ne peut annuler qu'avant la mise en production; l'équipe suit la table des transitions
+    const isStaff = ['admin', 'moderator'].includes(req.user.role);
+    if (!isStaff && !['pending', 'confirmed'].includes(order.status)) {
+      return res.status(409).json({
         success: false,
         message: 'Cette commande ne peut plus être annulée'
       });
     }
 
-    // Annuler la commande
-    await order.updateStatus('cancelled', req.user._id, reason || 'Annulée par le client');
-
-    // Remettre en stock les produits
-    for (const item of order.items) {
-      await Product.updateOne(
-        { 
-          '_id': item.product,
-          'variants.size': item.variant.size,
-          'variants.color': item.variant.color,
-          'variants.material': item.variant.material
-        },
-        { 
-          $inc: { 'variants.$.stock': item.quantity }
-        }
-      );
-    }
+    // Annuler la commande (remise en stock et notification incluses)
+    await changeOrderStatus(order, 'cancelled', {
+      note: reason || (isStaff ? 'Annulée par l\'équipe' : 'Annulée par le client'),
+      updatedBy: req.user._id
+    });
 
     await order.populate('user', 'firstName lastName email');
 
@@ -452,6 +646,12 @@ router.post('/:orderId/cancel', authenticateToken, async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof OrderStatusError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Erreur lors de l\'annulation de la commande:', error);
     res.status(500).json({
       success: false,
@@ -1,68 +1,217 @@
 const express = require('express');
-const Stripe = require('stripe');
-const { optionalAuth } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const stripe = require('../config/stripe');
+const Order = require('../models/Order');
+const { authenticateToken } = require('../middleware/auth');
+const { extendReservation } = require('../services/stockReservation');
 
 const router = express.Router();
-const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
 
-// @route   POST /api/payments/create-checkout-session
-// @desc    Créer une session Stripe Checkout et renvoyer l'URL
-// @access  Public (auth optionnelle pour lier l'email client)
-router.post('/create-checkout-session', optionalAuth, async (req, res) => {
-  try {
-    const {
-      items = [], // [{ name, amount, quantity, currency, image }]
-      customerEmail = null,
-      metadata = {},
-      shippingFeeCents = 0
-    } = req.body || {};
-
-    if (!Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Aucun article fourni pour créer la session Checkout'
-      });
-    }
+const toCents = (value) => Math.round((Number(value) || 0) * 100);
 
-    const successUrl = process.env.STRIPE_SUCCESS_URL || 'http://localhost:3000/checkout/success';
-    const cancelUrl = process.env.STRIPE_CANCEL_URL || 'http://localhost:3000/checkout/cancel';
+// Bornes Stripe de expires_at: entre 30 minutes et 24 heures après la création de la session
+const CHECKOUT_MIN_MINUTES = 31;
+const CHECKOUT_MAX_MINUTES = 23 * 60 + 59;
+
+// Construire les lignes Stripe à partir des montants persistés de la commande.
+// Si la décomposition ne retombe pas exactement sur pricing.total (arrondis),
+// une ligne unique au montant de la commande est utilisée.
+const buildCheckoutLineItems = (order) => {
+  const currency = (order.pricing.currency || 'EUR').toLowerCase();
+  const lineItems = [];
 
-    const lineItems = items.map((item) => ({
+  for (const item of order.items) {
+    const name = item.product?.name || 'Article';
+    const details = [item.variant?.size, item.variant?.color?.name].filter(Boolean).join(' / ');
+    const image = item.product?.images?.[0]?.url;
+    lineItems.push({
       price_data: {
-        currency: item.currency || 'EUR',
+        currency,
         product_data: {
-          name: item.name,
-          images: item.image ? [item.image] : []
+          name: details ? `${name} (${details})` : name,
+          images: image ? [image] : []
         },
-        // Stripe attend un montant en centimes
-        unit_amount: Math.round(Number(item.amount))
+        unit_amount: toCents(item.unitPrice)
       },
-      quantity: Number(item.quantity) || 1
-    }));
+      quantity: item.quantity
+    });
 
-    // Ajouter la ligne de livraison si fournie (> 0)
-    if (Number(shippingFeeCents) > 0) {
+    const customizationCents = toCents(item.customization?.totalCustomizationPrice);
+    if (customizationCents > 0) {
       lineItems.push({
         price_data: {
-          currency: 'EUR',
-          product_data: { name: 'Livraison' },
-          unit_amount: Math.round(Number(shippingFeeCents))
+          currency,
+          product_data: { name: `Personnalisation - ${name}` },
+          unit_amount: customizationCents
+        },
+        quantity: 1
+      });
+    }
+  }
+
+  const shippingCents = toCents(order.pricing.shipping?.cost);
+  if (shippingCents > 0) {
+    lineItems.push({
+      price_data: { currency, product_data: { name: 'Livraison' }, unit_amount: shippingCents },
+      quantity: 1
+    });
+  }
+
+  const taxCents = toCents(order.pricing.tax?.amount);
+  if (taxCents > 0) {
+    lineItems.push({
+      price_data: { currency, product_data: { name: 'TVA' }, unit_amount: taxCents },
+      quantity: 1
+    });
+  }
+
+  const discountCents = toCents(order.pricing.discount?.amount);
+  const totalCents = toCents(order.pricing.total);
+  const linesCents = lineItems.reduce((sum, l) => sum + l.price_data.unit_amount * l.quantity, 0);
+
+  if (linesCents - discountCents !== totalCents) {
+    console.warn('[Stripe Checkout] Décomposition incohérente, ligne unique utilisée', {
+      orderId: order._id.toString(),
+      linesCents,
+      discountCents,
+      totalCents
+    });
+    return {
+      lineItems: [{
+        price_data: {
+          currency,
+          product_data: { name: `Commande ${order.orderNumber}` },
+          unit_amount: totalCents
         },
         quantity: 1
+      }],
+      discountCents: 0
+    };
+  }
+
+  return { lineItems, discountCents };
+};
+
+// @route   POST /api/payments/create-checkout-session
+// @desc    Créer une session Stripe Checkout pour une commande existante et renvoyer l'URL
+// @access  Private (propriétaire de la commande ou admin/modérateur)
+router.post('/create-checkout-session', authenticateToken, async (req, res) => {
+  try {
+    const { orderId } = req.body || {};
+
+    if (!orderId || !mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Identifiant de commande requis pour créer la session Checkout'
+      });
+    }
+
+    const filter = { _id: orderId };
+    if (!['admin', 'moderator'].includes(req.user.role)) {
+      filter.user = req.user._id;
+    }
+
+    const order = await Order.findOne(filter).populate('items.product', 'name images');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Commande non trouvée'
+      });
+    }
+
+    if (['completed', 'refunded', 'partially-refunded'].includes(order.payment.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cette commande est déjà payée'
+      });
+    }
+
+    if (['cancelled', 'refunded'].includes(order.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cette commande est annulée'
+      });
+    }
+
+    if (order.payment.method !== 'card') {
+      return res.status(400).json({
+        success: false,
+        message: 'Le moyen de paiement de cette commande n\'est pas la carte bancaire'
+      });
+    }
+
+    // La session expire avec la réservation de stock (prolongée au minimum imposé par Stripe):
+    // un paiement n'est plus possible une fois le stock libéré
+    const reservation = await extendReservation(order._id, new Date(Date.now() + CHECKOUT_MIN_MINUTES * 60 * 1000));
+    if (!reservation) {
+      return res.status(409).json({
+        success: false,
+        message: 'Délai de paiement dépassé: le stock réservé pour cette commande a été libéré'
       });
     }
+    const expiresAt = Math.min(reservation.expiresAt.getTime(), Date.now() + CHECKOUT_MAX_MINUTES * 60 * 1000);
+
+    // Réutiliser une session encore ouverte plutôt que d'en créer une nouvelle
+    if (order.payment.checkoutSessionId) {
+      try {
+        const existing = await stripe.checkout.sessions.retrieve(order.payment.checkoutSessionId);
+        if (existing?.status === 'open' && existing.amount_total === Math.round(order.pricing.total * 100)) {
+          return res.status(200).json({
+            success: true,
+            sessionId: existing.id,
+            url: existing.url
+          });
+        }
+      } catch (retrieveError) {
+        console.warn('[Stripe Checkout] Session précédente introuvable:', retrieveError?.message);
+      }
+    }
+
+    const successUrl = process.env.STRIPE_SUCCESS_URL || 'http://localhost:3000/checkout/success';
+    const cancelUrl = process.env.STRIPE_CANCEL_URL || 'http://localhost:3000/checkout/cancel';
+
+    const { lineItems, discountCents } = buildCheckoutLineItems(order);
+
+    // Remise de la commande appliquée via un coupon Stripe à usage unique
+    let discounts;
+    if (discountCents > 0) {
+      const coupon = await stripe.coupons.create({
+        amount_off: discountCents,
+        currency: (order.pricing.currency || 'EUR').toLowerCase(),
+        duration: 'once',
+        max_redemptions: 1,
+        name: order.pricing.discount?.code || 'Remise'
+      });
+      discounts = [{ coupon: coupon.id }];
+    }
+
+    const metadata = {
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber
+    };
 
     const session = await stripe.checkout.sessions.create({
       mode: 'payment',
       payment_method_types: ['card'],
       line_items: lineItems,
+      discounts,
       success_url: `${successUrl}?session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: cancelUrl,
-      customer_email: customerEmail || req.user?.email || undefined,
-      allow_promotion_codes: true,
-      metadata
+      customer_email: req.user.email || undefined,
+      client_reference_id: order._id.toString(),
+      metadata,
+      payment_intent_data: { metadata },
+      expires_at: Math.floor(expiresAt / 1000)
     });
 
+    order.payment.checkoutSessionId = session.id;
+    if (session.payment_intent) {
+      order.payment.paymentIntentId = typeof session.payment_intent === 'string'
+        ? session.payment_intent
+        : session.payment_intent.id;
+    }
+    await order.save();
+
     return res.status(200).json({
       success: true,
       sessionId: session.id,
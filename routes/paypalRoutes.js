@@ -1,139 +1,120 @@
 const express = require('express');
-const https = require('https');
-const { optionalAuth } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { PAYPAL_BASE, httpRequest, getPayPalAccessToken } = require('../config/paypal');
+const { authenticateToken } = require('../middleware/auth');
+const { findOrderForPayment, markOrderPaid, refundMismatchedPayment } = require('../services/orderPayments');
 
 const router = express.Router();
 
-const PAYPAL_CLIENT_ID = process.env.PAYPAL_CLIENT_ID;
-const PAYPAL_CLIENT_SECRET = process.env.PAYPAL_CLIENT_SECRET;
-const PAYPAL_ENV = (process.env.PAYPAL_ENV || 'sandbox').toLowerCase();
-const PAYPAL_BASE = PAYPAL_ENV === 'live' ? 'https://api-m.paypal.com' : 'https://api-m.sandbox.paypal.com';
-
 // URLs de redirection (fallbacks en développement)
 const DEFAULT_SUCCESS_URL = 'http://localhost:3000/checkout/success';
 const DEFAULT_CANCEL_URL = 'http://localhost:3000/checkout/cancel';
 
-// Helper HTTP via https natif
-const httpRequest = (url, method, headers = {}, body = null) => {
-  return new Promise((resolve, reject) => {
-    try {
-      const parsed = new URL(url);
-      const options = {
-        hostname: parsed.hostname,
-        path: parsed.pathname + (parsed.search || ''),
-        method,
-        headers
-      };
-
-      const req = https.request(options, (res) => {
-        let data = '';
-        res.on('data', (chunk) => (data += chunk));
-        res.on('end', () => {
-          try {
-            const contentType = res.headers['content-type'] || '';
-            const isJSON = contentType.includes('application/json');
-            const parsedData = isJSON ? JSON.parse(data || '{}') : data;
-            if (res.statusCode >= 200 && res.statusCode < 300) {
-              resolve(parsedData);
-            } else {
-              reject({ status: res.statusCode, data: parsedData });
-            }
-          } catch (e) {
-            reject(e);
-          }
-        });
-      });
+const toValue = (cents) => (cents / 100).toFixed(2);
+const toCents = (value) => Math.round((Number(value) || 0) * 100);
 
-      req.on('error', (err) => reject(err));
-      if (body) req.write(body);
-      req.end();
-    } catch (err) {
-      reject(err);
-    }
-  });
-};
+// Construire l'unité d'achat PayPal à partir des montants persistés de la commande.
+// Si la décomposition ne retombe pas exactement sur pricing.total (arrondis),
+// seul le montant total de la commande est transmis.
+const buildPurchaseUnit = (order) => {
+  const currency = (order.pricing.currency || 'EUR').toUpperCase();
+  const money = (cents) => ({ currency_code: currency, value: toValue(cents) });
+  const items = [];
 
-// Obtenir un access token OAuth2 PayPal
-const getPayPalAccessToken = async () => {
-  if (!PAYPAL_CLIENT_ID || !PAYPAL_CLIENT_SECRET) {
-    throw new Error('Configuration PayPal manquante: PAYPAL_CLIENT_ID/PAYPAL_CLIENT_SECRET');
+  for (const item of order.items) {
+    const name = item.product?.name || 'Article';
+    const details = [item.variant?.size, item.variant?.color?.name].filter(Boolean).join(' / ');
+    items.push({
+      name: (details ? `${name} (${details})` : name).slice(0, 127),
+      unit_amount: money(toCents(item.unitPrice)),
+      quantity: String(item.quantity),
+      category: 'PHYSICAL_GOODS'
+    });
+
+    const customizationCents = toCents(item.customization?.totalCustomizationPrice);
+    if (customizationCents > 0) {
+      items.push({
+        name: `Personnalisation - ${name}`.slice(0, 127),
+        unit_amount: money(customizationCents),
+        quantity: '1',
+        category: 'PHYSICAL_GOODS'
+      });
+    }
   }
 
-  const tokenUrl = `${PAYPAL_BASE}/v1/oauth2/token`;
-  const authHeader = Buffer.from(`${PAYPAL_CLIENT_ID}:${PAYPAL_CLIENT_SECRET}`).toString('base64');
-  const body = 'grant_type=client_credentials';
+  const itemCents = items.reduce((sum, it) => sum + toCents(it.unit_amount.value) * Number(it.quantity), 0);
+  const shippingCents = toCents(order.pricing.shipping?.cost);
+  const taxCents = toCents(order.pricing.tax?.amount);
+  const discountCents = toCents(order.pricing.discount?.amount);
+  const totalCents = toCents(order.pricing.total);
 
-  const response = await httpRequest(
-    tokenUrl,
-    'POST',
-    {
-      'Authorization': `Basic ${authHeader}`,
-      'Content-Type': 'application/x-www-form-urlencoded',
-      'Accept': 'application/json'
-    },
-    body
-  );
+  const unit = {
+    reference_id: order.orderNumber,
+    custom_id: order._id.toString(),
+    amount: money(totalCents)
+  };
+
+  if (itemCents + shippingCents + taxCents - discountCents !== totalCents) {
+    console.warn('[PayPal] Décomposition incohérente, montant total seul utilisé', {
+      orderId: order._id.toString(),
+      itemCents,
+      shippingCents,
+      taxCents,
+      discountCents,
+      totalCents
+    });
+    return unit;
+  }
 
-  return response?.access_token;
+  unit.amount.breakdown = {
+    item_total: money(itemCents),
+    shipping: shippingCents > 0 ? money(shippingCents) : undefined,
+    tax_total: taxCents > 0 ? money(taxCents) : undefined,
+    discount: discountCents > 0 ? money(discountCents) : undefined
+  };
+  unit.items = items;
+  return unit;
 };
 
-// Créer un ordre PayPal (intent CAPTURE)
+// Créer un ordre PayPal (intent CAPTURE) pour une commande existante
 // @route   POST /api/paypal/create-order
-// @access  Public (auth optionnelle pour lier l'email)
-router.post('/create-order', optionalAuth, async (req, res) => {
+// @access  Private (propriétaire de la commande ou admin/modérateur)
+router.post('/create-order', authenticateToken, async (req, res) => {
   try {
-    const {
-      items = [], // [{ name, amount (en centimes), quantity, currency, sku }]
-      metadata = {},
-      customerEmail = null,
-      applicationContext = {},
-      shippingFeeCents = 0
-    } = req.body || {};
-
-    if (!Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({ success: false, message: 'Aucun article fourni pour créer l\'ordre PayPal' });
-    }
-
-    const currency = (items[0]?.currency || 'EUR').toUpperCase();
-    const totalCents = items.reduce((sum, it) => {
-      const unit = Math.round(Number(it.amount) || 0);
-      const qty = Number(it.quantity) || 1;
-      return sum + unit * qty;
-    }, 0);
-    const shippingValue = ((Math.round(Number(shippingFeeCents) || 0) / 100).toFixed(2));
-    const totalValue = ((totalCents + Math.round(Number(shippingFeeCents) || 0)) / 100).toFixed(2);
-
-    const paypalItems = items.map((it) => ({
-      name: it.name,
-      unit_amount: {
-        currency_code: (it.currency || currency).toUpperCase(),
-        value: ((Math.round(Number(it.amount) || 0) / 100).toFixed(2))
-      },
-      quantity: String(Number(it.quantity) || 1),
-      category: 'PHYSICAL_GOODS',
-      sku: it.sku || undefined
-    }));
+    const { metadata = {}, customerEmail = null, applicationContext = {} } = req.body || {};
+    // Les montants envoyés par le client sont ignorés: seule la commande enregistrée fait foi
+    const orderId = req.body?.orderId || metadata?.orderId;
+
+    if (!orderId || !mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ success: false, message: 'Identifiant de commande requis pour créer l\'ordre PayPal' });
+    }
+
+    const filter = { _id: orderId };
+    if (!['admin', 'moderator'].includes(req.user.role)) {
+      filter.user = req.user._id;
+    }
+
+    const order = await Order.findOne(filter).populate('items.product', 'name');
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Commande non trouvée' });
+    }
+    if (['completed', 'refunded', 'partially-refunded'].includes(order.payment.status)) {
+      return res.status(409).json({ success: false, message: 'Cette commande est déjà payée' });
+    }
+    if (['cancelled', 'refunded'].includes(order.status)) {
+      return res.status(409).json({ success: false, message: 'Cette commande est annulée' });
+    }
+    if (order.payment.method !== 'paypal') {
+      return res.status(400).json({ success: false, message: 'Le moyen de paiement de cette commande n\'est pas PayPal' });
+    }
 
     const returnUrl = applicationContext.return_url || process.env.PAYPAL_SUCCESS_URL || DEFAULT_SUCCESS_URL;
     const cancelUrl = applicationContext.cancel_url || process.env.PAYPAL_CANCEL_URL || DEFAULT_CANCEL_URL;
 
     const payload = {
       intent: 'CAPTURE',
-      purchase_units: [
-        {
-          amount: {
-            currency_code: currency,
-            value: totalValue,
-            breakdown: {
-              item_total: { currency_code: currency, value: (totalCents / 100).toFixed(2) },
-              shipping: Number(shippingFeeCents) > 0 ? { currency_code: currency, value: shippingValue } : undefined
-            }
-          },
-          items: paypalItems,
-          custom_id: metadata?.orderId || undefined,
-          reference_id: metadata?.reference || undefined
-        }
-      ],
+      purchase_units: [buildPurchaseUnit(order)],
       application_context: {
         brand_name: 'CustomWear',
         user_action: 'PAY_NOW',
@@ -142,13 +123,13 @@ router.post('/create-order', optionalAuth, async (req, res) => {
         cancel_url: cancelUrl
       },
       payer: {
-        email_address: customerEmail || req.user?.email || undefined
+        email_address: customerEmail || req.user.email || undefined
       }
     };
 
     const accessToken = await getPayPalAccessToken();
 
-    const order = await httpRequest(
+    const paypalOrder = await httpRequest(
       `${PAYPAL_BASE}/v2/checkout/orders`,
       'POST',
       {
@@ -159,14 +140,22 @@ router.post('/create-order', optionalAuth, async (req, res) => {
       JSON.stringify(payload)
     );
 
-    const approvalLink = Array.isArray(order?.links)
-      ? order.links.find((l) => l.rel === 'approve')?.href
+    // Lier l'ordre PayPal à la commande pour la capture et les webhooks
+    if (paypalOrder?.id) {
+      await Order.updateOne(
+        { _id: order._id, 'payment.status': { $in: ['pending', 'failed'] } },
+        { $set: { 'payment.paypalOrderId': paypalOrder.id } }
+      );
+    }
+
+    const approvalLink = Array.isArray(paypalOrder?.links)
+      ? paypalOrder.links.find((l) => l.rel === 'approve')?.href
       : null;
 
     return res.status(200).json({
       success: true,
-      orderId: order?.id,
-      status: order?.status,
+      orderId: paypalOrder?.id,
+      status: paypalOrder?.status,
       approveUrl: approvalLink
     });
   } catch (error) {
@@ -176,10 +165,19 @@ router.post('/create-order', optionalAuth, async (req, res) => {
   }
 });
 
-// Capturer un ordre PayPal
+// Vérifier qu'un montant PayPal correspond au total de la commande
+const matchesOrderTotal = (amount, order) => {
+  if (!amount) return false;
+  const currency = (order.pricing.currency || 'EUR').toUpperCase();
+  const cents = Math.round(parseFloat(amount.value) * 100);
+  return (amount.currency_code || '').toUpperCase() === currency &&
+    cents === Math.round(order.pricing.total * 100);
+};
+
+// Capturer un ordre PayPal et régler la commande associée
 // @route   POST /api/paypal/capture-order/:orderId
-// @access  Public
-router.post('/capture-order/:orderId', async (req, res) => {
+// @access  Private (propriétaire de la commande ou admin/modérateur)
+router.post('/capture-order/:orderId', authenticateToken, async (req, res) => {
   try {
     const { orderId } = req.params;
     if (!orderId) {
@@ -187,20 +185,120 @@ router.post('/capture-order/:orderId', async (req, res) => {
     }
 
     const accessToken = await getPayPalAccessToken();
+    const authHeaders = {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    };
+
+    // Lire l'ordre PayPal pour retrouver la commande (custom_id) et contrôler le montant avant capture
+    const paypalOrder = await httpRequest(
+      `${PAYPAL_BASE}/v2/checkout/orders/${encodeURIComponent(orderId)}`,
+      'GET',
+      authHeaders
+    );
+    const purchaseUnit = paypalOrder?.purchase_units?.[0] || {};
+
+    const order = await findOrderForPayment({
+      paypalOrderId: orderId,
+      orderId: purchaseUnit.custom_id
+    });
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Commande associée introuvable' });
+    }
+
+    if (!['admin', 'moderator'].includes(req.user.role) && order.user.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ success: false, message: 'Commande associée introuvable' });
+    }
+
+    if (order.payment.paypalOrderId && order.payment.paypalOrderId !== orderId) {
+      return res.status(409).json({ success: false, message: 'Cet ordre PayPal ne correspond pas à la commande' });
+    }
+
+    if (['completed', 'refunded', 'partially-refunded'].includes(order.payment.status) || paypalOrder?.status === 'COMPLETED') {
+      return res.status(409).json({ success: false, message: 'Cette commande a déjà été payée' });
+    }
+
+    if (['cancelled', 'refunded'].includes(order.status)) {
+      return res.status(409).json({ success: false, message: 'Cette commande est annulée' });
+    }
+
+    if (!matchesOrderTotal(purchaseUnit.amount, order)) {
+      console.warn('[PayPal] Montant de l\'ordre différent de la commande', {
+        orderId: order._id.toString(),
+        paypalAmount: purchaseUnit.amount,
+        expected: order.pricing.total
+      });
+      return res.status(409).json({ success: false, message: 'Le montant PayPal ne correspond pas au total de la commande' });
+    }
+
     const capture = await httpRequest(
       `${PAYPAL_BASE}/v2/checkout/orders/${encodeURIComponent(orderId)}/capture`,
       'POST',
-      {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-      },
+      authHeaders,
       ''
     );
 
+    const captureDetails = capture?.purchase_units?.[0]?.payments?.captures?.[0];
+    order.payment.paypalOrderId = orderId;
+
+    if (capture?.status !== 'COMPLETED' || captureDetails?.status !== 'COMPLETED') {
+      order.timeline.push({
+        status: 'payment-pending',
+        description: `Capture PayPal non finalisée (${captureDetails?.status || capture?.status || 'inconnu'})`,
+        automatic: true
+      });
+      order.payment.status = 'processing';
+      await order.save();
+      return res.status(202).json({
+        success: true,
+        message: 'Capture PayPal en attente de confirmation',
+        data: { orderId: order._id, status: captureDetails?.status || capture?.status }
+      });
+    }
+
+    if (!matchesOrderTotal(captureDetails.amount, order)) {
+      // Capture non conforme: remboursée intégralement, la commande reste à payer
+      try {
+        await refundMismatchedPayment(order, {
+          provider: 'paypal',
+          paymentId: captureDetails.id,
+          amount: captureDetails.amount?.value,
+          currency: captureDetails.amount?.currency_code
+        });
+      } catch (refundError) {
+        // Remboursement impossible: paiement signalé en litige pour traitement manuel
+        console.error('[PayPal] Remboursement de la capture non conforme impossible:', refundError);
+        order.payment.disputes.push({
+          disputeId: `mismatch:${captureDetails.id}`,
+          status: 'refund-pending',
+          reason: 'amount-mismatch',
+          amount: Number(captureDetails.amount?.value) || 0
+        });
+        order.timeline.push({
+          status: 'payment-mismatch',
+          description: `Capture PayPal ${captureDetails.id} de ${captureDetails.amount?.value} ${captureDetails.amount?.currency_code} différente du total de la commande: remboursement à effectuer manuellement`,
+          automatic: true
+        });
+        await order.save();
+      }
+      return res.status(409).json({ success: false, message: 'Le montant capturé ne correspond pas au total de la commande, le paiement a été annulé' });
+    }
+
+    await markOrderPaid(order, {
+      paypalOrderId: orderId,
+      transactionId: captureDetails.id,
+      description: 'Paiement PayPal capturé'
+    });
+
     return res.status(200).json({
       success: true,
-      data: capture
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        paymentStatus: order.payment.status,
+        captureId: captureDetails.id
+      }
     });
   } catch (error) {
     console.error('[PayPal] Erreur capture-order:', error);
@@ -0,0 +1,229 @@
+const express = require('express');
+const { authenticateToken, requireModerator } = require('../middleware/auth');
+const { ITEM_PRODUCTION_STAGES, OrderStatusError } = require('../services/orderStatus');
+const { TECHNIQUES, listProductionItems, updateProductionItems } = require('../services/production');
+const { DesignRenderError } = require('../services/designRender');
+const {
+  PRINT_FORMATS,
+  renderPrintFile,
+  findOrderItem,
+  findCustomizationDesign,
+  findBatchItems,
+  writeBatchArchive
+} = require('../services/printFiles');
+
+const router = express.Router();
+
+// Atelier: réservé à l'équipe (admin / modérateur)
+router.use(authenticateToken, requireModerator);
+
+const MAX_BATCH_ITEMS = 200;
+
+// Réponse commune des mises à jour d'articles (erreurs partielles renvoyées dans data.errors)
+const sendProductionUpdate = (res, { updated, errors }) => {
+  if (!updated.length) {
+    return res.status(errors.length ? 409 : 400).json({
+      success: false,
+      message: errors[0]?.message || 'Aucun article mis à jour',
+      data: { updated, errors }
+    });
+  }
+  res.json({
+    success: true,
+    message: `${updated.length} article(s) mis à jour${errors.length ? `, ${errors.length} en erreur` : ''}`,
+    data: { updated, errors }
+  });
+};
+
+// @route   GET /api/production/items
+// @desc    Articles à produire, regroupés par technique et type de produit
+// @access  Private/Moderator
+router.get('/items', async (req, res) => {
+  try {
+    const { technique, category, operator } = req.query;
+    const stages = req.query.stage
+      ? String(req.query.stage).split(',').filter(stage => [...ITEM_PRODUCTION_STAGES, 'confirmed'].includes(stage))
+      : undefined;
+
+    if (technique && !TECHNIQUES.includes(technique)) {
+      return res.status(400).json({
+        success: false,
+        message: `Technique invalide (${TECHNIQUES.join(', ')})`
+      });
+    }
+    if (stages && !stages.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Étape invalide (${ITEM_PRODUCTION_STAGES.join(', ')})`
+      });
+    }
+
+    const groups = await listProductionItems({ stages, technique, category, operator });
+
+    res.json({
+      success: true,
+      data: {
+        groups,
+        totalItems: groups.reduce((total, group) => total + group.itemCount, 0)
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération de la file de production:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   PATCH /api/production/orders/:orderId/items/:itemId
+// @desc    Changer l'étape d'un article, l'assigner à un opérateur ou à un lot
+// @access  Private/Moderator
+router.patch('/orders/:orderId/items/:itemId', async (req, res) => {
+  try {
+    const { status, operatorId, batch } = req.body;
+    const result = await updateProductionItems(
+      [{ orderId: req.params.orderId, itemId: req.params.itemId }],
+      { status, operatorId, batch, updatedBy: req.user._id }
+    );
+    sendProductionUpdate(res, result);
+  } catch (error) {
+    if (error instanceof OrderStatusError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Erreur lors de la mise à jour de l\'article en production:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   POST /api/production/items/batch
+// @desc    Déplacer plusieurs articles d'un coup (même étape / opérateur / lot)
+// @access  Private/Moderator
+router.post('/items/batch', async (req, res) => {
+  try {
+    const { items, status, operatorId, batch } = req.body;
+    if (!Array.isArray(items) || !items.length || items.some(item => !item?.orderId || !item?.itemId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Liste d\'articles requise: [{ orderId, itemId }]'
+      });
+    }
+    if (items.length > MAX_BATCH_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        message: `${MAX_BATCH_ITEMS} articles maximum par lot`
+      });
+    }
+
+    const result = await updateProductionItems(items, { status, operatorId, batch, updatedBy: req.user._id });
+    sendProductionUpdate(res, result);
+  } catch (error) {
+    if (error instanceof OrderStatusError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Erreur lors de la mise à jour du lot de production:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Envoyer un fichier d'impression en téléchargement
+const sendPrintFile = async (res, { design, baseName }, side, format) => {
+  const { buffer, contentType } = await renderPrintFile(design, side, format);
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${baseName}-${side}.${format}"`,
+    'Content-Length': buffer.length
+  });
+  return res.send(buffer);
+};
+
+const sendRenderError = (res, error, context) => {
+  if (error instanceof DesignRenderError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`Erreur lors de la génération ${context}:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Erreur interne du serveur'
+  });
+};
+
+// @route   GET /api/production/orders/:orderId/items/:itemId/print/:side.:format
+// @desc    Fichier d'impression haute résolution d'une face d'un article (png, svg, pdf)
+// @access  Private/Moderator
+router.get('/orders/:orderId/items/:itemId/print/:side.:format', async (req, res) => {
+  try {
+    const target = await findOrderItem(req.params.orderId, req.params.itemId);
+    await sendPrintFile(res, target, req.params.side, req.params.format);
+  } catch (error) {
+    sendRenderError(res, error, 'du fichier d\'impression');
+  }
+});
+
+// @route   GET /api/production/customizations/:customizationId/print/:side.:format
+// @desc    Fichier d'impression d'une face d'une personnalisation enregistrée
+// @access  Private/Moderator
+router.get('/customizations/:customizationId/print/:side.:format', async (req, res) => {
+  try {
+    const target = await findCustomizationDesign(req.params.customizationId);
+    await sendPrintFile(res, target, req.params.side, req.params.format);
+  } catch (error) {
+    sendRenderError(res, error, 'du fichier d\'impression');
+  }
+});
+
+// @route   GET /api/production/batches/:batch/print-files.zip
+// @desc    Archive ZIP des fichiers d'impression d'un lot (?formats=png,pdf)
+// @access  Private/Moderator
+router.get('/batches/:batch/print-files.zip', async (req, res) => {
+  try {
+    const formats = req.query.formats
+      ? String(req.query.formats).split(',').filter(format => PRINT_FORMATS.includes(format))
+      : PRINT_FORMATS;
+    if (!formats.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Format invalide (${PRINT_FORMATS.join(', ')})`
+      });
+    }
+
+    const entries = await findBatchItems(req.params.batch);
+    if (!entries.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Aucun article dans ce lot'
+      });
+    }
+
+    const fileName = req.params.batch.replace(/[^\w.-]+/g, '_');
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="lot-${fileName}.zip"`
+    });
+    await writeBatchArchive(entries, res, { formats });
+  } catch (error) {
+    // L'archive est déjà partiellement envoyée: on ne peut que couper la réponse
+    if (res.headersSent) {
+      console.error('Erreur lors de l\'export du lot:', error);
+      return res.destroy(error);
+    }
+    sendRenderError(res, error, 'de l\'archive du lot');
+  }
+});
+
+module.exports = router;
@@ -11,6 +11,16 @@ const {
 const {
   validateProduct
 } = require('../middleware/validation');
+const {
+  PricingError,
+  loadCustomizationGrid,
+  computeCustomizationPrice,
+  computeEmbroideryPrice,
+  selectionsFromCustomization,
+  findVariant,
+  unitPriceFor,
+  round2
+} = require('../services/pricing');
 
 const router = express.Router();
 
@@ -316,7 +326,7 @@ router.put('/:productId', authenticateToken, requireModerator, async (req, res)
       'name', 'description', 'category', 'sku', 'images', 'basePrice', 'salePrice',
       'variants', 'customizationOptions', 'specifications', 'seoTitle', 'seoDescription',
       'seoKeywords', 'tags', 'status', 'isFeatured', 'featuredOrder', 'shipping',
-      'isCustomizable'
+      'isCustomizable', 'taxClass'
     ];
 
     allowedFields.forEach(field => {
@@ -463,23 +473,22 @@ router.post('/:productId/reviews', authenticateToken, async (req, res) => {
 });
 
 // @route   GET /api/products/:productId/customization-price
-// @desc    Calculer le prix de personnalisation
+// @desc    Calculer le prix de personnalisation et le prix unitaire personnalisé du produit
+//          (query: customizations JSON, size/color pour la variante)
 // @access  Public
 router.get('/:productId/customization-price', async (req, res) => {
   try {
     const { productId } = req.params;
-    const { customizations } = req.query;
-    
-    if (!customizations) {
-      return res.json({
-        success: true,
-        data: {
-          customizationPrice: 0
-        }
+    const { customizations, size, color } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de produit invalide'
       });
     }
 
-    const product = await Product.findById(productId);
+    const product = await Product.findOne({ _id: productId, status: 'active' });
     
     if (!product) {
       return res.status(404).json({
@@ -488,9 +497,9 @@ router.get('/:productId/customization-price', async (req, res) => {
       });
     }
 
-    let parsedCustomizations;
+    let parsedCustomizations = {};
     try {
-      parsedCustomizations = JSON.parse(customizations);
+      parsedCustomizations = customizations ? JSON.parse(customizations) : {};
     } catch (error) {
       return res.status(400).json({
         success: false,
@@ -498,16 +507,45 @@ router.get('/:productId/customization-price', async (req, res) => {
       });
     }
 
-    const customizationPrice = product.calculateCustomizationPrice(parsedCustomizations);
+    const variant = size ? findVariant(product, { size, color }) : null;
+    if (size && !variant) {
+      return res.status(400).json({
+        success: false,
+        message: `Variante non disponible pour le produit: ${product.name}`
+      });
+    }
+
+    // Même moteur que /api/calculate-price et la création de commande (tarif au point du produit)
+    const grid = await loadCustomizationGrid();
+    const selections = ['textFront', 'textBack', 'imageFront', 'imageBack'].some(k => k in parsedCustomizations)
+      ? parsedCustomizations
+      : selectionsFromCustomization(parsedCustomizations);
+    const designPrice = computeCustomizationPrice(grid, selections);
+    const embroideryPrice = parsedCustomizations.embroidery
+      ? computeEmbroideryPrice(grid, parsedCustomizations.embroidery, { product })
+      : null;
+
+    const basePrice = unitPriceFor(product, variant);
+    const customizationPrice = round2(designPrice.customizationPrice + (embroideryPrice?.unitPrice || 0));
 
     res.json({
       success: true,
       data: {
-        customizationPrice
+        basePrice,
+        customizationPrice,
+        unitPrice: round2(basePrice + customizationPrice),
+        setupFee: embroideryPrice?.setupFee || 0,
+        details: embroideryPrice ? { ...designPrice.details, embroidery: embroideryPrice.details } : designPrice.details
       }
     });
 
   } catch (error) {
+    if (error instanceof PricingError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Erreur lors du calcul du prix de personnalisation:', error);
     res.status(500).json({
       success: false,
@@ -0,0 +1,95 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { authenticateToken, requireAdmin, optionalAuth } = require('../middleware/auth');
+const QuantityPricing = require('../models/QuantityPricing');
+
+// GET /api/quantity-pricing - Paliers de quantité (filtrables par produit / modèle)
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const { product, productModel } = req.query;
+    const filter = {};
+    for (const [key, value] of Object.entries({ product, productModel })) {
+      if (value === undefined) continue;
+      if (value !== 'null' && !mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ success: false, message: 'Identifiant invalide' });
+      }
+      filter[key] = value === 'null' ? null : value;
+    }
+    const items = await QuantityPricing.find(filter).sort({ product: 1, productModel: 1, type: 1 });
+    res.json({ success: true, data: items });
+  } catch (err) {
+    console.error('[GET quantity-pricing] error', err);
+    res.status(500).json({ success: false, message: 'Erreur serveur' });
+  }
+});
+
+// POST /api/quantity-pricing - Créer/mettre à jour les paliers d'un type pour une portée (admin)
+// (product ou productModel, aucun des deux = règle globale)
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { type, product = null, productModel = null, tiers = [], setupFee = 0, isActive = true } = req.body || {};
+    const allowedTypes = ['all', 'garment', 'text', 'image', 'shape', 'combo', 'embroidery'];
+    if (!allowedTypes.includes(type)) {
+      return res.status(400).json({ success: false, message: 'Type invalide' });
+    }
+    if (product && productModel) {
+      return res.status(400).json({ success: false, message: 'Une règle porte sur un produit ou un modèle, pas les deux' });
+    }
+    if ([product, productModel].some(id => id && !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ success: false, message: 'Identifiant invalide' });
+    }
+    const validTiers = Array.isArray(tiers) && tiers.every(t =>
+      Number.isInteger(Number(t?.minQuantity)) && Number(t.minQuantity) >= 2 &&
+      Number(t.discountPercent) >= 0 && Number(t.discountPercent) <= 100
+    );
+    if (!validTiers) {
+      return res.status(400).json({ success: false, message: 'Paliers invalides (minQuantity ≥ 2, discountPercent entre 0 et 100)' });
+    }
+    const numericFee = Number(setupFee);
+    if (!Number.isFinite(numericFee) || numericFee < 0) {
+      return res.status(400).json({ success: false, message: 'Frais de lancement invalides' });
+    }
+
+    const doc = await QuantityPricing.findOneAndUpdate(
+      { type, product, productModel },
+      {
+        $set: {
+          tiers: [...tiers]
+            .map(t => ({ minQuantity: Number(t.minQuantity), discountPercent: Number(t.discountPercent) }))
+            .sort((a, b) => a.minQuantity - b.minQuantity),
+          setupFee: numericFee,
+          isActive
+        }
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.json({ success: true, data: doc });
+  } catch (err) {
+    if (err?.name === 'ValidationError' || err?.name === 'CastError') {
+      return res.status(400).json({ success: false, message: 'Données invalides' });
+    }
+    console.error('[POST quantity-pricing] error', err);
+    res.status(500).json({ success: false, message: 'Erreur serveur' });
+  }
+});
+
+// DELETE /api/quantity-pricing/:id - Supprimer une règle de paliers (admin)
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'ID invalide' });
+    }
+    const doc = await QuantityPricing.findByIdAndDelete(req.params.id);
+    if (!doc) {
+      return res.status(404).json({ success: false, message: 'Règle non trouvée' });
+    }
+    res.json({ success: true, message: 'Règle supprimée' });
+  } catch (err) {
+    console.error('[DELETE quantity-pricing] error', err);
+    res.status(500).json({ success: false, message: 'Erreur serveur' });
+  }
+});
+
+module.exports = router;
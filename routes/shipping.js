@@ -0,0 +1,69 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { optionalAuth } = require('../middleware/auth');
+const { SHIPPING_METHODS, ShippingError, quoteShipping } = require('../services/shipping');
+const { resolveCart, priceCart } = require('../services/cart');
+
+const router = express.Router();
+
+// @route   GET /api/shipping/quote
+// @desc    Coter la livraison du panier courant (ou d'un produit) pour une destination
+// @access  Public (utilisateur connecté ou jeton X-Cart-Token)
+router.get('/quote', optionalAuth, async (req, res) => {
+  try {
+    const { country, postalCode, method, productId } = req.query;
+
+    if (method && !SHIPPING_METHODS.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: `Mode de livraison invalide. Valeurs autorisées: ${SHIPPING_METHODS.join(', ')}`
+      });
+    }
+
+    // Estimation depuis une fiche produit, sans panier
+    if (productId) {
+      if (!mongoose.Types.ObjectId.isValid(productId)) {
+        return res.status(400).json({ success: false, message: 'ID de produit invalide' });
+      }
+      const product = await Product.findOne({ _id: productId, status: 'active' });
+      if (!product) {
+        return res.status(404).json({ success: false, message: 'Produit non trouvé' });
+      }
+      const quantity = Math.max(1, parseInt(req.query.quantity, 10) || 1);
+      const quote = await quoteShipping({
+        items: [{ product: product._id, quantity, unitPrice: product.effectivePrice || 0 }],
+        country,
+        postalCode,
+        method
+      });
+      return res.json({ success: true, data: { quote } });
+    }
+
+    const cart = await resolveCart(req);
+    if (!cart || !cart.items.length) {
+      return res.status(400).json({ success: false, message: 'Le panier est vide' });
+    }
+
+    // Cotation sans modifier le panier enregistré
+    if (country !== undefined || postalCode !== undefined) {
+      cart.shippingDestination = { country, postalCode };
+    }
+    if (method) cart.shippingMethod = method;
+
+    const { shipping } = await priceCart(cart);
+    if (shipping.error) {
+      return res.status(422).json({ success: false, message: shipping.error, data: { quote: shipping } });
+    }
+
+    res.json({ success: true, data: { quote: shipping } });
+  } catch (error) {
+    if (error instanceof ShippingError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Erreur lors de la cotation de la livraison:', error);
+    res.status(500).json({ success: false, message: 'Erreur interne du serveur' });
+  }
+});
+
+module.exports = router;
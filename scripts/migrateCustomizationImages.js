@@ -0,0 +1,89 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Customization = require('../models/Customization');
+const { storeDataUrl, activeStorage, StorageError } = require('../services/imageStorage');
+
+// Convertit les images base64 des personnalisations (image.dataUrl, background.imageDataUrl)
+// en fichiers stockés (Cloudinary ou disque local) et ne garde que les références.
+// Usage: node scripts/migrateCustomizationImages.js [--dry-run] [--limit=100]
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const limit = parseInt((args.find(arg => arg.startsWith('--limit=')) || '').split('=')[1], 10) || 0;
+
+const migrateDocument = async (doc) => {
+  const set = {};
+  const unset = {};
+
+  if (doc.image?.dataUrl) {
+    const file = await storeDataUrl(doc.image.dataUrl);
+    Object.assign(set, {
+      'image.url': file.url,
+      'image.publicId': file.publicId,
+      'image.storage': file.storage,
+      'image.width': file.width,
+      'image.height': file.height,
+      'image.colorSpace': file.colorSpace,
+      'image.hasTransparency': file.hasTransparency
+    });
+    unset['image.dataUrl'] = '';
+  }
+
+  if (doc.background?.imageDataUrl) {
+    const file = await storeDataUrl(doc.background.imageDataUrl, { folder: 'customizations/backgrounds' });
+    Object.assign(set, {
+      'background.imageUrl': file.url,
+      'background.imagePublicId': file.publicId,
+      'background.imageStorage': file.storage,
+      'background.imageWidth': file.width,
+      'background.imageHeight': file.height
+    });
+    unset['background.imageDataUrl'] = '';
+  }
+
+  // Ne pas modifier updatedAt: la personnalisation n'a pas changé pour le client
+  await Customization.updateOne({ _id: doc._id }, { $set: set, $unset: unset }, { timestamps: false });
+};
+
+const migrateCustomizationImages = async () => {
+  const stats = { migrated: 0, failed: 0 };
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/customwear');
+    console.log('✅ Connexion à MongoDB réussie');
+
+    const filter = {
+      $or: [
+        { 'image.dataUrl': { $exists: true, $nin: [null, ''] } },
+        { 'background.imageDataUrl': { $exists: true, $nin: [null, ''] } }
+      ]
+    };
+    const total = await Customization.countDocuments(filter);
+    console.log(`🖼️  ${total} personnalisation(s) avec images base64 — stockage: ${activeStorage()}${dryRun ? ' (simulation)' : ''}`);
+    if (dryRun) return;
+
+    let query = Customization.find(filter).select('image.dataUrl background.imageDataUrl').lean();
+    if (limit) query = query.limit(limit);
+    const cursor = query.batchSize(20).cursor();
+
+    for await (const doc of cursor) {
+      try {
+        await migrateDocument(doc);
+        stats.migrated += 1;
+        if (stats.migrated % 50 === 0) console.log(`   … ${stats.migrated} migrée(s)`);
+      } catch (error) {
+        stats.failed += 1;
+        const reason = error instanceof StorageError ? error.message : error?.message;
+        console.error(`⚠️  ${doc._id}: ${reason}`);
+      }
+    }
+
+    console.log(`🎉 Migration terminée: ${stats.migrated} migrée(s), ${stats.failed} en échec`);
+  } catch (error) {
+    console.error('❌ Erreur lors de la migration des images:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Connexion MongoDB fermée');
+    process.exit(stats.failed ? 1 : 0);
+  }
+};
+
+migrateCustomizationImages();
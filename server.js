@@ -9,7 +9,12 @@ const connectDB = require('./config/database');
 const path = require('path');
 const fs = require('fs');
 require('dotenv').config();
-const Stripe = require('stripe');
+const stripe = require('./config/stripe');
+const { processStripeEvent } = require('./services/stripeWebhook');
+const { verifyWebhookSignature: verifyPayPalWebhookSignature } = require('./config/paypal');
+const { processPayPalEvent } = require('./services/paypalWebhook');
+const { releaseExpiredReservations } = require('./services/stockReservation');
+const { UPLOAD_DIR } = require('./services/imageStorage');
 
 // Import des routes
 const authRoutes = require('./routes/auth');
@@ -22,7 +27,12 @@ const paypalRoutes = require('./routes/paypalRoutes');
 const customizationRoutes = require('./routes/customizations');
 const modelRoutes = require('./routes/models');
 const customizationPricingRoutes = require('./routes/customizationPricing');
+const quantityPricingRoutes = require('./routes/quantityPricing');
 const calculatePriceRoutes = require('./routes/calculatePrice');
+const cartRoutes = require('./routes/cart');
+const couponRoutes = require('./routes/coupons');
+const shippingRoutes = require('./routes/shipping');
+const productionRoutes = require('./routes/production');
 
 const app = express();
 // Derrière proxy/CDN (Vercel), faire confiance au premier proxy uniquement
@@ -51,11 +61,10 @@ app.use(async (req, res, next) => {
 });
 
 // Configuration Stripe
-const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
 const stripeWebhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
 
 // IMPORTANT: Déclarer le webhook Stripe AVANT express.json pour conserver le body brut
-app.post('/api/stripe/webhook', express.raw({ type: 'application/json' }), (req, res) => {
+app.post('/api/stripe/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
   const sig = req.headers['stripe-signature'];
   let event;
   try {
@@ -66,23 +75,56 @@ app.post('/api/stripe/webhook', express.raw({ type: 'application/json' }), (req,
   }
 
   try {
-    switch (event.type) {
-      case 'payment_intent.succeeded':
-        // TODO: marquer la commande comme payée en utilisant payment_intent.id
-        break;
-      case 'payment_intent.payment_failed':
-        // TODO: marquer la commande comme échouée
-        break;
-      case 'charge.refunded':
-        // TODO: enregistrer le remboursement sur la commande
-        break;
-      default:
-        // Autres événements non gérés explicitement
-        break;
+    if (mongoose.connection.readyState < 1) {
+      await connectDB();
     }
-    res.json({ received: true });
+    // Réconciliation des commandes (paiement, échec, remboursement), idempotente par event.id
+    const result = await processStripeEvent(event);
+    if (result.retry) {
+      // Commande introuvable: un statut non 2xx laisse Stripe renvoyer l'événement
+      return res.status(404).json({ message: 'Commande liée à l\'événement introuvable' });
+    }
+    res.json({ received: true, duplicate: Boolean(result.duplicate) });
   } catch (err) {
     console.error('[Stripe Webhook] Erreur de traitement:', err);
+    // Un statut 500 laisse Stripe renvoyer l'événement plus tard
+    res.status(500).json({ message: 'Erreur interne lors du traitement du webhook' });
+  }
+});
+
+// Webhook PayPal: corps brut conservé pour la vérification de signature
+app.post('/api/paypal/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+  const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+  let event;
+  try {
+    event = JSON.parse(rawBody);
+  } catch (err) {
+    return res.status(400).send('Webhook Error: corps JSON invalide');
+  }
+
+  try {
+    const verified = await verifyPayPalWebhookSignature(req.headers, rawBody);
+    if (!verified) {
+      console.error('[PayPal Webhook] Signature invalide', { id: event?.id, type: event?.event_type });
+      return res.status(400).send('Webhook Error: signature invalide');
+    }
+  } catch (err) {
+    console.error('[PayPal Webhook] Vérification de signature impossible:', err?.message || err);
+    return res.status(500).json({ message: 'Vérification de signature impossible' });
+  }
+
+  try {
+    if (mongoose.connection.readyState < 1) {
+      await connectDB();
+    }
+    const result = await processPayPalEvent(event);
+    if (result.retry) {
+      // Commande introuvable: un statut non 2xx laisse PayPal renvoyer l'événement
+      return res.status(404).json({ message: 'Commande liée à l\'événement introuvable' });
+    }
+    res.json({ received: true, duplicate: Boolean(result.duplicate) });
+  } catch (err) {
+    console.error('[PayPal Webhook] Erreur de traitement:', err);
     res.status(500).json({ message: 'Erreur interne lors du traitement du webhook' });
   }
 });
@@ -145,6 +187,8 @@ const corsOptions = {
     return callback(null, false);
   },
   credentials: true,
+  // Jetons anonymes (panier, designs) lisibles côté client
+  exposedHeaders: ['X-Cart-Token', 'X-Design-Token'],
   optionsSuccessStatus: 200
 };
 app.use(cors(corsOptions));
@@ -180,6 +224,12 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
+// Images du stockage local (IMAGE_STORAGE=local), intégrées par le front sur une autre origine
+app.use('/uploads', express.static(UPLOAD_DIR, {
+  maxAge: '7d',
+  setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+}));
+
 // Routes API
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
@@ -188,9 +238,14 @@ app.use('/api/orders', orderRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/paypal', paypalRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/production', productionRoutes);
 app.use('/api/customizations', customizationRoutes);
 app.use('/api/models', modelRoutes);
 app.use('/api/customization-pricing', customizationPricingRoutes);
+app.use('/api/quantity-pricing', quantityPricingRoutes);
 app.use('/api', calculatePriceRoutes);
 
 // Routes de base
@@ -260,6 +315,13 @@ const HOST = process.env.HOST || '0.0.0.0';
 if (process.env.VERCEL) {
   module.exports = app;
 } else {
+  // Libérer périodiquement le stock des commandes non payées
+  setInterval(() => {
+    releaseExpiredReservations().catch(err => {
+      console.error('[Stock] Erreur lors de l\'expiration des réservations:', err?.message || err);
+    });
+  }, 60 * 1000).unref();
+
   app.listen(PORT, HOST, () => {
     console.log(`🚀 Serveur CustomWear démarré sur ${HOST}:${PORT}`);
     console.log(`🌍 Environnement: ${process.env.NODE_ENV || 'development'}`);
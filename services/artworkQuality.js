@@ -0,0 +1,103 @@
+const { printAreasFor } = require('./printAreas');
+const { DESIGN_CANVAS_WIDTH } = require('./designRender');
+const { layersOf } = require('./designLayers');
+
+// Résolution minimale recommandée à la taille d'impression, et seuil en dessous duquel
+// le visuel sera visiblement pixelisé
+const MIN_PRINT_DPI = Number(process.env.MIN_PRINT_DPI) || 150;
+const CRITICAL_PRINT_DPI = 72;
+
+// Côté (px) en dessous duquel une image est considérée comme une miniature
+const TINY_IMAGE_PX = 300;
+
+const CM_PER_INCH = 2.54;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Zone d'impression du calque: celle qui contient son centre, sinon la première de la face
+const areaOf = (layer, areas) => {
+  const x = Number(layer.position?.x ?? 50);
+  const y = Number(layer.position?.y ?? 50);
+  return areas.find(area => x >= area.x && x <= area.x + area.width && y >= area.y && y <= area.y + area.height) || areas[0];
+};
+
+// Taille imprimée et résolution effective d'un calque image sur le modèle
+const imageQuality = (layer, area) => {
+  const { width, height, size } = layer.image;
+  const printWidthCm = ((Number(size) || 100) / DESIGN_CANVAS_WIDTH) * 100 * (area.widthCm / area.width);
+  const printHeightCm = printWidthCm * (height / width);
+  return {
+    dpi: Math.round(width / (printWidthCm / CM_PER_INCH)),
+    printWidthCm: round1(printWidthCm),
+    printHeightCm: round1(printHeightCm)
+  };
+};
+
+// Avertissements d'un calque image (résolution, miniature agrandie, couleurs, fond opaque)
+const imageWarnings = (layer, quality) => {
+  const { width, height, size, colorSpace, hasTransparency } = layer.image;
+  const warnings = [];
+  if (quality.dpi < MIN_PRINT_DPI) {
+    warnings.push({
+      code: 'low-resolution',
+      severity: quality.dpi < CRITICAL_PRINT_DPI ? 'critical' : 'warning',
+      message: `Résolution insuffisante: ${quality.dpi} DPI à ${quality.printWidthCm} × ${quality.printHeightCm} cm (minimum conseillé ${MIN_PRINT_DPI} DPI)`
+    });
+  }
+  if (Math.min(width, height) < TINY_IMAGE_PX && (Number(size) || 100) > width) {
+    warnings.push({
+      code: 'stretched',
+      severity: 'warning',
+      message: `Petite image (${width} × ${height} px) agrandie au-delà de sa taille d'origine`
+    });
+  }
+  if (colorSpace === 'cmyk') {
+    warnings.push({
+      code: 'cmyk',
+      severity: 'info',
+      message: 'Image en CMJN: les couleurs seront converties en RVB pour l\'impression'
+    });
+  }
+  if (hasTransparency === false) {
+    warnings.push({
+      code: 'no-transparency',
+      severity: 'info',
+      message: 'Image sans transparence: son fond sera imprimé'
+    });
+  }
+  return warnings;
+};
+
+// Contrôler les images d'un design à leur taille d'impression sur le modèle.
+// design: { layers } ou ancien format { text, image }; options: { productType, printAreas }.
+// Retourne le design (image.quality renseigné) et la liste des avertissements par calque.
+// Les images sans dimensions connues (ancien stockage base64) ne sont pas évaluées.
+const assessArtwork = (design, { productType, printAreas } = {}) => {
+  const legacy = !design.layers?.length;
+  const layers = legacy ? layersOf(design) : design.layers;
+  const warnings = [];
+
+  const assessed = layers.map((layer, index) => {
+    if (layer.type !== 'image' || !layer.image?.width || !layer.image?.height) return layer;
+    const area = areaOf(layer, printAreasFor(layer.side || 'front', { productType, printAreas }));
+    if (!area) return layer;
+
+    const quality = imageQuality(layer, area);
+    for (const warning of imageWarnings(layer, quality)) {
+      warnings.push({ layer: legacy ? 'image' : index, side: layer.side || 'front', dpi: quality.dpi, ...warning });
+    }
+    return { ...layer, image: { ...layer.image, quality } };
+  });
+
+  if (!legacy) return { design: { ...design, layers: assessed }, warnings };
+  const image = assessed.find(layer => layer.type === 'image');
+  return {
+    design: image?.image.quality ? { ...design, image: { ...design.image, quality: image.image.quality } } : design,
+    warnings
+  };
+};
+
+module.exports = {
+  MIN_PRINT_DPI,
+  assessArtwork
+};
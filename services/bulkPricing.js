@@ -0,0 +1,82 @@
+const QuantityPricing = require('../models/QuantityPricing');
+const { round2 } = require('./money');
+
+const sameId = (a, b) => Boolean(a && b) && String(a) === String(b);
+
+// Règles de paliers actives applicables à un produit et/ou un modèle (règles globales incluses)
+const loadQuantityRules = async ({ product, productModel } = {}) => {
+  const scopes = [{ product: null, productModel: null }];
+  if (product) scopes.push({ product });
+  if (productModel) scopes.push({ productModel });
+  return QuantityPricing.find({ isActive: true, $or: scopes }).lean();
+};
+
+// Règle d'un type de prix: produit, puis modèle, puis globale; à portée égale le type exact avant 'all'
+const ruleFor = (rules, type, { product, productModel } = {}) => {
+  const rank = (rule) => (rule.product ? 0 : rule.productModel ? 2 : 4) + (rule.type === 'all' ? 1 : 0);
+  return rules
+    .filter(rule => rule.type === type || rule.type === 'all')
+    .filter(rule => (!rule.product || sameId(rule.product, product)) && (!rule.productModel || sameId(rule.productModel, productModel)))
+    .sort((a, b) => rank(a) - rank(b))[0] || null;
+};
+
+// Palier atteint par une quantité (le plus élevé dont le minimum est atteint)
+const tierFor = (rule, quantity) => [...(rule?.tiers || [])]
+  .sort((a, b) => b.minQuantity - a.minQuantity)
+  .find(tier => quantity >= tier.minQuantity) || null;
+
+// Tarif d'une série: chaque composante du prix unitaire (parts: [{ type, unitPrice }], type
+// 'garment' pour l'article, sinon type de personnalisation) reçoit la remise de son palier;
+// les frais de lancement (ceux des règles dont un palier est atteint + setupFee, ex. programmation
+// broderie) sont facturés une fois et amortis sur la quantité.
+const quoteQuantity = ({ parts = [], quantity = 1, rules = [], scope = {}, setupFee = 0 }) => {
+  const qty = Math.max(1, Number(quantity) || 1);
+  const ruleFees = new Map();
+
+  const lines = parts.map(part => {
+    const rule = ruleFor(rules, part.type, scope);
+    const tier = tierFor(rule, qty);
+    if (tier && rule.setupFee) ruleFees.set(String(rule._id), rule.setupFee);
+    const discountPercent = tier?.discountPercent || 0;
+    return {
+      type: part.type,
+      baseUnitPrice: round2(part.unitPrice),
+      minQuantity: tier?.minQuantity || 1,
+      discountPercent,
+      unitPrice: round2(part.unitPrice * (1 - discountPercent / 100))
+    };
+  });
+
+  const unitPrice = round2(lines.reduce((total, line) => total + line.unitPrice, 0));
+  const setupFees = round2([...ruleFees.values()].reduce((total, fee) => total + fee, Number(setupFee) || 0));
+  const total = round2(unitPrice * qty + setupFees);
+
+  return {
+    quantity: qty,
+    unitPrice,
+    setupFees,
+    setupFeePerUnit: round2(setupFees / qty),
+    effectiveUnitPrice: round2(total / qty),
+    total,
+    savings: round2(lines.reduce((sum, line) => sum + (line.baseUnitPrice - line.unitPrice), 0) * qty),
+    parts: lines
+  };
+};
+
+// Grille affichable: tarif unitaire et total au seuil de chaque palier des règles applicables
+const quantityTiers = ({ parts = [], rules = [], scope = {}, setupFee = 0 }) => {
+  const thresholds = new Set([1]);
+  for (const part of parts) {
+    for (const tier of ruleFor(rules, part.type, scope)?.tiers || []) thresholds.add(tier.minQuantity);
+  }
+  return [...thresholds]
+    .sort((a, b) => a - b)
+    .map(minQuantity => ({ minQuantity, ...quoteQuantity({ parts, quantity: minQuantity, rules, scope, setupFee }) }));
+};
+
+module.exports = {
+  loadQuantityRules,
+  ruleFor,
+  quoteQuantity,
+  quantityTiers
+};
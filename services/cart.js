@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const Customization = require('../models/Customization');
+const {
+  round2,
+  loadCustomizationGrid,
+  priceDesign,
+  priceParts,
+  unitPriceFor,
+  computeOrderTotals
+} = require('./pricing');
+const { ShippingError, quoteShipping } = require('./shipping');
+const { resolveTaxContext, assignItemTaxRates, orderTaxFields } = require('./tax');
+const { CouponError, evaluateCoupon } = require('./coupons');
+const { loadQuantityRules, quoteQuantity } = require('./bulkPricing');
+
+const CART_TOKEN_HEADER = 'x-cart-token';
+
+const generateCartToken = () => crypto.randomBytes(24).toString('hex');
+
+const cartTokenFrom = (req) => (req.headers[CART_TOKEN_HEADER] || req.body?.cartToken || req.query?.cartToken || '').toString().trim() || null;
+
+// Retrouver le panier de la requête (utilisateur connecté ou jeton anonyme), le créer si demandé
+const resolveCart = async (req, { create = false } = {}) => {
+  if (req.user) {
+    let cart = await Cart.findOne({ user: req.user._id });
+    if (!cart && create) {
+      cart = new Cart({ user: req.user._id });
+    }
+    return cart;
+  }
+
+  const token = cartTokenFrom(req);
+  let cart = token ? await Cart.findOne({ token, user: { $exists: false } }) : null;
+  if (!cart && create) {
+    cart = new Cart({ token: generateCartToken() });
+  }
+  return cart;
+};
+
+// Recalculer les prix du panier depuis le catalogue et la grille de personnalisation
+const priceCart = async (cart, { userId = cart?.user || null } = {}) => {
+  if (!cart) {
+    return { items: [], totals: computeOrderTotals({ items: [] }), shipping: { method: 'standard', cost: 0 } };
+  }
+
+  const grid = await loadCustomizationGrid();
+  const productIds = cart.items.map(i => i.product);
+  const customizationIds = cart.items.map(i => i.customization).filter(Boolean);
+  const [products, customizations] = await Promise.all([
+    Product.find({ _id: { $in: productIds } }),
+    customizationIds.length ? Customization.find({ _id: { $in: customizationIds } }) : []
+  ]);
+  const productById = new Map(products.map(p => [p._id.toString(), p]));
+  const customizationById = new Map(customizations.map(c => [c._id.toString(), c]));
+
+  const items = [];
+  const pricedForTotals = [];
+
+  for (const line of cart.items) {
+    const product = productById.get(line.product.toString());
+    const variant = product?.variants?.id(line.variantId);
+    const customization = line.customization ? customizationById.get(line.customization.toString()) : null;
+
+    let issue = null;
+    if (!product || product.status !== 'active') issue = 'Produit indisponible';
+    else if (!variant) issue = 'Variante indisponible';
+    else if (line.customization && !customization) issue = 'Personnalisation introuvable';
+    else if ((variant.stock || 0) < line.quantity) issue = 'Stock insuffisant';
+
+    // Paliers de quantité: même calcul que la création de commande
+    const scope = { product: product?._id, productModel: customization?.productModel };
+    const quote = quoteQuantity({
+      parts: [
+        { type: 'garment', unitPrice: product && variant ? unitPriceFor(product, variant) : 0 },
+        ...(customization ? priceParts(priceDesign(grid, customization)) : [])
+      ],
+      quantity: line.quantity,
+      rules: product ? await loadQuantityRules(scope) : [],
+      scope
+    });
+    const unitPrice = quote.parts[0].unitPrice;
+    const customizationPrice = round2(quote.unitPrice - unitPrice);
+    const totalCustomizationPrice = round2(quote.total - unitPrice * line.quantity);
+
+    items.push({
+      _id: line._id,
+      product: product
+        ? { _id: product._id, name: product.name, image: product.primaryImage?.url || null }
+        : { _id: line.product },
+      variantId: line.variantId,
+      variant: variant
+        ? { size: variant.size, color: variant.color, material: variant.material, stock: variant.stock }
+        : null,
+      quantity: line.quantity,
+      customization: line.customization || null,
+      unitPrice,
+      customizationUnitPrice: customizationPrice,
+      setupFees: quote.setupFees,
+      bulkSavings: quote.savings,
+      totalPrice: quote.total,
+      available: !issue,
+      issue
+    });
+
+    if (!issue) {
+      pricedForTotals.push({ product: line.product, unitPrice, quantity: line.quantity, customization: { totalCustomizationPrice } });
+    }
+  }
+
+  // Cotation de la livraison pour la méthode et la destination choisies
+  let shipping = { method: cart.shippingMethod, cost: 0, estimatedDays: null, options: [] };
+  if (pricedForTotals.length) {
+    try {
+      const quote = await quoteShipping({
+        items: pricedForTotals,
+        country: cart.shippingDestination?.country,
+        postalCode: cart.shippingDestination?.postalCode,
+        method: cart.shippingMethod
+      });
+      shipping = {
+        method: cart.shippingMethod,
+        cost: quote.selected.cost,
+        estimatedDays: quote.selected.estimatedDays,
+        destination: quote.destination,
+        zone: quote.zone,
+        options: quote.options
+      };
+    } catch (error) {
+      if (!(error instanceof ShippingError)) throw error;
+      shipping = { ...shipping, available: false, error: error.message };
+    }
+  }
+  let shippingCost = shipping.cost;
+
+  // Le code promo est revérifié à chaque lecture (validité, seuil, limites)
+  let coupon = null;
+  if (cart.couponCode && pricedForTotals.length) {
+    try {
+      const applied = await evaluateCoupon(cart.couponCode, { items: pricedForTotals, shippingCost, userId });
+      coupon = { ...applied.discount, valid: true };
+      shippingCost = applied.shippingCost;
+    } catch (error) {
+      if (!(error instanceof CouponError)) throw error;
+      coupon = { code: cart.couponCode, valid: false, amount: 0, error: error.message };
+    }
+  }
+
+  const discountAmount = coupon?.valid ? coupon.amount : 0;
+
+  // TVA du pays de destination (B2C: le numéro de TVA n'est saisi qu'à la commande)
+  const taxContext = await resolveTaxContext({ country: cart.shippingDestination?.country });
+  await assignItemTaxRates(pricedForTotals, taxContext);
+  const tax = orderTaxFields(taxContext);
+  const { taxLines, shippingTax, ...totals } = computeOrderTotals({
+    items: pricedForTotals,
+    shippingCost,
+    discountAmount,
+    taxRate: tax.rate,
+    shippingTaxRate: tax.shippingRate
+  });
+
+  return {
+    items,
+    shipping: { ...shipping, cost: shippingCost },
+    couponCode: cart.couponCode || null,
+    coupon,
+    tax: { country: tax.country, regime: tax.regime, rate: tax.rate },
+    totals: { ...totals, shipping: shippingCost, discount: discountAmount, currency: cart.currency }
+  };
+};
+
+// Fusionner le panier anonyme dans celui de l'utilisateur (appelé à la connexion)
+const mergeAnonymousCart = async (userId, token) => {
+  if (!token) return null;
+  const anonymous = await Cart.findOne({ token, user: { $exists: false } });
+  if (!anonymous) return null;
+
+  let cart = await Cart.findOne({ user: userId });
+  if (!cart) {
+    // Adopter directement le panier anonyme
+    anonymous.user = userId;
+    anonymous.token = undefined;
+    return anonymous.save();
+  }
+
+  for (const item of anonymous.items) {
+    cart.addItem({
+      product: item.product,
+      variantId: item.variantId,
+      quantity: item.quantity,
+      customization: item.customization
+    });
+  }
+  if (!cart.couponCode && anonymous.couponCode) cart.couponCode = anonymous.couponCode;
+
+  await cart.save();
+  await Cart.deleteOne({ _id: anonymous._id });
+  return cart;
+};
+
+module.exports = {
+  CART_TOKEN_HEADER,
+  cartTokenFrom,
+  resolveCart,
+  priceCart,
+  mergeAnonymousCart
+};
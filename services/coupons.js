@@ -0,0 +1,159 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Product = require('../models/Product');
+const { round2 } = require('./pricing');
+
+// Erreur de validation d'un code promo (code inconnu, expiré, limite atteinte...)
+class CouponError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CouponError';
+    this.status = status;
+  }
+}
+
+const normalizeCode = (code) => (code || '').toString().trim().toUpperCase();
+
+// Nombre d'utilisations d'un code par un client
+const usageCountFor = (coupon, userId) => (
+  userId ? CouponRedemption.countDocuments({ coupon: coupon._id, user: userId }) : 0
+);
+
+// Montant d'une ligne tarifée (articles + personnalisation)
+const lineAmount = (item) => (item.unitPrice || 0) * (item.quantity || 0) + (item.customization?.totalCustomizationPrice || 0);
+
+// Sous-total des lignes concernées par la portée du code
+const eligibleSubtotal = async (coupon, items) => {
+  const products = (coupon.appliesTo?.products || []).map(String);
+  const categories = coupon.appliesTo?.categories || [];
+  if (!products.length && !categories.length) {
+    return round2(items.reduce((total, item) => total + lineAmount(item), 0));
+  }
+
+  let categoryById = new Map();
+  if (categories.length) {
+    const ids = items.map(item => item.product?._id || item.product);
+    const catalog = await Product.find({ _id: { $in: ids } }).select('category');
+    categoryById = new Map(catalog.map(p => [p._id.toString(), p.category]));
+  }
+
+  return round2(items.reduce((total, item) => {
+    const productId = String(item.product?._id || item.product);
+    const inScope = products.includes(productId) || categories.includes(categoryById.get(productId));
+    return inScope ? total + lineAmount(item) : total;
+  }, 0));
+};
+
+// Vérifier un code contre des lignes tarifées et calculer la réduction
+// items: [{ product, unitPrice, quantity, customization: { totalCustomizationPrice } }]
+const evaluateCoupon = async (code, { items = [], shippingCost = 0, userId = null } = {}) => {
+  const normalized = normalizeCode(code);
+  if (!normalized) {
+    throw new CouponError('Code promo requis');
+  }
+
+  const coupon = await Coupon.findOne({ code: normalized });
+  if (!coupon || !coupon.isActive) {
+    throw new CouponError('Code promo invalide', 404);
+  }
+
+  const now = new Date();
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw new CouponError('Ce code promo n\'est pas encore actif');
+  }
+  if (coupon.endsAt && coupon.endsAt < now) {
+    throw new CouponError('Ce code promo a expiré');
+  }
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+    throw new CouponError('Ce code promo a atteint sa limite d\'utilisation', 409);
+  }
+  if (userId && coupon.usageLimitPerUser != null && await usageCountFor(coupon, userId) >= coupon.usageLimitPerUser) {
+    throw new CouponError('Vous avez déjà utilisé ce code promo', 409);
+  }
+
+  const orderSubtotal = round2(items.reduce((total, item) => total + lineAmount(item), 0));
+  if (orderSubtotal < (coupon.minOrderAmount || 0)) {
+    throw new CouponError(`Montant minimum de commande non atteint (${coupon.minOrderAmount.toFixed(2)} €)`);
+  }
+
+  const eligible = await eligibleSubtotal(coupon, items);
+  if (eligible <= 0) {
+    throw new CouponError('Ce code promo ne s\'applique à aucun article du panier');
+  }
+
+  let discountAmount = 0;
+  let freeShipping = false;
+  if (coupon.type === 'percentage') {
+    discountAmount = eligible * (coupon.value / 100);
+  } else if (coupon.type === 'fixed') {
+    discountAmount = coupon.value;
+  } else {
+    freeShipping = true;
+  }
+  if (coupon.maxDiscountAmount != null) {
+    discountAmount = Math.min(discountAmount, coupon.maxDiscountAmount);
+  }
+  discountAmount = round2(Math.min(discountAmount, eligible));
+
+  return {
+    coupon,
+    discount: {
+      code: coupon.code,
+      type: coupon.type,
+      value: coupon.value,
+      amount: discountAmount,
+      coupon: coupon._id
+    },
+    freeShipping,
+    shippingCost: freeShipping ? 0 : shippingCost
+  };
+};
+
+// Enregistrer l'utilisation du code d'une commande payée (une seule fois par commande).
+// Les limites sont vérifiées à la validation du code et à la création de la commande; une
+// commande payée garde la remise qui lui a été accordée, même si la limite a été atteinte
+// entre-temps par d'autres paiements: l'utilisation est alors comptée et signalée (overLimit).
+const redeemOrderCoupon = async (order) => {
+  const discount = order.pricing?.discount;
+  if (!discount?.coupon || discount.redeemedAt) {
+    return { redeemed: false };
+  }
+
+  const userId = order.user?._id || order.user;
+  const redemption = await CouponRedemption.record({
+    coupon: discount.coupon,
+    order: order._id,
+    user: userId,
+    discountAmount: discount.amount
+  });
+
+  if (redemption) {
+    const coupon = await Coupon.findOneAndUpdate(
+      { _id: discount.coupon },
+      { $inc: { usedCount: 1 } },
+      { new: true }
+    );
+    const overLimit = Boolean(coupon) && (
+      (coupon.usageLimit != null && coupon.usedCount > coupon.usageLimit) ||
+      (userId && coupon.usageLimitPerUser != null && await usageCountFor(coupon, userId) > coupon.usageLimitPerUser)
+    );
+    if (overLimit) {
+      await CouponRedemption.updateOne({ _id: redemption._id }, { $set: { overLimit: true } });
+      order.timeline.push({
+        status: 'coupon-warning',
+        description: `Code promo ${discount.code} appliqué au-delà de sa limite d'utilisation`,
+        automatic: true
+      });
+    }
+  }
+
+  discount.redeemedAt = new Date();
+  return { redeemed: true };
+};
+
+module.exports = {
+  CouponError,
+  normalizeCode,
+  evaluateCoupon,
+  redeemOrderCoupon
+};
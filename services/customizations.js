@@ -0,0 +1,386 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Customization = require('../models/Customization');
+const ProductModel = require('../models/ProductModel');
+const { storeDataUrl, removeImage } = require('./imageStorage');
+const { loadCustomizationGrid, priceDesign } = require('./pricing');
+const { LAYER_TYPES, DESIGN_SIDES, SHAPE_KINDS, MAX_LAYERS } = require('./designLayers');
+const { PRINT_TECHNIQUES } = require('./printAreas');
+const { PLACEMENT_MODES, applyPlacement } = require('./placement');
+const { assessArtwork } = require('./artworkQuality');
+
+// Jeton de session des designs anonymes (renvoyé à la création, rattaché au compte à la connexion)
+const DESIGN_TOKEN_HEADER = 'x-design-token';
+
+const generateDesignToken = () => crypto.randomBytes(24).toString('hex');
+
+const designTokenFrom = (req) => (req.headers[DESIGN_TOKEN_HEADER] || req.query?.designToken || '').toString().trim() || null;
+
+// Erreur métier sur un design (réponse avec le statut porté)
+class CustomizationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CustomizationError';
+    this.status = status;
+  }
+}
+
+const isStaff = (user) => ['admin', 'moderator'].includes(user?.role);
+
+// Propriétaire de la requête: utilisateur connecté ou jeton anonyme (null si aucun)
+const ownerOf = (req) => {
+  if (req.user) return { user: req.user._id };
+  const token = designTokenFrom(req);
+  return token ? { user: { $exists: false }, sessionToken: token } : null;
+};
+
+// Design du demandeur (l'équipe peut consulter tous les designs, y compris archivés)
+const findOwnedCustomization = async (req, id, { allowStaff = false } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  if (allowStaff && isStaff(req.user)) {
+    return Customization.findById(id);
+  }
+  const owner = ownerOf(req);
+  if (!owner) return null;
+  return Customization.findOne({ _id: id, deletedAt: null, ...owner }).select('+sessionToken');
+};
+
+// Designs courants du demandeur (dernière version, non supprimés)
+const listCustomizations = async (owner, { page = 1, limit = 20 } = {}) => {
+  const filter = { ...owner, supersededBy: null, deletedAt: null };
+  const [customizations, total] = await Promise.all([
+    Customization.find(filter)
+      .select('-image.dataUrl -background.imageDataUrl')
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Customization.countDocuments(filter)
+  ]);
+  return { customizations, total };
+};
+
+// Prix unitaire de personnalisation (même moteur que /api/calculate-price et les commandes)
+const designPrice = async (design) => {
+  const grid = await loadCustomizationGrid();
+  return priceDesign(grid, design).customizationPrice;
+};
+
+const numberOr = (value, fallback) => (Number.isFinite(Number(value)) ? Number(value) : fallback);
+
+// Valider les calques envoyés par l'éditeur (ordre d'empilement par défaut: ordre du tableau).
+// Les fichiers des calques image sont attribués ensuite par storeDesignImages.
+const parseLayers = (layers) => {
+  if (!Array.isArray(layers)) {
+    throw new CustomizationError('layers doit être un tableau');
+  }
+  if (layers.length > MAX_LAYERS) {
+    throw new CustomizationError(`${MAX_LAYERS} calques maximum`);
+  }
+
+  return layers.map((layer, index) => {
+    const label = `Calque ${index + 1}`;
+    const type = layer?.type;
+    if (!LAYER_TYPES.includes(type)) {
+      throw new CustomizationError(`${label}: type invalide (${LAYER_TYPES.join(', ')})`);
+    }
+    const side = layer.side || 'front';
+    if (!DESIGN_SIDES.includes(side)) {
+      throw new CustomizationError(`${label}: face invalide (${DESIGN_SIDES.join(', ')})`);
+    }
+    const content = layer[type];
+    if (!content || typeof content !== 'object') {
+      throw new CustomizationError(`${label}: contenu ${type} manquant`);
+    }
+    if (type === 'text' && !String(content.content || '').trim()) {
+      throw new CustomizationError(`${label}: texte vide`);
+    }
+    if (type === 'shape' && !SHAPE_KINDS.includes(content.kind)) {
+      throw new CustomizationError(`${label}: forme invalide (${SHAPE_KINDS.join(', ')})`);
+    }
+    if (layer.technique && !PRINT_TECHNIQUES.includes(layer.technique)) {
+      throw new CustomizationError(`${label}: technique invalide (${PRINT_TECHNIQUES.join(', ')})`);
+    }
+
+    return {
+      ...(mongoose.Types.ObjectId.isValid(layer._id) ? { _id: layer._id } : {}),
+      type,
+      side,
+      position: { x: numberOr(layer.position?.x, 50), y: numberOr(layer.position?.y, 50) },
+      zIndex: numberOr(layer.zIndex, index),
+      rotation: numberOr(layer.rotation, 0),
+      opacity: Math.min(Math.max(numberOr(layer.opacity, 1), 0), 1),
+      ...(layer.technique ? { technique: layer.technique } : {}),
+      [type]: content
+    };
+  });
+};
+
+// Contrôler un design sur les zones imprimables du modèle (ou celles par défaut du type):
+// placement des calques (mode reject: erreur 422 si un calque sort d'une zone, clamp: calque recadré),
+// puis qualité des images à leur taille d'impression (avertissements, sans blocage)
+const checkDesign = async (design, { productModel, productType, mode = 'reject' } = {}) => {
+  if (!PLACEMENT_MODES.includes(mode)) {
+    throw new CustomizationError(`Mode de placement invalide (${PLACEMENT_MODES.join(', ')})`);
+  }
+  const model = productModel && !productModel.printAreas
+    ? await ProductModel.findById(productModel).select('type printAreas')
+    : productModel;
+  const areas = { productType: model?.type || productType, printAreas: model?.printAreas };
+
+  const placement = applyPlacement(design, { ...areas, mode });
+  const artwork = assessArtwork(placement.design, areas);
+  return { design: artwork.design, adjustments: placement.adjustments, artworkWarnings: artwork.warnings };
+};
+
+const removeStoredImages = (files = []) => Promise.all(files.map(removeImage));
+
+// Fichiers stockés référencés par un document Customization
+const designImageFiles = (customization) => [
+  { publicId: customization.image?.publicId, storage: customization.image?.storage },
+  { publicId: customization.background?.imagePublicId, storage: customization.background?.imageStorage },
+  ...(customization.layers || []).map(layer => ({ publicId: layer.image?.publicId, storage: layer.image?.storage }))
+].filter(file => file.publicId);
+
+// Supprimer les fichiers qu'aucun autre design (version, copie) ne référence
+const removeUnsharedImages = async (files, excludeId) => {
+  for (const file of files) {
+    const shared = await Customization.exists({
+      _id: { $ne: excludeId },
+      $or: [
+        { 'image.publicId': file.publicId },
+        { 'background.imagePublicId': file.publicId },
+        { 'layers.image.publicId': file.publicId }
+      ]
+    });
+    if (!shared) await removeImage(file);
+  }
+};
+
+const IMAGE_REFS = ['url', 'publicId', 'storage', 'width', 'height', 'colorSpace', 'hasTransparency'];
+const BACKGROUND_REFS = ['imageUrl', 'imagePublicId', 'imageStorage', 'imageWidth', 'imageHeight'];
+
+const pick = (source, keys) => Object.fromEntries(keys.filter(key => source?.[key] !== undefined).map(key => [key, source[key]]));
+
+// Remplacer les images base64 d'un design par des fichiers stockés (URL, identifiant, dimensions).
+// Les références envoyées par le client (url, publicId, analyse) sont ignorées: seul le serveur les attribue;
+// sans nouvelle image, celles du design courant (current) sont conservées
+// (pour un calque image: celles du calque de même _id).
+// Retourne aussi la liste des fichiers créés pour pouvoir les supprimer en cas d'échec.
+const storeDesignImages = async ({ image, background, layers } = {}, { current } = {}) => {
+  const stored = [];
+  const storeFile = async (dataUrl, options) => {
+    const file = await storeDataUrl(dataUrl, options);
+    stored.push(file);
+    return file;
+  };
+  try {
+    let storedImage = image;
+    if (image) {
+      const { url, publicId, storage, width, height, colorSpace, hasTransparency, quality, dataUrl, ...config } = image;
+      storedImage = { ...config, ...pick(current?.image, IMAGE_REFS) };
+      if (dataUrl) {
+        const file = await storeFile(dataUrl);
+        Object.assign(storedImage, {
+          url: file.url,
+          publicId: file.publicId,
+          storage: file.storage,
+          width: file.width,
+          height: file.height,
+          colorSpace: file.colorSpace,
+          hasTransparency: file.hasTransparency
+        });
+      }
+    }
+
+    let storedBackground = background;
+    if (background) {
+      const { imageUrl, imagePublicId, imageStorage, imageWidth, imageHeight, imageDataUrl, ...config } = background;
+      storedBackground = { ...config, ...pick(current?.background, BACKGROUND_REFS) };
+      if (imageDataUrl) {
+        const file = await storeFile(imageDataUrl, { folder: 'customizations/backgrounds' });
+        Object.assign(storedBackground, {
+          imageUrl: file.url,
+          imagePublicId: file.publicId,
+          imageStorage: file.storage,
+          imageWidth: file.width,
+          imageHeight: file.height
+        });
+      }
+    }
+
+    let storedLayers = layers;
+    if (layers) {
+      const currentImages = new Map((current?.layers || []).map(layer => [String(layer._id), layer.image]));
+      storedLayers = [];
+      for (const [index, layer] of layers.entries()) {
+        if (layer.type !== 'image') {
+          storedLayers.push(layer);
+          continue;
+        }
+        const { url, publicId, storage, width, height, colorSpace, hasTransparency, quality, dataUrl, ...config } = layer.image;
+        const layerImage = { ...config, ...pick(currentImages.get(String(layer._id)), IMAGE_REFS) };
+        if (dataUrl) {
+          const file = await storeFile(dataUrl, { folder: 'customizations/layers' });
+          Object.assign(layerImage, {
+            url: file.url,
+            publicId: file.publicId,
+            storage: file.storage,
+            width: file.width,
+            height: file.height,
+            colorSpace: file.colorSpace,
+            hasTransparency: file.hasTransparency
+          });
+        }
+        if (!layerImage.url) {
+          throw new CustomizationError(`Calque ${index + 1}: image manquante (dataUrl requis)`);
+        }
+        storedLayers.push({ ...layer, image: layerImage });
+      }
+    }
+
+    return { image: storedImage, background: storedBackground, layers: storedLayers, stored };
+  } catch (error) {
+    await removeStoredImages(stored);
+    throw error;
+  }
+};
+
+// Champs d'un design recopiés dans une nouvelle version ou une copie
+const designFields = (doc) => {
+  const {
+    product, productModel, productType, productColor, name, layers, text, image, background, artworkWarnings, totalPrice
+  } = doc.toObject({ virtuals: false });
+  return { product, productModel, productType, productColor, name, layers, text, image, background, artworkWarnings, totalPrice };
+};
+
+// Modifier un design: en place, ou nouvelle version si une commande le référence déjà.
+// changes: { name, productColor, layers, text, image, background } (null retire le calque).
+// Des calques (layers) remplacent ceux du design et le font passer au format multi-couches.
+// Placement et qualité des images ne sont contrôlés que si le contenu (layers, text, image) change.
+const updateCustomization = async (doc, changes, { placementMode } = {}) => {
+  const current = doc.toObject({ virtuals: false });
+  const layers = changes.layers === undefined || changes.layers === null ? changes.layers : parseLayers(changes.layers);
+  const images = await storeDesignImages(
+    { image: changes.image || undefined, background: changes.background || undefined, layers: layers || undefined },
+    { current }
+  );
+
+  const next = { ...designFields(doc) };
+  for (const key of ['name', 'productColor', 'text']) {
+    if (changes[key] !== undefined) next[key] = changes[key] ?? undefined;
+  }
+  if (changes.image !== undefined) next.image = images.image;
+  if (changes.background !== undefined) next.background = images.background;
+  if (layers !== undefined) {
+    next.layers = images.layers || [];
+    if (layers) {
+      next.text = undefined;
+      next.image = undefined;
+    }
+  }
+
+  let adjustments = [];
+  try {
+    if (['layers', 'text', 'image'].some(key => changes[key] !== undefined)) {
+      const checked = await checkDesign(
+        { layers: next.layers, text: next.text, image: next.image },
+        { productModel: doc.productModel, productType: doc.productType, mode: placementMode }
+      );
+      Object.assign(next, checked.design, { artworkWarnings: checked.artworkWarnings });
+      adjustments = checked.adjustments;
+    }
+    next.totalPrice = await designPrice(next);
+
+    if (!doc.lockedAt) {
+      doc.set(next);
+      await doc.save();
+      const kept = new Set(designImageFiles(doc).map(file => file.publicId));
+      await removeUnsharedImages(designImageFiles(current).filter(file => !kept.has(file.publicId)), doc._id);
+      return { customization: doc, versioned: false, adjustments };
+    }
+
+    const version = await Customization.create({
+      ...next,
+      user: doc.user,
+      sessionToken: doc.sessionToken,
+      version: doc.version + 1,
+      root: doc.root || doc._id,
+      previousVersion: doc._id
+    });
+    const { modifiedCount } = await Customization.updateOne(
+      { _id: doc._id, supersededBy: null },
+      { $set: { supersededBy: version._id } }
+    );
+    if (!modifiedCount) {
+      // Une autre modification a déjà créé la version suivante
+      await Customization.deleteOne({ _id: version._id });
+      throw new CustomizationError('Ce design a été modifié entre-temps, rechargez-le', 409);
+    }
+    return { customization: version, versioned: true, adjustments };
+  } catch (error) {
+    await removeStoredImages(images.stored);
+    throw error;
+  }
+};
+
+// Copie indépendante d'un design (nouvelle lignée, mêmes fichiers d'image)
+const duplicateCustomization = async (doc, owner) => {
+  const fields = designFields(doc);
+  return Customization.create({
+    ...fields,
+    name: `${fields.name || 'Design'} (copie)`.slice(0, 100),
+    ...owner
+  });
+};
+
+// Supprimer un design: archivé s'il est rattaché à une commande, supprimé sinon
+const deleteCustomization = async (doc) => {
+  if (doc.lockedAt) {
+    doc.deletedAt = new Date();
+    await doc.save();
+    return { archived: true };
+  }
+  await Customization.deleteOne({ _id: doc._id });
+  await removeUnsharedImages(designImageFiles(doc), doc._id);
+  return { archived: false };
+};
+
+// Figer les designs rattachés à une commande (les modifications créeront une nouvelle version)
+const lockCustomizations = (ids = []) => {
+  if (!ids.length) return null;
+  return Customization.updateMany(
+    { _id: { $in: ids }, lockedAt: null },
+    { $set: { lockedAt: new Date() } },
+    { timestamps: false }
+  );
+};
+
+// Rattacher au compte les designs créés anonymement avec ce jeton
+const adoptAnonymousCustomizations = (userId, token) => {
+  if (!token) return null;
+  return Customization.updateMany(
+    { sessionToken: token, user: { $exists: false } },
+    { $set: { user: userId }, $unset: { sessionToken: '' } }
+  );
+};
+
+module.exports = {
+  DESIGN_TOKEN_HEADER,
+  CustomizationError,
+  generateDesignToken,
+  designTokenFrom,
+  ownerOf,
+  findOwnedCustomization,
+  listCustomizations,
+  designPrice,
+  parseLayers,
+  checkDesign,
+  storeDesignImages,
+  removeStoredImages,
+  designImageFiles,
+  updateCustomization,
+  duplicateCustomization,
+  deleteCustomization,
+  lockCustomizations,
+  adoptAnonymousCustomizations
+};
@@ -0,0 +1,65 @@
+// Calques d'un design multi-couches (texte, image, forme), empilés par zIndex croissant
+const LAYER_TYPES = ['text', 'image', 'shape'];
+const DESIGN_SIDES = ['front', 'back', 'left-sleeve', 'right-sleeve'];
+const SHAPE_KINDS = ['rectangle', 'ellipse', 'line'];
+const MAX_LAYERS = 30;
+
+const byZIndex = (a, b) => (Number(a.zIndex) || 0) - (Number(b.zIndex) || 0);
+
+// Calques d'un document Customization, dans l'ordre d'empilement.
+// Ancien format (un texte et/ou une image): converti en calques, le texte sous l'image
+// comme dans l'éditeur d'origine.
+const layersOf = (customization = {}) => {
+  if (customization.layers?.length) {
+    return [...customization.layers].sort(byZIndex);
+  }
+
+  const layers = [];
+  const { text, image } = customization;
+  if (text?.content) {
+    layers.push({
+      type: 'text',
+      side: text.side || 'front',
+      position: text.position,
+      zIndex: 0,
+      rotation: text.rotation,
+      opacity: 1,
+      text: {
+        content: text.content,
+        font: text.font,
+        fontSize: text.fontSize,
+        color: text.color,
+        align: text.align,
+        shape: text.shape
+      }
+    });
+  }
+  if (image?.url || image?.dataUrl) {
+    layers.push({
+      type: 'image',
+      side: image.side || 'front',
+      position: image.position,
+      zIndex: 1,
+      rotation: image.rotation,
+      opacity: 1,
+      image: {
+        url: image.url,
+        dataUrl: image.dataUrl,
+        width: image.width,
+        height: image.height,
+        colorSpace: image.colorSpace,
+        hasTransparency: image.hasTransparency,
+        size: image.size
+      }
+    });
+  }
+  return layers;
+};
+
+module.exports = {
+  LAYER_TYPES,
+  DESIGN_SIDES,
+  SHAPE_KINDS,
+  MAX_LAYERS,
+  layersOf
+};
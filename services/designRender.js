@@ -0,0 +1,287 @@
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const { normalizeProductType, printAreaFor } = require('./printAreas');
+const { isCloudinaryImageUrl, isLocalImageUrl, readLocalImage } = require('./imageStorage');
+const { DESIGN_SIDES, layersOf } = require('./designLayers');
+
+// Largeur de référence du canevas de l'éditeur: les tailles en px (police, image)
+// y sont exprimées, les positions en % de l'image du modèle
+const DESIGN_CANVAS_WIDTH = Number(process.env.DESIGN_CANVAS_WIDTH) || 500;
+
+const IMAGE_FETCH_TIMEOUT_MS = 15000;
+
+// Erreur de rendu (face vide, image illisible ou inaccessible)
+class DesignRenderError extends Error {
+  constructor(message, status = 422) {
+    super(message);
+    this.name = 'DesignRenderError';
+    this.status = status;
+  }
+}
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const sidesOf = (position) => {
+  const p = (position || '').toString().toLowerCase();
+  if (p === 'both') return ['front', 'back'];
+  return [p === 'back' ? 'back' : 'front'];
+};
+
+// Calque de rendu (champs à plat) depuis un calque de design
+const renderLayer = (layer) => {
+  const common = {
+    kind: layer.type,
+    side: layer.side || 'front',
+    position: layer.position,
+    rotation: layer.rotation,
+    opacity: layer.opacity
+  };
+  if (layer.type === 'text') {
+    const { content, font, fontSize, color, align, shape } = layer.text || {};
+    return { ...common, content, font, fontSize, color, align, shape };
+  }
+  if (layer.type === 'image') {
+    return { ...common, source: layer.image?.url || layer.image?.dataUrl, size: layer.image?.size };
+  }
+  const { kind, width, height, fill, stroke, strokeWidth } = layer.shape || {};
+  return { ...common, shapeKind: kind, width, height, fill, stroke, strokeWidth };
+};
+
+// Design normalisé depuis un document Customization (calques, ou texte / image de l'ancien format)
+const designFromCustomization = (customization) => {
+  const layers = layersOf(customization)
+    .filter(layer => (layer.type === 'text' ? layer.text?.content : layer[layer.type]))
+    .map(renderLayer);
+
+  return {
+    productType: normalizeProductType(
+      customization.productModel?.type || customization.productType || customization.product?.category
+    ),
+    productColor: customization.productColor,
+    background: customization.background,
+    // Zones imprimables du modèle peuplé (sinon zones par défaut du type)
+    printAreas: customization.productModel?.printAreas,
+    layers
+  };
+};
+
+// Design normalisé depuis la personnalisation simple d'une ligne de commande
+// (texte / image centrés dans la zone d'impression de chaque face choisie)
+const designFromOrderItem = (item) => {
+  // Design enregistré (Customization peuplée) attaché à la ligne
+  if (item.design && !(item.design instanceof mongoose.Types.ObjectId)) {
+    const design = designFromCustomization(item.design);
+    if (!item.design.productModel?.type && !item.design.productType) {
+      design.productType = normalizeProductType(item.product?.category);
+    }
+    return design;
+  }
+
+  const productType = normalizeProductType(item.product?.category);
+  const customization = item.customization || {};
+  const layers = [];
+
+  for (const side of customization.text?.content ? sidesOf(customization.text.position) : []) {
+    const area = printAreaFor(productType, side);
+    layers.push({
+      kind: 'text',
+      side,
+      content: customization.text.content,
+      font: customization.text.font,
+      fontSize: customization.text.size,
+      color: customization.text.color,
+      position: { x: area.x + area.width / 2, y: area.y + area.height / 2 }
+    });
+  }
+  for (const side of customization.image?.url ? sidesOf(customization.image.position) : []) {
+    const area = printAreaFor(productType, side);
+    layers.push({
+      kind: 'image',
+      side,
+      source: customization.image.url,
+      // Par défaut l'image occupe 80 % de la largeur de la zone
+      size: customization.image.size?.width || (area.width * 0.8 * DESIGN_CANVAS_WIDTH) / 100,
+      position: { x: area.x + area.width / 2, y: area.y + area.height / 2 }
+    });
+  }
+
+  return {
+    productType,
+    productColor: item.variant?.color?.hex,
+    layers
+  };
+};
+
+const designSides = (design) => DESIGN_SIDES.filter(side => design.layers.some(layer => layer.side === side));
+
+// Lire une image (data URL, fichier du stockage local ou de notre compte Cloudinary)
+const readImageSource = async (source) => {
+  if (isLocalImageUrl(source)) {
+    try {
+      return await readLocalImage(source);
+    } catch (error) {
+      throw new DesignRenderError('Image introuvable dans le stockage local', 404);
+    }
+  }
+  if (/^data:image\/[a-z0-9.+-]+;base64,/i.test(source)) {
+    return Buffer.from(source.slice(source.indexOf(',') + 1), 'base64');
+  }
+  if (!isCloudinaryImageUrl(source)) {
+    throw new DesignRenderError('Source d\'image non prise en charge');
+  }
+  try {
+    const response = await fetch(source, { redirect: 'error', signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS) });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return Buffer.from(await response.arrayBuffer());
+  } catch (error) {
+    throw new DesignRenderError(`Image inaccessible (${error.message})`, 502);
+  }
+};
+
+// Convertir une image en PNG intégrable au SVG
+const loadImage = async (source) => {
+  const buffer = await readImageSource(source);
+  try {
+    const png = await sharp(buffer).png().toBuffer({ resolveWithObject: true });
+    return { dataUri: `data:image/png;base64,${png.data.toString('base64')}`, width: png.info.width, height: png.info.height };
+  } catch (error) {
+    throw new DesignRenderError('Image de la personnalisation illisible');
+  }
+};
+
+// Texte SVG d'un calque selon sa forme (horizontale, verticale, diagonale, en arc)
+const textElement = (layer, { cx, cy, fontSize, rotation }) => {
+  const attributes = (anchor) => [
+    `font-family="${escapeXml(layer.font || 'Arial')}"`,
+    `font-size="${fontSize.toFixed(2)}"`,
+    `fill="${escapeXml(layer.color || '#000000')}"`,
+    `text-anchor="${anchor}"`
+  ].join(' ');
+  const content = String(layer.content);
+
+  if (layer.shape === 'arc') {
+    // Caractères posés un à un sur un arc de 60° (textPath n'est pas pris en charge par le moteur SVG)
+    const chars = [...content.replace(/\n/g, ' ')];
+    const advance = fontSize * 0.6;
+    const radius = Math.max(fontSize * 2, (chars.length * advance) / (Math.PI / 3));
+    const centerY = cy + radius;
+    const step = advance / radius;
+    const first = -((chars.length - 1) * step) / 2;
+    const glyphs = chars.map((char, index) => {
+      const angle = first + index * step;
+      const x = cx + radius * Math.sin(angle);
+      const y = centerY - radius * Math.cos(angle);
+      return `<text ${attributes('middle')} dominant-baseline="central" x="${x.toFixed(2)}" y="${y.toFixed(2)}" ` +
+        `transform="rotate(${((angle * 180) / Math.PI).toFixed(2)} ${x.toFixed(2)} ${y.toFixed(2)})">${escapeXml(char)}</text>`;
+    }).join('');
+    return `<g transform="rotate(${rotation} ${cx} ${cy})">${glyphs}</g>`;
+  }
+
+  if (layer.shape === 'vertical') {
+    const chars = [...content.replace(/\n/g, '')];
+    const step = fontSize * 1.1;
+    const top = cy - ((chars.length - 1) * step) / 2;
+    const spans = chars.map((char, index) =>
+      `<tspan x="${cx.toFixed(2)}" y="${(top + index * step).toFixed(2)}">${escapeXml(char)}</tspan>`
+    ).join('');
+    return `<text ${attributes('middle')} dominant-baseline="central" transform="rotate(${rotation} ${cx} ${cy})">${spans}</text>`;
+  }
+
+  const angle = rotation + (layer.shape === 'diagonal' ? -45 : 0);
+  const lines = content.split('\n');
+  const lineHeight = fontSize * 1.2;
+  const top = cy - ((lines.length - 1) * lineHeight) / 2;
+  const spans = lines.map((line, index) =>
+    `<tspan x="${cx.toFixed(2)}" y="${(top + index * lineHeight).toFixed(2)}">${escapeXml(line)}</tspan>`
+  ).join('');
+  const anchor = { left: 'start', right: 'end' }[layer.align] || 'middle';
+  return `<text ${attributes(anchor)} dominant-baseline="central" transform="rotate(${angle} ${cx} ${cy})">${spans}</text>`;
+};
+
+// Forme SVG d'un calque (rectangle, ellipse ou trait horizontal), tailles en px de l'éditeur
+const shapeElement = (layer, { cx, cy, scale, rotation }) => {
+  const width = (Number(layer.width) || 100) * scale;
+  const height = (Number(layer.height) || 100) * scale;
+  const strokeWidth = (Number(layer.strokeWidth) || 0) * scale;
+  const transform = `transform="rotate(${rotation} ${cx.toFixed(2)} ${cy.toFixed(2)})"`;
+
+  if (layer.shapeKind === 'line') {
+    // Un trait n'a pas de remplissage: sa couleur est celle du contour, sinon du remplissage
+    const color = escapeXml(layer.stroke || layer.fill || '#000000');
+    return `<line x1="${(cx - width / 2).toFixed(2)}" y1="${cy.toFixed(2)}" x2="${(cx + width / 2).toFixed(2)}" y2="${cy.toFixed(2)}" ` +
+      `stroke="${color}" stroke-width="${Math.max(strokeWidth, scale).toFixed(2)}" ${transform}/>`;
+  }
+
+  const paint = `fill="${escapeXml(layer.fill || 'none')}" stroke="${escapeXml(layer.stroke || 'none')}" stroke-width="${strokeWidth.toFixed(2)}"`;
+  if (layer.shapeKind === 'ellipse') {
+    return `<ellipse cx="${cx.toFixed(2)}" cy="${cy.toFixed(2)}" rx="${(width / 2).toFixed(2)}" ry="${(height / 2).toFixed(2)}" ${paint} ${transform}/>`;
+  }
+  return `<rect x="${(cx - width / 2).toFixed(2)}" y="${(cy - height / 2).toFixed(2)}" width="${width.toFixed(2)}" height="${height.toFixed(2)}" ${paint} ${transform}/>`;
+};
+
+// Construire le SVG d'une face.
+// viewport: rectangle visible en % de l'image du modèle (x, y, width, height)
+// rendu sur pixelWidth × pixelHeight; options.widthAttr/heightAttr pour une taille physique (ex. "30cm")
+const renderSideSvg = async (design, side, viewport, { widthAttr, heightAttr, includeBackground = true } = {}) => {
+  const { pixelWidth: W, pixelHeight: H } = viewport;
+  const toX = (percent) => ((Number(percent ?? 50) - viewport.x) / viewport.width) * W;
+  const toY = (percent) => ((Number(percent ?? 50) - viewport.y) / viewport.height) * H;
+  // px de l'éditeur → px de sortie
+  const scale = (100 / DESIGN_CANVAS_WIDTH / viewport.width) * W;
+
+  const elements = [];
+  const background = design.background;
+  if (includeBackground && background?.type === 'color') {
+    elements.push(`<rect x="0" y="0" width="${W}" height="${H}" fill="${escapeXml(background.color || '#ffffff')}" fill-opacity="${background.opacity ?? 1}"/>`);
+  }
+  const backgroundSource = background?.imageUrl || background?.imageDataUrl;
+  if (includeBackground && background?.type === 'image' && backgroundSource) {
+    const image = await loadImage(backgroundSource);
+    elements.push(`<image x="0" y="0" width="${W}" height="${H}" preserveAspectRatio="xMidYMid slice" opacity="${background.opacity ?? 1}" href="${image.dataUri}"/>`);
+  }
+
+  const layers = design.layers.filter(layer => layer.side === side);
+  for (const layer of layers) {
+    const cx = toX(layer.position?.x);
+    const cy = toY(layer.position?.y);
+    const rotation = Number(layer.rotation) || 0;
+
+    let element = null;
+    if (layer.kind === 'text') {
+      const fontSize = (Number(layer.fontSize) || 24) * scale;
+      element = textElement(layer, { cx, cy, fontSize, rotation });
+    }
+    if (layer.kind === 'image') {
+      const image = await loadImage(layer.source);
+      const width = (Number(layer.size) || 100) * scale;
+      const height = width * (image.height / image.width);
+      element =
+        `<image x="${(cx - width / 2).toFixed(2)}" y="${(cy - height / 2).toFixed(2)}" width="${width.toFixed(2)}" height="${height.toFixed(2)}" ` +
+        `transform="rotate(${rotation} ${cx.toFixed(2)} ${cy.toFixed(2)})" href="${image.dataUri}"/>`;
+    }
+    if (layer.kind === 'shape') {
+      element = shapeElement(layer, { cx, cy, scale, rotation });
+    }
+
+    // Opacité du calque appliquée au groupe (texte multi-lignes, glyphes en arc)
+    const opacity = layer.opacity ?? 1;
+    if (element) elements.push(opacity < 1 ? `<g opacity="${Number(opacity)}">${element}</g>` : element);
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${widthAttr || W}" height="${heightAttr || H}" viewBox="0 0 ${W} ${H}">${elements.join('')}</svg>`;
+};
+
+module.exports = {
+  DESIGN_CANVAS_WIDTH,
+  DesignRenderError,
+  designFromCustomization,
+  designFromOrderItem,
+  designSides,
+  readImageSource,
+  renderSideSvg
+};
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const cloudinary = require('../config/cloudinary');
+
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const IMAGE_MIME_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+// Dossier du stockage local (servi sous /uploads)
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+const LOCAL_URL_PREFIX = '/uploads/';
+
+// Erreur de stockage (image invalide, trop volumineuse, service indisponible)
+class StorageError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'StorageError';
+    this.status = status;
+  }
+}
+
+// Upload avec retry exponentiel sur erreurs 5xx Cloudinary
+const uploadToCloudinaryWithRetry = async (file, options = {}, maxRetries = 2) => {
+  const dataUri = `data:${file.mimetype};base64,${file.buffer.toString('base64')}`;
+  let attempt = 0;
+  while (true) {
+    try {
+      return await cloudinary.uploader.upload(dataUri, options);
+    } catch (err) {
+      const msg = err?.message || '';
+      const code = err?.http_code || err?.status || 0;
+      const is5xx = (typeof code === 'number' && code >= 500 && code < 600) || /status code - 5\d{2}/.test(msg);
+      if (!is5xx || attempt >= maxRetries) throw err;
+      const delayMs = 500 * Math.pow(2, attempt);
+      await new Promise(r => setTimeout(r, delayMs));
+      attempt += 1;
+    }
+  }
+};
+
+const cloudinaryConfigured = () => Boolean(
+  process.env.CLOUDINARY_URL || (process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY)
+);
+
+// IMAGE_STORAGE=cloudinary|local; par défaut Cloudinary s'il est configuré
+const activeStorage = () => {
+  const configured = (process.env.IMAGE_STORAGE || '').toLowerCase();
+  if (configured === 'cloudinary' || configured === 'local') return configured;
+  return cloudinaryConfigured() ? 'cloudinary' : 'local';
+};
+
+const adapters = {
+  // Original conservé (pas de redimensionnement): les fichiers servent à l'impression
+  cloudinary: {
+    save: async (file, { folder }) => {
+      try {
+        const result = await uploadToCloudinaryWithRetry(file, { folder: `customwear/${folder}`, resource_type: 'image' });
+        return { url: result.secure_url || result.url, publicId: result.public_id };
+      } catch (error) {
+        const code = error?.http_code || error?.status;
+        console.error('[Storage] Upload Cloudinary échoué:', error?.message);
+        throw new StorageError(
+          typeof code === 'number' && code >= 500 ? 'Service de stockage temporairement indisponible' : 'Upload de l\'image refusé',
+          typeof code === 'number' && code >= 500 ? 503 : 502
+        );
+      }
+    },
+    remove: (publicId) => cloudinary.uploader.destroy(publicId, { resource_type: 'image' })
+  },
+  local: {
+    save: async (file, { folder }) => {
+      const publicId = `${folder}/${crypto.randomUUID()}.${IMAGE_MIME_TYPES[file.mimetype]}`;
+      const target = path.join(UPLOAD_DIR, publicId);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, file.buffer);
+      return { url: `${LOCAL_URL_PREFIX}${publicId}`, publicId };
+    },
+    remove: (publicId) => fs.rm(path.join(UPLOAD_DIR, publicId), { force: true })
+  }
+};
+
+// Décoder une data URL d'image ({ mimetype, buffer })
+const fileFromDataUrl = (dataUrl) => {
+  const match = /^data:([a-z0-9.+/-]+);base64,/i.exec(dataUrl || '');
+  const mimetype = match?.[1]?.toLowerCase();
+  if (!mimetype || !IMAGE_MIME_TYPES[mimetype]) {
+    throw new StorageError('Format d\'image non pris en charge (png, jpeg, webp, gif)');
+  }
+  return { mimetype, buffer: Buffer.from(dataUrl.slice(match[0].length), 'base64') };
+};
+
+// Stocker une image et retourner ses références (URL, identifiant, dimensions, analyse)
+const storeImage = async (file, { folder = 'customizations' } = {}) => {
+  if (!IMAGE_MIME_TYPES[file.mimetype]) {
+    throw new StorageError('Format d\'image non pris en charge (png, jpeg, webp, gif)');
+  }
+  if (file.buffer.length > MAX_IMAGE_BYTES) {
+    throw new StorageError('Image trop volumineuse (>10MB)', 413);
+  }
+
+  // Analyse du fichier pour les contrôles qualité (espace colorimétrique, transparence réelle)
+  let metadata;
+  let stats = null;
+  try {
+    const image = sharp(file.buffer);
+    metadata = await image.metadata();
+    if (metadata.hasAlpha) stats = await image.stats();
+  } catch (error) {
+    throw new StorageError('Image illisible');
+  }
+
+  const storage = activeStorage();
+  const { url, publicId } = await adapters[storage].save(file, { folder });
+  return {
+    url,
+    publicId,
+    storage,
+    width: metadata.width,
+    height: metadata.height,
+    colorSpace: metadata.space,
+    hasTransparency: Boolean(stats && !stats.isOpaque),
+    bytes: file.buffer.length
+  };
+};
+
+const storeDataUrl = (dataUrl, options) => storeImage(fileFromDataUrl(dataUrl), options);
+
+// Supprimer une image stockée (sans erreur si elle n'existe plus)
+const removeImage = async ({ publicId, storage } = {}) => {
+  if (!publicId || !adapters[storage]) return;
+  try {
+    await adapters[storage].remove(publicId);
+  } catch (error) {
+    console.error('[Storage] Suppression échouée:', publicId, error?.message);
+  }
+};
+
+const isLocalImageUrl = (url) => typeof url === 'string' && url.startsWith(LOCAL_URL_PREFIX);
+
+// Image servie par notre compte Cloudinary (seul hôte distant lu par le serveur)
+const isCloudinaryImageUrl = (url) => {
+  const cloudName = cloudinary.config().cloud_name;
+  if (typeof url !== 'string' || !cloudName) return false;
+  try {
+    const { protocol, hostname, pathname } = new URL(url);
+    return protocol === 'https:' && hostname === 'res.cloudinary.com' && pathname.startsWith(`/${cloudName}/`);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Lire une image du stockage local à partir de son URL relative
+const readLocalImage = async (url) => {
+  const target = path.resolve(UPLOAD_DIR, url.slice(LOCAL_URL_PREFIX.length));
+  if (!target.startsWith(UPLOAD_DIR + path.sep)) {
+    throw new StorageError('Chemin d\'image invalide');
+  }
+  return fs.readFile(target);
+};
+
+module.exports = {
+  MAX_IMAGE_BYTES,
+  UPLOAD_DIR,
+  StorageError,
+  uploadToCloudinaryWithRetry,
+  activeStorage,
+  storeImage,
+  storeDataUrl,
+  removeImage,
+  isLocalImageUrl,
+  isCloudinaryImageUrl,
+  readLocalImage
+};
@@ -0,0 +1,31 @@
+const Product = require('../models/Product');
+
+// Filtre Mongo ciblant la variante d'une ligne de commande: par identifiant (une même
+// taille + couleur peut exister en plusieurs matières), sinon taille + couleur pour les
+// commandes antérieures à l'enregistrement de variantId
+const variantFilter = (item) => {
+  if (item.variantId) {
+    return { _id: item.product?._id || item.product, 'variants._id': item.variantId };
+  }
+  const match = { size: item.variant?.size };
+  if (item.variant?.color?.name) match['color.name'] = item.variant.color.name;
+  return {
+    _id: item.product?._id || item.product,
+    variants: { $elemMatch: match }
+  };
+};
+
+// Remettre en stock une quantité d'une ligne de commande
+const restockOrderItem = async (item, quantity = item.quantity) => {
+  if (!quantity || quantity <= 0) return false;
+  const result = await Product.updateOne(
+    variantFilter(item),
+    { $inc: { 'variants.$.stock': quantity } }
+  );
+  return result.modifiedCount > 0;
+};
+
+module.exports = {
+  variantFilter,
+  restockOrderItem
+};
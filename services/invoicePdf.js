@@ -0,0 +1,124 @@
+const PDFDocument = require('pdfkit');
+
+const TITLES = { invoice: 'FACTURE', 'credit-note': 'AVOIR' };
+
+const money = (value, currency = 'EUR') => `${(Number(value) || 0).toFixed(2).replace('.', ',')} ${currency === 'EUR' ? '€' : currency}`;
+const percent = (rate) => `${((Number(rate) || 0) * 100).toFixed(1).replace('.0', '').replace('.', ',')} %`;
+const formatDate = (date) => new Date(date).toLocaleDateString('fr-FR');
+
+const partyLines = (party = {}) => [
+  party.company,
+  party.name,
+  party.street,
+  [party.postalCode, party.city].filter(Boolean).join(' '),
+  party.country,
+  party.email,
+  party.siret ? `SIRET: ${party.siret}` : null,
+  party.vatNumber ? `N° TVA: ${party.vatNumber}` : null
+].filter(Boolean);
+
+// Colonnes du tableau des lignes (x, largeur, alignement)
+const COLUMNS = [
+  { key: 'description', label: 'Désignation', x: 50, width: 220, align: 'left' },
+  { key: 'quantity', label: 'Qté', x: 270, width: 40, align: 'right' },
+  { key: 'unitPrice', label: 'P.U. HT', x: 310, width: 70, align: 'right' },
+  { key: 'taxRate', label: 'TVA', x: 380, width: 50, align: 'right' },
+  { key: 'amountExclTax', label: 'Total HT', x: 430, width: 115, align: 'right' }
+];
+
+// Générer le PDF d'une facture ou d'un avoir (Buffer)
+const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${TITLES[invoice.type]} ${invoice.number}` } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const currency = invoice.currency;
+
+  // En-tête: vendeur à gauche, références du document à droite
+  doc.fontSize(10).font('Helvetica-Bold').text(invoice.seller?.name || '', 50, 50);
+  doc.font('Helvetica').text(partyLines({ ...invoice.seller, name: undefined }).join('\n'), 50, doc.y);
+
+  doc.fontSize(18).font('Helvetica-Bold').text(TITLES[invoice.type], 350, 50, { width: 195, align: 'right' });
+  doc.fontSize(10).font('Helvetica').text([
+    `N° ${invoice.number}`,
+    `Date: ${formatDate(invoice.issuedAt)}`,
+    invoice.orderNumber ? `Commande: ${invoice.orderNumber}` : null,
+    invoice.relatedInvoiceNumber ? `Facture d'origine: ${invoice.relatedInvoiceNumber}` : null
+  ].filter(Boolean).join('\n'), 350, doc.y + 5, { width: 195, align: 'right' });
+
+  // Client
+  doc.font('Helvetica-Bold').text('Facturé à', 350, 170);
+  doc.font('Helvetica').text(partyLines(invoice.buyer).join('\n'), 350, doc.y, { width: 195 });
+
+  // Lignes
+  let y = Math.max(doc.y, 260) + 20;
+  doc.font('Helvetica-Bold');
+  COLUMNS.forEach(col => doc.text(col.label, col.x, y, { width: col.width, align: col.align }));
+  y += 16;
+  doc.moveTo(50, y).lineTo(545, y).stroke();
+  y += 6;
+
+  doc.font('Helvetica');
+  for (const line of invoice.lines) {
+    const values = {
+      description: line.description,
+      quantity: String(line.quantity),
+      unitPrice: money(line.unitPrice, currency),
+      taxRate: percent(line.taxRate),
+      amountExclTax: money(line.amountExclTax, currency)
+    };
+    const height = doc.heightOfString(values.description, { width: COLUMNS[0].width });
+    if (y + height > 720) {
+      doc.addPage();
+      y = 50;
+    }
+    COLUMNS.forEach(col => doc.text(values[col.key], col.x, y, { width: col.width, align: col.align }));
+    y += Math.max(height, 12) + 6;
+  }
+
+  doc.moveTo(50, y).lineTo(545, y).stroke();
+  y += 10;
+  if (y > 640) {
+    doc.addPage();
+    y = 50;
+  }
+
+  // Ventilation de la TVA par taux
+  doc.font('Helvetica-Bold').text('TVA', 50, y);
+  doc.font('Helvetica');
+  let breakdownY = y + 14;
+  for (const entry of invoice.taxBreakdown || []) {
+    doc.text(`${percent(entry.rate)} sur ${money(entry.taxableAmount, currency)}: ${money(entry.amount, currency)}`, 50, breakdownY);
+    breakdownY += 14;
+  }
+
+  // Totaux
+  const totals = [
+    ['Total HT', invoice.totals.exclTax],
+    ['Total TVA', invoice.totals.tax],
+    [invoice.type === 'credit-note' ? 'Total avoir TTC' : 'Total TTC', invoice.totals.inclTax]
+  ];
+  let totalsY = y;
+  totals.forEach(([label, value], index) => {
+    doc.font(index === totals.length - 1 ? 'Helvetica-Bold' : 'Helvetica');
+    doc.text(label, 350, totalsY, { width: 95 });
+    doc.text(money(value, currency), 445, totalsY, { width: 100, align: 'right' });
+    totalsY += 16;
+  });
+
+  // Mentions légales
+  let mentionsY = Math.max(breakdownY, totalsY) + 20;
+  doc.fontSize(8).font('Helvetica');
+  for (const mention of invoice.legalMentions || []) {
+    doc.text(mention, 50, mentionsY, { width: 495 });
+    mentionsY = doc.y + 4;
+  }
+
+  doc.end();
+});
+
+module.exports = {
+  renderInvoicePdf
+};
@@ -0,0 +1,244 @@
+const Invoice = require('../models/Invoice');
+const { round2 } = require('./pricing');
+const { assignDocumentNumber } = require('./numbering');
+
+// Coordonnées du vendeur imprimées sur les factures
+const SELLER = {
+  name: process.env.COMPANY_NAME || 'CustomWear',
+  street: process.env.COMPANY_STREET || '',
+  city: process.env.COMPANY_CITY || '',
+  postalCode: process.env.COMPANY_POSTAL_CODE || '',
+  country: process.env.COMPANY_COUNTRY || 'France',
+  email: process.env.COMPANY_EMAIL || process.env.EMAIL_FROM || '',
+  siret: process.env.COMPANY_SIRET || '',
+  vatNumber: process.env.COMPANY_VAT_NUMBER || ''
+};
+
+// Une facture n'est émise qu'une fois le paiement encaissé
+const INVOICEABLE_PAYMENT_STATUSES = ['completed', 'partially-refunded', 'refunded'];
+
+// Erreur d'émission (commande non payée, document introuvable)
+class InvoiceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'InvoiceError';
+    this.status = status;
+  }
+}
+
+// Document réservé mais resté sans numéro (émission interrompue ou concurrente): le numéroter
+const completeNumbering = async (document) => {
+  if (document.number) return document;
+  return assignDocumentNumber(document);
+};
+
+// Réserver le document (index uniques par commande / remboursement), puis le numéroter.
+// Retourne null si une requête concurrente l'a déjà réservé.
+const createNumbered = async (data) => {
+  let claimed;
+  try {
+    claimed = await Invoice.create({ ...data, number: null });
+  } catch (error) {
+    // Index unique facture par commande / avoir par remboursement: déjà réservé ailleurs
+    if (error?.code === 11000 && error.keyPattern?.order) return null;
+    throw error;
+  }
+  return assignDocumentNumber(claimed);
+};
+
+const buyerFromOrder = (order) => {
+  const address = order.billingAddress || order.shippingAddress || {};
+  return {
+    name: [address.firstName, address.lastName].filter(Boolean).join(' '),
+    company: address.company,
+    street: address.street,
+    city: address.city,
+    postalCode: address.postalCode,
+    country: address.country,
+    email: order.user?.email,
+    vatNumber: order.pricing.tax?.vatNumber
+  };
+};
+
+const legalMentionsFor = (order) => {
+  const mentions = [];
+  if (order.pricing.tax?.reverseCharge) {
+    mentions.push('Autoliquidation: TVA due par le preneur (article 196 de la directive 2006/112/CE)');
+  }
+  if (order.pricing.tax?.regime === 'export') {
+    mentions.push('Exonération de TVA, article 262 I du CGI');
+  }
+  if (order.pricing.tax?.vatNumber) {
+    mentions.push('Pénalités de retard: trois fois le taux d\'intérêt légal. Indemnité forfaitaire pour frais de recouvrement: 40 €');
+  }
+  return mentions;
+};
+
+const itemDescription = (item) => {
+  const name = item.product?.name || 'Article';
+  const variant = [item.variant?.size, item.variant?.color?.name].filter(Boolean).join(', ');
+  const customized = item.customization?.totalCustomizationPrice > 0 ? ' - personnalisé' : '';
+  return `${name}${variant ? ` (${variant})` : ''}${customized}`;
+};
+
+// Lignes de facture: articles (remise répartie incluse dans la TVA de ligne), livraison, remise
+const invoiceLines = (order) => {
+  const lines = order.items.map(item => ({
+    description: itemDescription(item),
+    quantity: item.quantity,
+    unitPrice: round2(item.totalPrice / item.quantity),
+    taxRate: item.tax?.rate ?? order.pricing.tax.rate,
+    amountExclTax: round2(item.totalPrice),
+    taxAmount: item.tax?.amount || 0
+  }));
+
+  const shippingCost = order.pricing.shipping?.cost || 0;
+  if (shippingCost > 0) {
+    const rate = order.pricing.tax.shippingRate ?? order.pricing.tax.rate;
+    lines.push({
+      description: `Livraison (${order.pricing.shipping.method || 'standard'})`,
+      quantity: 1,
+      unitPrice: shippingCost,
+      taxRate: rate,
+      amountExclTax: shippingCost,
+      taxAmount: round2(order.pricing.tax.amount - lines.reduce((total, line) => total + line.taxAmount, 0))
+    });
+  }
+
+  const discount = order.pricing.discount?.amount || 0;
+  if (discount > 0) {
+    lines.push({
+      description: `Remise${order.pricing.discount.code ? ` (${order.pricing.discount.code})` : ''}`,
+      quantity: 1,
+      unitPrice: -discount,
+      taxRate: 0,
+      amountExclTax: -discount,
+      taxAmount: 0
+    });
+  }
+
+  return lines;
+};
+
+// Émettre (une seule fois) la facture d'une commande payée
+const issueInvoice = async (order) => {
+  const existing = await Invoice.findOne({ order: order._id, type: 'invoice' });
+  if (existing) return completeNumbering(existing);
+
+  if (!INVOICEABLE_PAYMENT_STATUSES.includes(order.payment.status)) {
+    throw new InvoiceError('La facture est disponible une fois le paiement encaissé', 409);
+  }
+  if (!order.populated('items.product')) {
+    await order.populate('items.product', 'name');
+  }
+  if (!order.populated('user')) {
+    await order.populate('user', 'email');
+  }
+
+  const taxAmount = order.pricing.tax.amount || 0;
+  const created = await createNumbered({
+    type: 'invoice',
+    order: order._id,
+    orderNumber: order.orderNumber,
+    issuedAt: order.payment.paidAt || new Date(),
+    seller: SELLER,
+    buyer: buyerFromOrder(order),
+    lines: invoiceLines(order),
+    taxBreakdown: order.pricing.tax.breakdown || [],
+    totals: {
+      exclTax: round2(order.pricing.total - taxAmount),
+      tax: taxAmount,
+      inclTax: order.pricing.total
+    },
+    currency: order.pricing.currency,
+    taxRegime: order.pricing.tax.regime,
+    reverseCharge: order.pricing.tax.reverseCharge,
+    legalMentions: legalMentionsFor(order)
+  });
+
+  // Émission concurrente: la facture a été réservée par une autre requête
+  return created || completeNumbering(await Invoice.findOne({ order: order._id, type: 'invoice' }));
+};
+
+// Ventiler un montant TTC remboursé selon la répartition de TVA de la facture
+const splitRefund = (invoice, amount) => {
+  const ratio = invoice.totals.inclTax > 0 ? amount / invoice.totals.inclTax : 0;
+  const breakdown = (invoice.taxBreakdown || []).map(entry => ({
+    rate: entry.rate,
+    taxableAmount: round2(entry.taxableAmount * ratio),
+    amount: round2(entry.amount * ratio)
+  }));
+  const tax = round2(breakdown.reduce((total, entry) => total + entry.amount, 0));
+  return { breakdown, totals: { exclTax: round2(amount - tax), tax, inclTax: round2(amount) } };
+};
+
+// Émettre l'avoir d'un remboursement (montants en négatif)
+const issueCreditNote = async (order, refund, invoice) => {
+  const existing = await Invoice.findOne({ order: order._id, type: 'credit-note', refund: refund._id });
+  if (existing) return completeNumbering(existing);
+
+  const { breakdown, totals } = splitRefund(invoice, refund.amount);
+  const refundedItems = (refund.items || [])
+    .map(({ itemId, quantity }) => {
+      const item = order.items.id(itemId);
+      return item ? `${itemDescription(item)} x${quantity}` : null;
+    })
+    .filter(Boolean);
+
+  const negate = (value) => (value ? -value : 0);
+  const created = await createNumbered({
+    type: 'credit-note',
+    order: order._id,
+    orderNumber: order.orderNumber,
+    refund: refund._id,
+    relatedInvoice: invoice._id,
+    relatedInvoiceNumber: invoice.number,
+    reason: refund.reason,
+    issuedAt: refund.processedAt || new Date(),
+    seller: invoice.seller,
+    buyer: invoice.buyer,
+    lines: [{
+      description: `Avoir sur facture ${invoice.number}${refund.returnNumber ? `, retour ${refund.returnNumber}` : ''}: ${refund.reason}${refundedItems.length ? ` (${refundedItems.join(', ')})` : ''}`,
+      quantity: 1,
+      unitPrice: negate(totals.exclTax),
+      taxRate: breakdown.length === 1 ? breakdown[0].rate : 0,
+      amountExclTax: negate(totals.exclTax),
+      taxAmount: negate(totals.tax)
+    }],
+    taxBreakdown: breakdown.map(entry => ({ ...entry, taxableAmount: negate(entry.taxableAmount), amount: negate(entry.amount) })),
+    totals: { exclTax: negate(totals.exclTax), tax: negate(totals.tax), inclTax: negate(totals.inclTax) },
+    currency: invoice.currency,
+    taxRegime: invoice.taxRegime,
+    reverseCharge: invoice.reverseCharge,
+    legalMentions: invoice.legalMentions
+  });
+
+  return created || completeNumbering(await Invoice.findOne({ order: order._id, type: 'credit-note', refund: refund._id }));
+};
+
+// Facture + un avoir par remboursement enregistré (idempotent)
+const syncOrderDocuments = async (order) => {
+  const invoice = await issueInvoice(order);
+  const creditNotes = [];
+  for (const refund of order.payment.refunds || []) {
+    creditNotes.push(await issueCreditNote(order, refund, invoice));
+  }
+  return { invoice, creditNotes };
+};
+
+// Variante sans erreur pour les traitements automatiques (paiement, remboursement)
+const syncOrderDocumentsQuietly = (order) => syncOrderDocuments(order).catch(error => {
+  if (!(error instanceof InvoiceError)) {
+    console.error('[Invoices] Émission des documents échouée:', order?._id?.toString(), error?.message);
+  }
+  return null;
+});
+
+module.exports = {
+  SELLER,
+  InvoiceError,
+  issueInvoice,
+  issueCreditNote,
+  syncOrderDocuments,
+  syncOrderDocumentsQuietly
+};
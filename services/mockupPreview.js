@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const ProductModel = require('../models/ProductModel');
+const { normalizeProductType } = require('./printAreas');
+const { DESIGN_SIDES } = require('./designLayers');
+const {
+  DesignRenderError,
+  designFromCustomization,
+  readImageSource,
+  renderSideSvg
+} = require('./designRender');
+
+// Manches: rendu sur la couleur du produit (pas de visuel de manche dans les modèles)
+const PREVIEW_SIDES = DESIGN_SIDES;
+const PREVIEW_WIDTH = 600;
+const MAX_PREVIEW_WIDTH = 1200;
+const PREVIEW_CACHE_SIZE = Number(process.env.PREVIEW_CACHE_SIZE) || 200;
+
+// Cache mémoire des miniatures (LRU): clé = design + face + visuel + largeur
+const previewCache = new Map();
+
+const cacheGet = (key) => {
+  const entry = previewCache.get(key);
+  if (entry) {
+    previewCache.delete(key);
+    previewCache.set(key, entry);
+  }
+  return entry;
+};
+
+const cacheSet = (key, entry) => {
+  previewCache.set(key, entry);
+  while (previewCache.size > PREVIEW_CACHE_SIZE) {
+    previewCache.delete(previewCache.keys().next().value);
+  }
+};
+
+// Durée de validité d'une URL signée (jours)
+const PREVIEW_URL_TTL_DAYS = Number(process.env.PREVIEW_URL_TTL_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Expiration (secondes) arrondie à la fin du jour: l'URL reste stable une journée (cache navigateur)
+const previewExpiry = (now = Date.now()) => Math.floor((Math.ceil(now / DAY_MS) * DAY_MS + PREVIEW_URL_TTL_DAYS * DAY_MS) / 1000);
+
+// Signature d'une miniature (id + face + expiration): l'URL n'est remise qu'au propriétaire,
+// à l'équipe et dans les emails de commande, elle vaut autorisation de lecture jusqu'à expiration.
+// Sans JWT_SECRET, aucune URL n'est signée.
+const previewSignature = (customizationId, side, expiresAt) => {
+  if (!process.env.JWT_SECRET) return null;
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(`${customizationId}:${side}:${expiresAt}`)
+    .digest('base64url');
+};
+
+const verifyPreviewSignature = (customizationId, side, expiresAt, signature) => {
+  const exp = Number(expiresAt);
+  if (!Number.isInteger(exp) || exp * 1000 < Date.now()) return false;
+  const expected = previewSignature(customizationId, side, exp);
+  if (!expected) return false;
+  const given = Buffer.from(String(signature || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, Buffer.from(expected));
+};
+
+// Chemin de la miniature d'une personnalisation, signé si possible
+const previewPath = (customizationId, side = 'front') => {
+  const path = `/api/customizations/${customizationId}/preview/${side}.jpg`;
+  const exp = previewExpiry();
+  const sig = previewSignature(customizationId, side, exp);
+  return sig ? `${path}?exp=${exp}&sig=${sig}` : path;
+};
+
+// URL absolue signée (emails): API_PUBLIC_URL ou domaine Vercel, sinon aucune
+const previewUrl = (customizationId, side = 'front') => {
+  const base = process.env.API_PUBLIC_URL || (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : '');
+  return base && process.env.JWT_SECRET ? `${base.replace(/\/$/, '')}${previewPath(customizationId, side)}` : null;
+};
+
+// Modèle de la personnalisation, sinon premier modèle actif du même type
+const resolveProductModel = async (customization) => {
+  if (customization.productModel?.images) return customization.productModel;
+  if (customization.productModel instanceof mongoose.Types.ObjectId) {
+    const model = await ProductModel.findById(customization.productModel);
+    if (model) return model;
+  }
+  const type = normalizeProductType(customization.productType || customization.product?.category);
+  return ProductModel.findOne({ type, active: true }).sort({ createdAt: 1 });
+};
+
+// Visuel du modèle pour une face: imagesByColor[couleur] = [face, dos], sinon images.front/back
+const mockupImageFor = (model, side, color) => {
+  if (!model || !['front', 'back'].includes(side)) return null;
+  const byColor = model.imagesByColor || {};
+  const colorKey = color && Object.keys(byColor).find(key => key.toLowerCase() === String(color).toLowerCase());
+  const colorImages = colorKey ? [].concat(byColor[colorKey]).filter(Boolean) : [];
+  return colorImages[side === 'back' ? 1 : 0] || model.images?.[side] || null;
+};
+
+// Fond uni (couleur du produit) quand aucun visuel de modèle n'est disponible
+const plainMockup = (color) => {
+  const background = /^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(color || '') ? color : '#ffffff';
+  return sharp({ create: { width: 1000, height: 1000, channels: 3, background } }).png().toBuffer();
+};
+
+// Miniature JPEG du design posé sur le visuel du modèle (mise en cache)
+const renderPreview = async (customization, side = 'front', { width = PREVIEW_WIDTH, color } = {}) => {
+  if (!PREVIEW_SIDES.includes(side)) {
+    throw new DesignRenderError(`Face invalide (${PREVIEW_SIDES.join(', ')})`, 400);
+  }
+  const targetWidth = Math.min(Math.max(Number(width) || PREVIEW_WIDTH, 100), MAX_PREVIEW_WIDTH);
+  const productColor = color || customization.productColor;
+  const model = await resolveProductModel(customization);
+  const mockupSource = mockupImageFor(model, side, productColor);
+
+  const key = crypto.createHash('sha1')
+    .update([customization._id, customization.updatedAt?.getTime(), side, targetWidth, productColor, mockupSource].join('|'))
+    .digest('hex');
+  const cached = cacheGet(key);
+  if (cached) return cached;
+
+  const mockup = mockupSource ? await readImageSource(mockupSource) : await plainMockup(productColor);
+  const base = sharp(mockup);
+  const { width: pixelWidth, height: pixelHeight } = await base.metadata();
+  if (!pixelWidth || !pixelHeight) {
+    throw new DesignRenderError('Visuel du modèle illisible');
+  }
+
+  const design = designFromCustomization({ ...(customization.toObject?.() ?? customization), productModel: model });
+  const overlay = await renderSideSvg(design, side, { x: 0, y: 0, width: 100, height: 100, pixelWidth, pixelHeight }, { includeBackground: false });
+
+  const buffer = await sharp(await base.composite([{ input: Buffer.from(overlay) }]).png().toBuffer())
+    .resize({ width: targetWidth, withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: 82, mozjpeg: true })
+    .toBuffer();
+
+  const entry = { buffer, etag: `"${key}"` };
+  cacheSet(key, entry);
+  return entry;
+};
+
+module.exports = {
+  PREVIEW_SIDES,
+  previewPath,
+  previewUrl,
+  verifyPreviewSignature,
+  renderPreview
+};
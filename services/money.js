@@ -0,0 +1,4 @@
+// Arrondi monétaire au centime
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+module.exports = { round2 };
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+
+// Dernier numéro séquentiel déjà attribué pour un préfixe (reprise de l'existant)
+const lastSequence = async (modelName, field, prefix) => {
+  const last = await mongoose.model(modelName)
+    .findOne({ [field]: { $regex: `^${prefix}\\d+$` } })
+    .sort({ [field]: -1 })
+    .select(field)
+    .lean();
+  return last ? parseInt(last[field].slice(prefix.length), 10) || 0 : 0;
+};
+
+const pad = (value, length) => value.toString().padStart(length, '0');
+
+const dayStamp = (date) => [
+  date.getFullYear().toString().slice(-2),
+  pad(date.getMonth() + 1, 2),
+  pad(date.getDate(), 2)
+].join('');
+
+// Numéro de commande: CW{aammjj}{séquence du jour}
+const nextOrderNumber = async (date = new Date()) => {
+  const prefix = `CW${dayStamp(date)}`;
+  const seq = await Counter.next(`order:${dayStamp(date)}`, {
+    seed: () => lastSequence('Order', 'orderNumber', prefix)
+  });
+  return `${prefix}${pad(seq, 4)}`;
+};
+
+const DOCUMENT_PREFIXES = { invoice: 'FA', 'credit-note': 'AV' };
+
+// Numéro de facture ou d'avoir: FA-{année}-{séquence}, AV-{année}-{séquence}
+const documentPrefix = (type, year) => `${DOCUMENT_PREFIXES[type]}-${year}-`;
+
+// Écrire la valeur réservée sur son document (sans effet s'il est déjà numéroté)
+const settleDocumentNumber = (type, year, { owner, seq }) => mongoose.model('Invoice').updateOne(
+  { _id: owner, number: null },
+  { $set: { number: `${documentPrefix(type, year)}${pad(seq, 6)}` } }
+);
+
+// Numéroter une facture ou un avoir sans laisser de trou dans la série. Chaque valeur est
+// réservée pour un document précis (Counter.pending) et écrite sur celui-ci avant qu'une autre
+// ne soit réservée: une émission interrompue est terminée par la suivante, et plusieurs
+// requêtes numérotant le même document obtiennent la même valeur.
+const assignDocumentNumber = async (document) => {
+  const year = document.issuedAt.getFullYear();
+  const key = `${document.type}:${year}`;
+  const Invoice = mongoose.model('Invoice');
+
+  for (;;) {
+    const counter = await Counter.findById(key).lean();
+    if (!counter) {
+      await Counter.ensure(key, { seed: () => lastSequence('Invoice', 'number', documentPrefix(document.type, year)) });
+      continue;
+    }
+
+    const pending = counter.pending?.owner ? counter.pending : null;
+    if (pending) {
+      await settleDocumentNumber(document.type, year, pending);
+      if (String(pending.owner) === String(document._id)) break;
+    }
+    if (await Invoice.exists({ _id: document._id, number: { $type: 'string' } })) break;
+
+    // Réservation conditionnée à la valeur lue: une réservation concurrente relance la boucle
+    const seq = counter.seq + 1;
+    const reserved = await Counter.updateOne(
+      { _id: key, seq: counter.seq },
+      { $set: { seq, pending: { owner: document._id, seq } } }
+    );
+    if (reserved.modifiedCount) {
+      await settleDocumentNumber(document.type, year, { owner: document._id, seq });
+      break;
+    }
+  }
+  return Invoice.findById(document._id);
+};
+
+// Numéro de retour: RT{aammjj}{séquence du jour}
+const nextReturnNumber = async (date = new Date()) => {
+  const seq = await Counter.next(`return:${dayStamp(date)}`);
+  return `RT${dayStamp(date)}${pad(seq, 4)}`;
+};
+
+module.exports = {
+  nextOrderNumber,
+  assignDocumentNumber,
+  nextReturnNumber
+};
@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const WebhookEvent = require('../models/WebhookEvent');
+const { commitReservation, reclaimExpiredReservation } = require('./stockReservation');
+const { issueProviderRefund, refundFullPayment } = require('./providerRefunds');
+const { redeemOrderCoupon } = require('./coupons');
+const { syncOrderDocumentsQuietly } = require('./invoices');
+
+// Arrondi monétaire au centime
+const roundCents = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Retrouver une commande à partir des identifiants connus du fournisseur de paiement
+const findOrderForPayment = async ({ orderId, paymentIntentId, checkoutSessionId, paypalOrderId, transactionId } = {}) => {
+  const conditions = [];
+  if (paymentIntentId) conditions.push({ 'payment.paymentIntentId': paymentIntentId });
+  if (checkoutSessionId) conditions.push({ 'payment.checkoutSessionId': checkoutSessionId });
+  if (paypalOrderId) conditions.push({ 'payment.paypalOrderId': paypalOrderId });
+  if (transactionId) conditions.push({ 'payment.transactionId': transactionId });
+  if (orderId && mongoose.Types.ObjectId.isValid(orderId)) conditions.push({ _id: orderId });
+  if (!conditions.length) return null;
+  return Order.findOne({ $or: conditions });
+};
+
+// Confirmer le stock d'une commande payée. Réservation expirée (paiement tardif): le stock
+// est repris s'il est encore disponible et la commande annulée automatiquement est rouverte.
+// Retourne false si la commande ne dispose pas de son stock.
+const secureStockForPayment = async (order) => {
+  let reservation = await commitReservation(order._id);
+  if (reservation?.status === 'expired') {
+    reservation = await reclaimExpiredReservation(order._id) || reservation;
+    if (reservation.status === 'committed' && order.status === 'cancelled') {
+      order.status = 'confirmed';
+      order.timeline.push({
+        status: 'confirmed',
+        description: 'Commande rouverte: paiement reçu après expiration, stock de nouveau réservé',
+        automatic: true
+      });
+    }
+  }
+  if (order.status === 'cancelled') return false;
+  return !reservation || reservation.status === 'committed';
+};
+
+// Marquer une commande comme payée (sans effet si déjà réglée ou remboursée).
+// Une commande annulée ou sans stock disponible est remboursée intégralement chez le fournisseur.
+const markOrderPaid = async (order, { transactionId, paymentIntentId, paypalOrderId, description } = {}) => {
+  if (['completed', 'refunded', 'partially-refunded'].includes(order.payment.status)) {
+    return order;
+  }
+
+  order.payment.status = 'completed';
+  order.payment.paidAt = new Date();
+  if (transactionId) order.payment.transactionId = transactionId;
+  if (paymentIntentId) order.payment.paymentIntentId = paymentIntentId;
+  if (paypalOrderId) order.payment.paypalOrderId = paypalOrderId;
+
+  order.timeline.push({
+    status: 'payment-completed',
+    description: description || 'Paiement reçu',
+    automatic: true
+  });
+
+  if (!(await secureStockForPayment(order))) {
+    const reason = 'Paiement reçu pour une commande annulée ou dont le stock n\'est plus disponible';
+    // Le remboursement est émis avant tout enregistrement: en cas d'échec, le fournisseur renverra l'événement
+    const { provider, refundId } = await issueProviderRefund(order, roundCents(order.pricing.total), reason);
+    if (order.status === 'pending') {
+      order.status = 'cancelled';
+    }
+    order.timeline.push({
+      status: 'stock-warning',
+      description: `${reason}: remboursement intégral émis`,
+      automatic: true
+    });
+    return recordProviderRefund(order, { amount: order.pricing.total, refundId, reason, provider });
+  }
+
+  // Comptabiliser l'utilisation du code promo
+  await redeemOrderCoupon(order);
+
+  if (order.status === 'pending') {
+    order.status = 'confirmed';
+  }
+
+  await order.save();
+  // Émettre la facture (numérotation séquentielle) dès l'encaissement
+  await syncOrderDocumentsQuietly(order);
+  return order;
+};
+
+// Montant (centimes) et devise encaissés conformes au total de la commande
+const matchesOrderAmount = (order, cents, currency) =>
+  Math.round(Number(cents)) === Math.round(order.pricing.total * 100) &&
+  String(currency || '').toUpperCase() === (order.pricing.currency || 'EUR').toUpperCase();
+
+// Paiement encaissé pour un montant ou une devise différents de la commande: remboursé
+// intégralement (une seule fois par paiement), la commande reste en attente d'un paiement conforme
+const refundMismatchedPayment = async (order, { provider, paymentId, amount, currency }) => {
+  const claimKey = `mismatch:${paymentId}`;
+  if (!(await WebhookEvent.claim(provider, claimKey, 'payment-mismatch'))) {
+    return order;
+  }
+
+  let refund;
+  try {
+    refund = await refundFullPayment(provider, paymentId, {
+      orderId: order._id,
+      note: 'Montant payé différent du total de la commande'
+    });
+  } catch (error) {
+    await WebhookEvent.release(provider, claimKey).catch(() => {});
+    throw error;
+  }
+  await WebhookEvent.attachOrder(provider, claimKey, order._id);
+
+  // Litige ouvert lors d'un précédent échec de remboursement
+  const flagged = order.payment.disputes?.find((dispute) => dispute.disputeId === claimKey);
+  if (flagged) {
+    flagged.status = 'resolved';
+    flagged.outcome = 'refunded';
+    flagged.updatedAt = new Date();
+  }
+
+  order.timeline.push({
+    status: 'payment-mismatch',
+    description: `Paiement ${paymentId} de ${amount} ${String(currency || '').toUpperCase()} différent du total de la commande: remboursé intégralement${refund?.id ? ` (${refund.id})` : ''}`,
+    automatic: true
+  });
+  return order.save();
+};
+
+// Marquer le paiement comme échoué (un paiement déjà encaissé n'est jamais rétrogradé)
+const markOrderPaymentFailed = async (order, { reason } = {}) => {
+  if (order.payment.status !== 'pending' && order.payment.status !== 'processing') {
+    return order;
+  }
+
+  order.payment.status = 'failed';
+  order.timeline.push({
+    status: 'payment-failed',
+    description: reason ? `Échec du paiement: ${reason}` : 'Échec du paiement',
+    automatic: true
+  });
+
+  return order.save();
+};
+
+// Commande rechargée, avec le client peuplé comme sur l'instance d'origine (emails)
+const withCustomer = async (fresh, order) => {
+  if (order.populated('user')) {
+    await fresh.populate('user', 'firstName lastName email');
+  }
+  return fresh;
+};
+
+const REFUND_ENRICH_ATTEMPTS = 5;
+const REFUND_ENRICH_DELAY_MS = 200;
+
+// Compléter un remboursement déjà enregistré par le webhook avec les informations connues
+// de l'administration (articles, numéro de retour, auteur); le webhook peut être encore en
+// cours d'enregistrement, d'où quelques nouvelles tentatives. Retourne la commande à jour.
+const enrichRecordedRefund = async (order, refundId, { processedBy, items, returnNumber }) => {
+  const details = {};
+  if (processedBy) details['payment.refunds.$.processedBy'] = processedBy;
+  if (items?.length) details['payment.refunds.$.items'] = items;
+  if (returnNumber) details['payment.refunds.$.returnNumber'] = returnNumber;
+  if (!Object.keys(details).length) return order;
+
+  for (let attempt = 0; attempt < REFUND_ENRICH_ATTEMPTS; attempt += 1) {
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, 'payment.refunds.refundId': refundId },
+      { $set: details },
+      { new: true }
+    );
+    if (updated) {
+      await syncOrderDocumentsQuietly(updated);
+      return withCustomer(updated, order);
+    }
+    await new Promise(resolve => setTimeout(resolve, REFUND_ENRICH_DELAY_MS * (attempt + 1)));
+  }
+  console.error('[Refund] Remboursement introuvable pour compléter ses articles:', order._id.toString(), refundId);
+  const fresh = await Order.findById(order._id);
+  return fresh ? withCustomer(fresh, order) : order;
+};
+
+// Enregistrer un remboursement émis chez le fournisseur (complété s'il est déjà connu)
+// Le remboursement émis par l'API et celui notifié par webhook portent le même identifiant:
+// il est réservé atomiquement (WebhookEvent) pour n'être compté qu'une fois
+const recordProviderRefund = async (order, { amount, refundId, reason, processedBy = null, provider, items, returnNumber } = {}) => {
+  if (refundId && order.payment.refunds.some(r => r.refundId === refundId)) {
+    return enrichRecordedRefund(order, refundId, { processedBy, items, returnNumber });
+  }
+
+  const refundable = roundCents(order.refundableAmount);
+  const value = Math.min(roundCents(amount), refundable);
+  if (value <= 0) {
+    return order;
+  }
+
+  const claimKey = refundId && ['stripe', 'paypal'].includes(provider) ? `refund:${refundId}` : null;
+  if (claimKey && !(await WebhookEvent.claim(provider, claimKey, 'refund'))) {
+    // Déjà enregistré par le webhook
+    return enrichRecordedRefund(order, refundId, { processedBy, items, returnNumber });
+  }
+
+  order.timeline.push({
+    status: 'refund',
+    description: `Remboursement de ${value.toFixed(2)} ${order.pricing.currency}${reason ? ` (${reason})` : ''}`,
+    updatedBy: processedBy,
+    automatic: !processedBy
+  });
+
+  try {
+    await order.processRefund(value, reason || 'Remboursement', refundId, processedBy, { provider, items, returnNumber });
+  } catch (error) {
+    if (claimKey) await WebhookEvent.release(provider, claimKey).catch(() => {});
+    throw error;
+  }
+  if (claimKey) await WebhookEvent.attachOrder(provider, claimKey, order._id);
+  // Un avoir par remboursement
+  await syncOrderDocumentsQuietly(order);
+  return order;
+};
+
+module.exports = {
+  roundCents,
+  findOrderForPayment,
+  markOrderPaid,
+  matchesOrderAmount,
+  refundMismatchedPayment,
+  markOrderPaymentFailed,
+  recordProviderRefund
+};
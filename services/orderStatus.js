@@ -0,0 +1,77 @@
+// Cycle de vie d'une commande: table unique des transitions autorisées
+//   pending → confirmed → processing → ready → shipped → delivered
+//   annulation possible avant expédition
+// Le statut refunded n'est jamais une cible manuelle: il résulte d'un remboursement intégral
+// (services/refunds, webhooks des fournisseurs), depuis REFUNDABLE_ORDER_STATUSES
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'cancelled'],
+  processing: ['ready', 'shipped', 'cancelled'],
+  // Tous les articles sont produits; retour en production possible (reprise d'un article)
+  ready: ['shipped', 'processing', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: [],
+  refunded: []
+};
+
+const REFUNDABLE_ORDER_STATUSES = ['confirmed', 'processing', 'ready', 'shipped', 'delivered', 'cancelled'];
+
+const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+// Étapes de production d'un article (atelier d'impression)
+const ITEM_PRODUCTION_TRANSITIONS = {
+  pending: ['in-production', 'ready'],
+  confirmed: ['in-production', 'ready'],
+  'in-production': ['ready', 'pending'],
+  ready: ['in-production']
+};
+
+const ITEM_PRODUCTION_STAGES = ['pending', 'in-production', 'ready'];
+
+// Transition refusée par la table (réponse 409)
+class OrderStatusError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'OrderStatusError';
+    this.status = status;
+  }
+}
+
+const canTransition = (from, to) => (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+
+const assertTransition = (from, to) => {
+  if (!ORDER_STATUSES.includes(to)) {
+    throw new OrderStatusError(`Statut invalide: ${to}`, 400);
+  }
+  if (to === 'refunded') {
+    throw new OrderStatusError('Le statut refunded est attribué par le remboursement de la commande (POST /api/admin/orders/:id/refunds)');
+  }
+  if (!canTransition(from, to)) {
+    const allowed = ORDER_STATUS_TRANSITIONS[from] || [];
+    throw new OrderStatusError(
+      `Transition interdite: ${from} → ${to}${allowed.length ? ` (autorisées: ${allowed.join(', ')})` : ''}`
+    );
+  }
+};
+
+const assertItemTransition = (from, to) => {
+  if (!ITEM_PRODUCTION_STAGES.includes(to)) {
+    throw new OrderStatusError(`Étape de production invalide: ${to}`, 400);
+  }
+  if (!(ITEM_PRODUCTION_TRANSITIONS[from] || []).includes(to)) {
+    throw new OrderStatusError(`Transition d'article interdite: ${from} → ${to}`);
+  }
+};
+
+module.exports = {
+  ORDER_STATUS_TRANSITIONS,
+  ORDER_STATUSES,
+  REFUNDABLE_ORDER_STATUSES,
+  ITEM_PRODUCTION_TRANSITIONS,
+  ITEM_PRODUCTION_STAGES,
+  assertItemTransition,
+  OrderStatusError,
+  canTransition,
+  assertTransition
+};
@@ -0,0 +1,167 @@
+const { sendEmail, escapeHtml } = require('../config/mailer');
+const { commitReservation, releaseReservation } = require('./stockReservation');
+const { restockOrderItem } = require('./inventory');
+const { previewUrl } = require('./mockupPreview');
+const { OrderStatusError } = require('./orderStatus');
+const { RefundError, assertProviderRefundable } = require('./providerRefunds');
+const { refundOrder } = require('./refunds');
+
+// Paiement encaissé (et pas encore intégralement remboursé)
+const PAID_PAYMENT_STATUSES = ['completed', 'partially-refunded'];
+
+// Miniatures des articles personnalisés (première face du design), si l'API a une URL publique
+const designPreviewsHtml = async (order) => {
+  if (!order.items.some(item => item.design)) return '';
+  if (!order.populated('items.design')) {
+    await order.populate('items.design', 'text.content text.side image.side layers.side');
+  }
+  return order.items
+    .map(item => {
+      const side = Object.keys(item.design?.previewUrls || {})[0];
+      return side ? previewUrl(item.design._id, side) : null;
+    })
+    .filter(Boolean)
+    .map(url => `<img src="${url}" width="160" alt="Aperçu de votre personnalisation" style="margin:4px"/>`)
+    .join('');
+};
+
+// Notifier le client et tracer l'envoi dans la commande (un échec d'envoi ne bloque pas)
+const notifyCustomer = async (order, type, subject, paragraphs) => {
+  if (!order.populated('user')) {
+    await order.populate('user', 'firstName lastName email');
+  }
+  const email = order.user?.email;
+  if (!email) return;
+
+  const greeting = `Bonjour ${order.user.firstName || ''},`;
+  try {
+    const previews = await designPreviewsHtml(order);
+    await sendEmail({
+      to: email,
+      subject,
+      text: [greeting, '', ...paragraphs, '', 'L\'équipe CustomWear'].join('\n'),
+      html: [greeting, ...paragraphs].map(p => `<p>${escapeHtml(p)}</p>`).join('') +
+        (previews ? `<p>${previews}</p>` : '') +
+        '<p>L\'équipe CustomWear</p>'
+    });
+    order.communication.emails.push({ type, subject });
+    await order.save();
+  } catch (mailError) {
+    console.error(`[Mailer] Erreur envoi email ${type}:`, mailError?.message);
+  }
+};
+
+// Quantités de chaque ligne déjà remises en stock par des remboursements d'articles
+const restockedQuantities = (order) => {
+  const quantities = new Map();
+  for (const refund of order.payment.refunds || []) {
+    for (const { itemId, quantity, restocked } of refund.items || []) {
+      if (!restocked) continue;
+      quantities.set(String(itemId), (quantities.get(String(itemId)) || 0) + quantity);
+    }
+  }
+  return quantities;
+};
+
+// Remettre en stock (réservation, ou lignes pour les commandes antérieures aux réservations),
+// sans rendre une seconde fois les articles déjà remis en stock par un remboursement
+const restockCancelledOrder = async (order, reason) => {
+  const restocked = restockedQuantities(order);
+  const returned = order.items
+    .filter(item => restocked.has(String(item._id)))
+    .map(item => ({ variantId: item.variantId, quantity: restocked.get(String(item._id)) }));
+
+  const { found } = await releaseReservation(order._id, reason, { returned });
+  if (!found) {
+    for (const item of order.items) {
+      await restockOrderItem(item, item.quantity - (restocked.get(String(item._id)) || 0));
+    }
+  }
+};
+
+// Effets de bord déclenchés à l'arrivée dans un statut
+const STATUS_EFFECTS = {
+  // Commande confirmée (paiement hors ligne attendu): son stock ne doit plus expirer
+  confirmed: async (order) => {
+    await commitReservation(order._id);
+  },
+  cancelled: async (order, { note, updatedBy }) => {
+    await restockCancelledOrder(order, note || 'Commande annulée');
+
+    // Commande payée: le solde est remboursé chez le fournisseur (le stock est déjà rendu)
+    const paid = PAID_PAYMENT_STATUSES.includes(order.payment.status);
+    let refunded = false;
+    if (paid) {
+      if (!order.populated('user')) {
+        await order.populate('user', 'firstName lastName email');
+      }
+      try {
+        await refundOrder(order, { reason: note || 'Commande annulée', restock: false, processedBy: updatedBy });
+        refunded = true;
+      } catch (refundError) {
+        console.error('[Refund] Remboursement à l\'annulation échoué:', order._id.toString(), refundError?.message);
+        order.timeline.push({
+          status: 'refund',
+          description: `Remboursement automatique échoué (${refundError?.message}): à émettre depuis l'administration`,
+          updatedBy,
+          automatic: !updatedBy
+        });
+        await order.save();
+      }
+    }
+
+    await notifyCustomer(order, 'cancelled', `Annulation de votre commande ${order.orderNumber}`, [
+      `Votre commande ${order.orderNumber} a été annulée.${note ? ` Motif: ${note}` : ''}`,
+      !paid
+        ? 'Aucun montant ne vous sera débité.'
+        : (refunded ? 'Votre paiement a été remboursé.' : 'Le remboursement de votre paiement va être traité par notre équipe.')
+    ]);
+  },
+  shipped: async (order) => {
+    const { carrier, trackingNumber, trackingUrl } = order.tracking || {};
+    await notifyCustomer(order, 'shipped', `Votre commande ${order.orderNumber} a été expédiée`, [
+      `Votre commande ${order.orderNumber} est en route.`,
+      trackingNumber ? `Transporteur: ${carrier || '-'} - numéro de suivi: ${trackingNumber}` : null,
+      trackingUrl ? `Suivre le colis: ${trackingUrl}` : null
+    ].filter(Boolean));
+  },
+  delivered: async (order) => {
+    await notifyCustomer(order, 'delivered', `Votre commande ${order.orderNumber} a été livrée`, [
+      `Votre commande ${order.orderNumber} a été livrée. Merci pour votre confiance !`
+    ]);
+  }
+};
+
+// Changer le statut (table des transitions appliquée par Order.updateStatus) puis exécuter les effets
+const changeOrderStatus = async (order, status, { note, updatedBy = null } = {}) => {
+  // Annulation d'une commande payée refusée si son paiement ne peut pas être remboursé automatiquement
+  if (status === 'cancelled' && PAID_PAYMENT_STATUSES.includes(order.payment.status)) {
+    try {
+      assertProviderRefundable(order);
+    } catch (error) {
+      if (!(error instanceof RefundError)) throw error;
+      throw new OrderStatusError(`Annulation impossible: ${error.message}`, error.status);
+    }
+  }
+  await order.updateStatus(status, note, updatedBy);
+  const effect = STATUS_EFFECTS[status];
+  if (effect) {
+    await effect(order, { note, updatedBy });
+  }
+  return order;
+};
+
+// Renseigner le suivi et passer la commande en expédiée
+const shipOrder = async (order, { carrier, trackingNumber, trackingUrl, updatedBy = null }) => {
+  const wasShipped = order.status === 'shipped';
+  await order.addTracking(carrier, trackingNumber, trackingUrl, updatedBy);
+  if (!wasShipped) {
+    await STATUS_EFFECTS.shipped(order);
+  }
+  return order;
+};
+
+module.exports = {
+  changeOrderStatus,
+  shipOrder
+};
@@ -0,0 +1,179 @@
+const WebhookEvent = require('../models/WebhookEvent');
+const {
+  roundCents,
+  findOrderForPayment,
+  markOrderPaid,
+  refundMismatchedPayment,
+  markOrderPaymentFailed,
+  recordProviderRefund
+} = require('./orderPayments');
+
+// Montant PayPal { value, currency_code } -> nombre
+const amountValue = (amount) => roundCents(parseFloat(amount?.value || 0));
+
+// Lien HATEOAS "up" d'une ressource de remboursement -> identifiant de capture
+const captureIdFromLinks = (resource) => {
+  const up = Array.isArray(resource?.links) ? resource.links.find((l) => l.rel === 'up') : null;
+  const match = up?.href?.match(/\/captures\/([^/?]+)/);
+  return match ? match[1] : undefined;
+};
+
+const findOrderForResource = (resource) => findOrderForPayment({
+  paypalOrderId: resource.supplementary_data?.related_ids?.order_id,
+  transactionId: resource.supplementary_data?.related_ids?.capture_id || captureIdFromLinks(resource),
+  orderId: resource.custom_id
+});
+
+const handleCaptureCompleted = async (capture) => {
+  const order = await findOrderForPayment({
+    paypalOrderId: capture.supplementary_data?.related_ids?.order_id,
+    transactionId: capture.id,
+    orderId: capture.custom_id
+  });
+  if (!order) return null;
+
+  const currency = (order.pricing.currency || 'EUR').toUpperCase();
+  const matches = (capture.amount?.currency_code || '').toUpperCase() === currency &&
+    Math.round(amountValue(capture.amount) * 100) === Math.round(order.pricing.total * 100);
+
+  if (!matches) {
+    // Remboursée une seule fois, y compris si la route de capture l'a déjà fait
+    return refundMismatchedPayment(order, {
+      provider: 'paypal',
+      paymentId: capture.id,
+      amount: capture.amount?.value,
+      currency: capture.amount?.currency_code
+    });
+  }
+
+  return markOrderPaid(order, {
+    paypalOrderId: capture.supplementary_data?.related_ids?.order_id,
+    transactionId: capture.id,
+    description: 'Paiement PayPal confirmé'
+  });
+};
+
+const handleCaptureDenied = async (capture) => {
+  const order = await findOrderForResource(capture);
+  if (!order) return null;
+
+  return markOrderPaymentFailed(order, {
+    reason: capture.status_details?.reason || 'Capture PayPal refusée'
+  });
+};
+
+const handleCaptureRefunded = async (refund) => {
+  const order = await findOrderForResource(refund);
+  if (!order) return null;
+
+  return recordProviderRefund(order, {
+    amount: amountValue(refund.amount),
+    refundId: refund.id,
+    reason: refund.note_to_payer || 'Remboursement PayPal',
+    provider: 'paypal'
+  });
+};
+
+// Une capture n'est annulée qu'une fois: l'annulation et le litige tranché en faveur de
+// l'acheteur (notifiés chacun sous leur propre identifiant) sont enregistrés sous la capture
+const reversalRefundId = (captureId) => `reversal:${captureId}`;
+
+const handleCaptureReversed = async (reversal) => {
+  const order = await findOrderForResource(reversal);
+  if (!order) return null;
+
+  return recordProviderRefund(order, {
+    amount: amountValue(reversal.amount),
+    refundId: reversalRefundId(captureIdFromLinks(reversal) || order.payment.transactionId || reversal.id),
+    reason: 'Paiement PayPal annulé (reversal)',
+    provider: 'paypal'
+  });
+};
+
+// Litiges: suivi dans payment.disputes; un litige tranché en faveur de l'acheteur vaut remboursement
+const handleDispute = async (dispute, eventType) => {
+  const transaction = Array.isArray(dispute.disputed_transactions) ? dispute.disputed_transactions[0] : null;
+  const order = await findOrderForPayment({
+    transactionId: transaction?.seller_transaction_id,
+    orderId: transaction?.custom
+  });
+  if (!order) return null;
+
+  const amount = amountValue(dispute.dispute_amount);
+  const outcome = dispute.dispute_outcome?.outcome_code;
+  const entry = {
+    disputeId: dispute.dispute_id,
+    status: dispute.status,
+    reason: dispute.reason,
+    outcome,
+    amount,
+    updatedAt: new Date()
+  };
+
+  const existing = order.payment.disputes.find((d) => d.disputeId === dispute.dispute_id);
+  if (existing) {
+    Object.assign(existing, entry);
+  } else {
+    order.payment.disputes.push(entry);
+  }
+
+  order.timeline.push({
+    status: 'dispute',
+    description: `Litige PayPal ${dispute.dispute_id}: ${dispute.status || eventType}${outcome ? ` (${outcome})` : ''}`,
+    automatic: true
+  });
+
+  const refundedAmount = outcome === 'RESOLVED_BUYER_FAVOUR'
+    ? amount
+    : (outcome === 'RESOLVED_WITH_PAYOUT' ? amountValue(dispute.dispute_outcome?.amount_refunded) : 0);
+
+  if (refundedAmount > 0) {
+    // Suivi du litige enregistré même si le remboursement est déjà connu
+    await order.save();
+    return recordProviderRefund(order, {
+      amount: refundedAmount,
+      refundId: reversalRefundId(transaction?.seller_transaction_id || order.payment.transactionId || dispute.dispute_id),
+      reason: 'Litige PayPal résolu en faveur de l\'acheteur',
+      provider: 'paypal'
+    });
+  }
+  return order.save();
+};
+
+const HANDLERS = {
+  'PAYMENT.CAPTURE.COMPLETED': handleCaptureCompleted,
+  'PAYMENT.CAPTURE.DENIED': handleCaptureDenied,
+  'PAYMENT.CAPTURE.REFUNDED': handleCaptureRefunded,
+  'PAYMENT.CAPTURE.REVERSED': handleCaptureReversed
+};
+
+// Traiter un événement PayPal vérifié, une seule fois par event.id
+const processPayPalEvent = async (event) => {
+  const eventType = event?.event_type || '';
+  const handler = HANDLERS[eventType] || (eventType.startsWith('CUSTOMER.DISPUTE.') ? handleDispute : null);
+  if (!handler) {
+    return { handled: false };
+  }
+
+  const claimed = await WebhookEvent.claim('paypal', event.id, eventType);
+  if (!claimed) {
+    return { handled: false, duplicate: true };
+  }
+
+  try {
+    const order = await handler(event.resource || {}, eventType);
+    if (!order) {
+      // Libéré pour qu'un nouvel envoi soit traité une fois la commande connue
+      await WebhookEvent.release('paypal', event.id);
+      console.warn('[PayPal Webhook] Aucune commande liée à l\'événement', { id: event.id, type: eventType });
+      return { handled: false, retry: Boolean(event.resource?.custom_id) };
+    }
+    await WebhookEvent.attachOrder('paypal', event.id, order._id);
+    return { handled: true, orderId: order._id };
+  } catch (err) {
+    await WebhookEvent.release('paypal', event.id).catch(() => {});
+    throw err;
+  }
+};
+
+module.exports = { processPayPalEvent };
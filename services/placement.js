@@ -0,0 +1,177 @@
+const { printAreasFor } = require('./printAreas');
+const { DESIGN_CANVAS_WIDTH } = require('./designRender');
+const { layersOf } = require('./designLayers');
+
+// Contrôle des calques: refusés (reject) ou ramenés dans la zone d'impression (clamp)
+const PLACEMENT_MODES = ['reject', 'clamp'];
+
+// Tolérance (en %) pour les arrondis de l'éditeur
+const EPSILON = 0.05;
+
+// Calque hors zone ou technique non autorisée (errors: détail par calque)
+class PlacementError extends Error {
+  constructor(message, errors = [], status = 422) {
+    super(message);
+    this.name = 'PlacementError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const rotatedSize = ({ width, height }, degrees) => {
+  const angle = (Number(degrees) || 0) * Math.PI / 180;
+  const cos = Math.abs(Math.cos(angle));
+  const sin = Math.abs(Math.sin(angle));
+  return { width: width * cos + height * sin, height: width * sin + height * cos };
+};
+
+// Dimensions d'un calque avant rotation, en px de l'éditeur
+// (texte: mêmes métriques approchées que le rendu, image: proportions du fichier si connues)
+const layerSize = (layer) => {
+  if (layer.type === 'text') {
+    const content = String(layer.text?.content || '');
+    const fontSize = Number(layer.text?.fontSize) || 24;
+    const lines = content.split('\n');
+    const chars = [...content.replace(/\n/g, '')].length;
+    if (layer.text?.shape === 'vertical') return { width: fontSize, height: chars * fontSize * 1.1 };
+    if (layer.text?.shape === 'arc') return { width: chars * fontSize * 0.6, height: fontSize * 2 };
+    const width = Math.max(...lines.map(line => [...line].length)) * fontSize * 0.6;
+    const size = { width, height: lines.length * fontSize * 1.2 };
+    return layer.text?.shape === 'diagonal' ? rotatedSize(size, 45) : size;
+  }
+  if (layer.type === 'image') {
+    const width = Number(layer.image?.size) || 100;
+    const ratio = layer.image?.width && layer.image?.height ? layer.image.height / layer.image.width : 1;
+    return { width, height: width * ratio };
+  }
+  if (layer.shape?.kind === 'line') {
+    return { width: Number(layer.shape.width) || 100, height: Number(layer.shape.strokeWidth) || 1 };
+  }
+  return { width: Number(layer.shape?.width) || 100, height: Number(layer.shape?.height) || 100 };
+};
+
+// Rectangle occupé par un calque, en % de l'image de la face.
+// Le canevas de l'éditeur est carré: 1 % vaut DESIGN_CANVAS_WIDTH / 100 px sur les deux axes.
+const layerBox = (layer) => {
+  const { width, height } = rotatedSize(layerSize(layer), layer.rotation);
+  return {
+    cx: Number(layer.position?.x ?? 50),
+    cy: Number(layer.position?.y ?? 50),
+    halfWidth: (width / DESIGN_CANVAS_WIDTH) * 50,
+    halfHeight: (height / DESIGN_CANVAS_WIDTH) * 50
+  };
+};
+
+const contains = (area, box) =>
+  box.cx - box.halfWidth >= area.x - EPSILON &&
+  box.cx + box.halfWidth <= area.x + area.width + EPSILON &&
+  box.cy - box.halfHeight >= area.y - EPSILON &&
+  box.cy + box.halfHeight <= area.y + area.height + EPSILON;
+
+// Distance du centre du calque à une zone (0 si le centre y est)
+const distanceTo = (area, box) => Math.hypot(
+  Math.max(area.x - box.cx, 0, box.cx - (area.x + area.width)),
+  Math.max(area.y - box.cy, 0, box.cy - (area.y + area.height))
+);
+
+// Ramener un calque dans la zone la plus proche: réduit si trop grand, puis recentré au bord
+const clampBox = (areas, box) => {
+  const area = [...areas].sort((a, b) => distanceTo(a, box) - distanceTo(b, box))[0];
+  const scale = Math.min(1, area.width / (2 * box.halfWidth || 1), area.height / (2 * box.halfHeight || 1));
+  const halfWidth = box.halfWidth * scale;
+  const halfHeight = box.halfHeight * scale;
+  return {
+    area,
+    scale,
+    position: {
+      x: round2(Math.min(Math.max(box.cx, area.x + halfWidth), area.x + area.width - halfWidth)),
+      y: round2(Math.min(Math.max(box.cy, area.y + halfHeight), area.y + area.height - halfHeight))
+    }
+  };
+};
+
+const scaled = (value, scale, fallback) => round2((Number(value) || fallback) * scale);
+
+// Appliquer position et échelle à un calque (format multi-couches)
+const adjustLayer = (layer, { position, scale }) => {
+  const adjusted = { ...layer, position };
+  if (scale < 1) {
+    if (layer.type === 'text') adjusted.text = { ...layer.text, fontSize: scaled(layer.text.fontSize, scale, 24) };
+    if (layer.type === 'image') adjusted.image = { ...layer.image, size: scaled(layer.image.size, scale, 100) };
+    if (layer.type === 'shape') {
+      adjusted.shape = {
+        ...layer.shape,
+        width: scaled(layer.shape.width, scale, 100),
+        height: scaled(layer.shape.height, scale, 100),
+        strokeWidth: scaled(layer.shape.strokeWidth, scale, 0)
+      };
+    }
+  }
+  return adjusted;
+};
+
+// Vérifier chaque calque contre les zones imprimables de sa face.
+// design: { layers } ou ancien format { text, image }; options: { productType, printAreas, mode }.
+// Retourne le design (corrigé en mode clamp) et la liste des ajustements.
+const applyPlacement = (design, { productType, printAreas, mode = 'reject' } = {}) => {
+  const legacy = !design.layers?.length;
+  const layers = legacy ? layersOf(design) : design.layers;
+  const errors = [];
+  const adjustments = [];
+  const placed = [];
+
+  for (const [index, layer] of layers.entries()) {
+    const label = legacy ? layer.type : index;
+    const fail = (message) => errors.push({ layer: label, side: layer.side, message });
+
+    const areas = printAreasFor(layer.side || 'front', { productType, printAreas });
+    if (!areas.length) {
+      fail('Face non imprimable sur ce produit');
+      continue;
+    }
+    const allowed = layer.technique ? areas.filter(area => area.techniques.includes(layer.technique)) : areas;
+    if (!allowed.length) {
+      fail(`Technique ${layer.technique} non autorisée sur cette face`);
+      continue;
+    }
+
+    const box = layerBox(layer);
+    if (allowed.some(area => contains(area, box))) {
+      placed.push(layer);
+    } else if (mode === 'clamp') {
+      const fix = clampBox(allowed, box);
+      adjustments.push({ layer: label, side: layer.side, area: fix.area.name, position: fix.position, scale: round2(fix.scale) });
+      placed.push(adjustLayer(layer, fix));
+    } else {
+      fail('Calque hors de la zone d\'impression');
+    }
+  }
+
+  if (errors.length) {
+    throw new PlacementError('Placement invalide: un ou plusieurs calques sortent des zones imprimables', errors);
+  }
+  if (!adjustments.length) return { design, adjustments };
+
+  if (!legacy) return { design: { ...design, layers: placed }, adjustments };
+
+  // Ancien format: reporter position et taille sur text / image
+  const next = { ...design };
+  for (const layer of placed) {
+    if (layer.type === 'text') {
+      next.text = { ...design.text, position: layer.position, fontSize: layer.text.fontSize };
+    }
+    if (layer.type === 'image') {
+      next.image = { ...design.image, position: layer.position, size: layer.image.size };
+    }
+  }
+  return { design: next, adjustments };
+};
+
+module.exports = {
+  PLACEMENT_MODES,
+  PlacementError,
+  layerBox,
+  applyPlacement
+};
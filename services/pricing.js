@@ -0,0 +1,551 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const CustomizationPricing = require('../models/CustomizationPricing');
+const Customization = require('../models/Customization');
+const { LAYER_TYPES, DESIGN_SIDES } = require('./designLayers');
+const { loadQuantityRules, quoteQuantity } = require('./bulkPricing');
+const { round2 } = require('./money');
+
+// Valeurs par défaut si la grille en base est vide
+const DEFAULT_GRID = {
+  text: { front: 5, back: 5, both: 8, 'left-sleeve': 4, 'right-sleeve': 4 },
+  image: { front: 10, back: 10, both: 15, 'left-sleeve': 6, 'right-sleeve': 6 },
+  shape: { front: 3, back: 3, 'left-sleeve': 2, 'right-sleeve': 2 },
+  combo: { any: 12 },
+  // Broderie: configuration par emplacement ('any' sert pour tous), price = prix plancher par pièce
+  embroidery: {
+    any: {
+      price: 5,
+      tiers: [
+        { maxStitches: 5000, price: 6 },
+        { maxStitches: 10000, price: 9 },
+        { maxStitches: 15000, price: 12 }
+      ],
+      extraPer1000: 0.8,
+      includedColors: 3,
+      colorSurcharge: 0.5,
+      digitizingFee: 25,
+      maxStitches: 50000
+    }
+  },
+};
+
+const DEFAULT_TAX_RATE = 0.20;
+
+// Charger la grille tarifaire de personnalisation active
+const loadCustomizationGrid = async () => {
+  const rows = await CustomizationPricing.find({ isActive: true });
+  const grid = { text: {}, image: {}, shape: {}, combo: {}, embroidery: {} };
+  for (const r of rows) {
+    if (r?.type === 'embroidery') {
+      // Paramètres non renseignés: ceux par défaut
+      const config = r.embroidery?.toObject?.() || {};
+      grid.embroidery[r.placement] = {
+        ...DEFAULT_GRID.embroidery.any,
+        ...config,
+        tiers: config.tiers?.length ? config.tiers : DEFAULT_GRID.embroidery.any.tiers,
+        price: r.price
+      };
+    } else if (r && grid[r.type]) {
+      grid[r.type][r.placement] = r.price;
+    }
+  }
+  // Remplir les valeurs par défaut manquantes
+  for (const [t, placements] of Object.entries(DEFAULT_GRID)) {
+    for (const [p, price] of Object.entries(placements)) {
+      if (grid[t][p] === undefined) grid[t][p] = price;
+    }
+  }
+  return grid;
+};
+
+const placementOf = (front, back) => (front && back ? 'both' : (front ? 'front' : (back ? 'back' : null)));
+
+// Prix unitaire de personnalisation à partir des faces sélectionnées
+const computeCustomizationPrice = (grid, { textFront = false, textBack = false, imageFront = false, imageBack = false } = {}) => {
+  const textPlacement = placementOf(textFront, textBack);
+  const imagePlacement = placementOf(imageFront, imageBack);
+
+  let textPrice = 0;
+  let imagePrice = 0;
+  let textSavings = 0;
+  let imageSavings = 0;
+
+  if (textPlacement) {
+    textPrice = grid.text[textPlacement];
+    if (textPlacement === 'both') {
+      textSavings = Math.max(0, (grid.text.front + grid.text.back) - textPrice);
+    }
+  }
+  if (imagePlacement) {
+    imagePrice = grid.image[imagePlacement];
+    if (imagePlacement === 'both') {
+      imageSavings = Math.max(0, (grid.image.front + grid.image.back) - imagePrice);
+    }
+  }
+
+  // Prix combiné si texte et image sont sélectionnés
+  let customizationPrice = round2(textPrice + imagePrice);
+  let comboApplied = false;
+  if (textPlacement && imagePlacement && typeof grid.combo?.any === 'number') {
+    customizationPrice = round2(grid.combo.any);
+    comboApplied = true;
+  }
+
+  return {
+    customizationPrice,
+    details: {
+      textPlacement: textPlacement || 'none',
+      imagePlacement: imagePlacement || 'none',
+      textPrice,
+      imagePrice,
+      combo: { applied: comboApplied, price: comboApplied ? grid.combo.any : null },
+      savings: {
+        text: textSavings,
+        image: imageSavings,
+        total: round2(textSavings + imageSavings),
+      },
+    }
+  };
+};
+
+// Prix unitaire d'un design multi-couches: chaque calque est tarifé selon son type et sa face
+// (grille CustomizationPricing, ex. text/left-sleeve); pas de forfait combiné
+const computeLayersPrice = (grid, layers = []) => {
+  const lines = layers.map((layer, index) => {
+    const side = layer.side || 'front';
+    if (!LAYER_TYPES.includes(layer.type) || !DESIGN_SIDES.includes(side)) {
+      throw new PricingError(`Calque ${index + 1} invalide (type: ${LAYER_TYPES.join(', ')}; face: ${DESIGN_SIDES.join(', ')})`);
+    }
+    return { layer: layer._id || index, type: layer.type, side, price: grid[layer.type][side] ?? 0 };
+  });
+
+  return {
+    customizationPrice: round2(lines.reduce((total, line) => total + line.price, 0)),
+    details: {
+      layerCount: lines.length,
+      layers: lines
+    }
+  };
+};
+
+const embroideryColorCount = (colors) => (Array.isArray(colors) ? colors.filter(Boolean).length : Number(colors) || 0);
+
+// Prix de broderie au nombre de points: palier (ou tarif au point du produit s'il en définit un),
+// supplément par couleur de fil au-delà des couleurs incluses, prix plancher par pièce;
+// frais de programmation (digitizing) facturés une fois par ligne, hors prix unitaire.
+// embroidery: { stitches, colors, placement }; product: produit catalogue (facultatif)
+const computeEmbroideryPrice = (grid, embroidery = {}, { product } = {}) => {
+  const placement = embroidery.placement || 'front';
+  const config = grid.embroidery?.[placement] || grid.embroidery?.any || DEFAULT_GRID.embroidery.any;
+  const stitches = Number(embroidery.stitches);
+  if (!Number.isInteger(stitches) || stitches < 1) {
+    throw new PricingError('Broderie: nombre de points requis (entier positif)');
+  }
+  if (stitches > config.maxStitches) {
+    throw new PricingError(`Broderie: ${config.maxStitches} points maximum`);
+  }
+
+  const productOptions = product?.customization?.options?.embroidery;
+  const useProductRate = Boolean(productOptions?.enabled && productOptions.pricePerStitch > 0);
+  let stitchPrice;
+  let tier = null;
+  if (useProductRate) {
+    stitchPrice = (productOptions.basePrice || 0) + stitches * productOptions.pricePerStitch;
+  } else {
+    const tiers = [...config.tiers].sort((a, b) => a.maxStitches - b.maxStitches);
+    tier = tiers.find(t => stitches <= t.maxStitches) || null;
+    if (tier) {
+      stitchPrice = tier.price;
+    } else {
+      const last = tiers[tiers.length - 1] || { maxStitches: 0, price: 0 };
+      stitchPrice = last.price + Math.ceil((stitches - last.maxStitches) / 1000) * config.extraPer1000;
+    }
+  }
+
+  const colors = embroideryColorCount(embroidery.colors);
+  const extraColors = Math.max(0, colors - config.includedColors);
+  const colorPrice = extraColors * config.colorSurcharge;
+  const unitPrice = round2(Math.max(config.price || 0, stitchPrice + colorPrice));
+
+  return {
+    unitPrice,
+    setupFee: round2(config.digitizingFee),
+    details: {
+      placement,
+      stitches,
+      tier: tier ? tier.maxStitches : null,
+      pricing: useProductRate ? 'product' : 'tiers',
+      stitchPrice: round2(stitchPrice),
+      colors,
+      extraColors,
+      colorPrice: round2(colorPrice),
+      minimumApplied: unitPrice > round2(stitchPrice + colorPrice),
+      digitizingFee: round2(config.digitizingFee)
+    }
+  };
+};
+
+// Prix d'un design: par calque s'il en a, sinon selon les faces de l'ancien format
+const priceDesign = (grid, design = {}) => (design.layers?.length
+  ? computeLayersPrice(grid, design.layers)
+  : computeCustomizationPrice(grid, selectionsFromCustomization(design)));
+
+// Composantes du prix unitaire d'un design par type (paliers de quantité par type de personnalisation)
+const priceParts = ({ customizationPrice, details }) => {
+  if (details.layers) return details.layers.map(({ type, price }) => ({ type, unitPrice: price }));
+  if (details.combo?.applied) return [{ type: 'combo', unitPrice: customizationPrice }];
+  return [
+    { type: 'text', unitPrice: details.textPrice },
+    { type: 'image', unitPrice: details.imagePrice }
+  ].filter(part => part.unitPrice > 0);
+};
+
+const sidesOf = (position) => {
+  const p = (position || '').toString().toLowerCase();
+  if (p === 'both') return { front: true, back: true };
+  if (p === 'back') return { front: false, back: true };
+  return { front: true, back: false };
+};
+
+// Déduire les faces personnalisées d'une personnalisation de ligne de commande
+// ({ text: { content, position }, image: { url, position } }) ou d'un document Customization ({ side })
+const selectionsFromCustomization = (customization = {}) => {
+  const text = customization.text;
+  const image = customization.image;
+  const hasText = Boolean(text && (text.content || text.side || text.position));
+  const hasImage = Boolean(image && (image.url || image.dataUrl || image.side || image.position));
+  const textSides = hasText ? sidesOf(text.position || text.side) : {};
+  const imageSides = hasImage ? sidesOf(image.position || image.side) : {};
+  return {
+    textFront: Boolean(textSides.front),
+    textBack: Boolean(textSides.back),
+    imageFront: Boolean(imageSides.front),
+    imageBack: Boolean(imageSides.back)
+  };
+};
+
+const colorNameOf = (color) => (color && typeof color === 'object' ? color.name : color) || '';
+
+// Retrouver la variante d'un produit (taille + nom de couleur, matière optionnelle)
+const findVariant = (product, variant = {}) => {
+  const colorName = colorNameOf(variant.color).toLowerCase();
+  return (product.variants || []).find(v =>
+    v.size === variant.size &&
+    (!colorName || (v.color?.name || '').toLowerCase() === colorName) &&
+    (!variant.material || v.material === variant.material)
+  );
+};
+
+// Prix unitaire de l'article (prix effectif + modificateur de variante)
+const unitPriceFor = (product, variant) => round2((product.effectivePrice || 0) + (variant?.priceModifier || 0));
+
+// Totaux de commande: la même formule sert à la création et au hook de sauvegarde.
+// Chaque ligne est taxée à son propre taux (item.tax.rate) s'il est connu, sinon à taxRate;
+// la remise est répartie au prorata des lignes, le reliquat éventuel sur la livraison.
+const computeOrderTotals = ({
+  items = [],
+  shippingCost = 0,
+  discountAmount = 0,
+  taxRate = DEFAULT_TAX_RATE,
+  shippingTaxRate = taxRate
+} = {}) => {
+  const subtotal = round2(items.reduce((total, item) => total + (item.unitPrice * item.quantity), 0));
+  const customizationTotal = round2(items.reduce((total, item) => total + (item.customization?.totalCustomizationPrice || 0), 0));
+
+  const goodsTotal = subtotal + customizationTotal;
+  const goodsDiscount = Math.min(discountAmount || 0, goodsTotal);
+  const shippingTaxable = Math.max(0, (shippingCost || 0) - ((discountAmount || 0) - goodsDiscount));
+
+  const taxLines = items.map(item => {
+    const lineAmount = item.unitPrice * item.quantity + (item.customization?.totalCustomizationPrice || 0);
+    const share = goodsTotal > 0 ? goodsDiscount * (lineAmount / goodsTotal) : 0;
+    const rate = item.tax?.rate ?? taxRate;
+    const taxable = Math.max(0, lineAmount - share);
+    return { rate, taxable: round2(taxable), amount: round2(taxable * rate) };
+  });
+  const shippingTax = { rate: shippingTaxRate, taxable: round2(shippingTaxable), amount: round2(shippingTaxable * shippingTaxRate) };
+
+  // Ventilation par taux: la TVA est arrondie par taux, pas par ligne
+  const byRate = new Map();
+  for (const line of [...taxLines, shippingTax]) {
+    if (line.taxable <= 0) continue;
+    byRate.set(line.rate, (byRate.get(line.rate) || 0) + line.taxable);
+  }
+  const breakdown = [...byRate.entries()]
+    .sort(([a], [b]) => b - a)
+    .map(([rate, taxable]) => ({ rate, taxableAmount: round2(taxable), amount: round2(taxable * rate) }));
+
+  const taxableAmount = Math.max(0, goodsTotal + (shippingCost || 0) - (discountAmount || 0));
+  const taxAmount = round2(breakdown.reduce((total, entry) => total + entry.amount, 0));
+
+  return {
+    subtotal,
+    customizationTotal,
+    taxAmount,
+    total: round2(taxableAmount + taxAmount),
+    taxLines,
+    shippingTax,
+    breakdown
+  };
+};
+
+// Erreur de tarification d'une ligne (produit ou variante indisponible, stock insuffisant)
+class PricingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PricingError';
+    this.status = status;
+  }
+}
+
+// Produit actif d'une ligne de commande
+const findOrderProduct = async (productId) => {
+  const product = await Product.findById(productId);
+  if (!product || product.status !== 'active') {
+    throw new PricingError(`Produit non disponible: ${productId}`);
+  }
+  return product;
+};
+
+// Variante demandée, avec le stock suffisant pour la quantité
+const findOrderVariant = (product, requested, quantity) => {
+  const variant = findVariant(product, requested);
+  if (!variant) {
+    throw new PricingError(`Variante non disponible pour le produit: ${product.name}`);
+  }
+  if (variant.stock < quantity) {
+    throw new PricingError(`Stock insuffisant pour: ${product.name} (${variant.size}, ${variant.color?.name})`);
+  }
+  return variant;
+};
+
+// Seuls les designs du client peuvent être commandés (même portée que findOwnedCustomization;
+// les designs anonymes sont rattachés au compte à la connexion)
+const findOrderDesign = async (customizationId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(customizationId)) {
+    throw new PricingError(`Identifiant de personnalisation invalide: ${customizationId}`);
+  }
+  const design = userId
+    ? await Customization.findOne({ _id: customizationId, user: userId, deletedAt: null })
+    : null;
+  if (!design) {
+    throw new PricingError(`Personnalisation introuvable: ${customizationId}`);
+  }
+  return design;
+};
+
+// Image d'une ligne de commande: mise en page du client, fichier du design enregistré
+const orderItemImage = (image, design) => {
+  const { url, publicId, storage, dataUrl, ...placement } = image;
+  return design?.image?.url ? { ...placement, url: design.image.url } : placement;
+};
+
+const variantFields = (variant) => ({
+  variant: {
+    size: variant.size,
+    color: { name: variant.color?.name, hex: variant.color?.hex },
+    material: variant.material
+  },
+  variantId: variant._id
+});
+
+// Marquages individuels (nom, numéro) d'une commande en série: imprimés au dos,
+// un texte par pièce marquée au tarif text/back, remisé selon les paliers du texte
+const PERSONALIZATION_SIDE = 'back';
+
+// Grille tailles × quantités (une couleur) et marquages individuels d'une commande en série
+const parseBulkItem = (item) => {
+  const sizes = item.sizes.map(row => ({ size: String(row?.size || '').trim(), quantity: Number(row?.quantity) }));
+  if (!sizes.length || sizes.some(row => !row.size || !Number.isInteger(row.quantity) || row.quantity < 1)) {
+    throw new PricingError('Commande en série: tailles et quantités invalides');
+  }
+  if (new Set(sizes.map(row => row.size)).size !== sizes.length) {
+    throw new PricingError('Commande en série: chaque taille ne peut apparaître qu\'une fois');
+  }
+
+  const personalizations = (Array.isArray(item.personalizations) ? item.personalizations : []).map(entry => ({
+    size: String(entry?.size || '').trim(),
+    name: String(entry?.name ?? '').trim(),
+    number: String(entry?.number ?? '').trim()
+  }));
+  for (const [index, entry] of personalizations.entries()) {
+    if (!entry.name && !entry.number) {
+      throw new PricingError(`Marquage ${index + 1}: nom ou numéro requis`);
+    }
+    if (!sizes.some(row => row.size === entry.size)) {
+      throw new PricingError(`Marquage ${index + 1}: taille ${entry.size || '?'} absente de la commande`);
+    }
+  }
+  for (const row of sizes) {
+    const count = personalizations.filter(entry => entry.size === row.size).length;
+    if (count > row.quantity) {
+      throw new PricingError(`Taille ${row.size}: ${count} marquages pour ${row.quantity} pièce(s)`);
+    }
+  }
+
+  return { sizes, personalizations, totalQuantity: sizes.reduce((total, row) => total + row.quantity, 0) };
+};
+
+// Commande en série d'un design enregistré: { product, customizationId, variant: { color, material },
+// sizes: [{ size, quantity }], personalizations: [{ size, name, number }] }.
+// Stock contrôlé par variante; paliers de quantité appliqués à la quantité totale de la série;
+// une ligne de commande (article de production) par taille, frais de lancement répartis au prorata.
+const priceBulkItem = async (item, { grid, userId }) => {
+  const { sizes, personalizations, totalQuantity } = parseBulkItem(item);
+  if (!item.customizationId || item.customization) {
+    throw new PricingError('Commande en série: le design doit être une personnalisation enregistrée (customizationId)');
+  }
+
+  const product = await findOrderProduct(item.product || item.productId);
+  const design = await findOrderDesign(item.customizationId, userId);
+  const rows = sizes.map(row => ({
+    ...row,
+    variant: findOrderVariant(product, { ...item.variant, size: row.size }, row.quantity)
+  }));
+
+  const scope = { product: product._id, productModel: design.productModel };
+  const rules = await loadQuantityRules(scope);
+  const designParts = priceParts(priceDesign(grid, design));
+  const quotes = rows.map(row => quoteQuantity({
+    parts: [{ type: 'garment', unitPrice: unitPriceFor(product, row.variant) }, ...designParts],
+    quantity: totalQuantity,
+    rules,
+    scope
+  }));
+  const personalization = personalizations.length
+    ? quoteQuantity({ parts: [{ type: 'text', unitPrice: grid.text[PERSONALIZATION_SIDE] }], quantity: totalQuantity, rules, scope }).parts[0]
+    : null;
+
+  const group = crypto.randomBytes(6).toString('hex');
+  const { setupFees } = quotes[0];
+  let remainingFees = setupFees;
+
+  return rows.map((row, index) => {
+    const quote = quotes[index];
+    const unitPrice = quote.parts[0].unitPrice;
+    const feeShare = index === rows.length - 1 ? remainingFees : round2(setupFees * row.quantity / totalQuantity);
+    remainingFees = round2(remainingFees - feeShare);
+    const rowPersonalizations = personalizations
+      .filter(entry => entry.size === row.size)
+      .map(({ name, number }) => ({ ...(name ? { name } : {}), ...(number ? { number } : {}) }));
+    const totalCustomizationPrice = round2(
+      (quote.unitPrice - unitPrice) * row.quantity + (personalization?.unitPrice || 0) * rowPersonalizations.length + feeShare
+    );
+
+    return {
+      product: product._id,
+      ...variantFields(row.variant),
+      quantity: row.quantity,
+      unitPrice,
+      design: design._id,
+      customization: { totalCustomizationPrice },
+      personalizations: rowPersonalizations,
+      bulkOrder: { group, totalQuantity, sizeCount: rows.length },
+      totalPrice: round2(unitPrice * row.quantity + totalCustomizationPrice),
+      bulkPricing: {
+        setupFees: feeShare,
+        savings: round2((quote.savings / totalQuantity) * row.quantity),
+        parts: personalization ? [...quote.parts, { ...personalization, type: 'personalization' }] : quote.parts
+      },
+      status: 'pending'
+    };
+  });
+};
+
+// Tarifer les lignes demandées à partir du catalogue (aucun prix client n'est utilisé)
+const priceOrderItems = async (items = [], { grid, userId } = {}) => {
+  const pricingGrid = grid || await loadCustomizationGrid();
+  const priced = [];
+
+  for (const item of items) {
+    // Commande en série d'un design: développée en une ligne par taille
+    if (Array.isArray(item.sizes)) {
+      priced.push(...await priceBulkItem(item, { grid: pricingGrid, userId }));
+      continue;
+    }
+
+    const product = await findOrderProduct(item.product || item.productId);
+    const quantity = Number(item.quantity) || 1;
+    const variant = findOrderVariant(product, item.variant, quantity);
+
+    // Design enregistré: il fait foi pour les faces tarifées si la ligne n'en décrit pas
+    const design = item.customizationId ? await findOrderDesign(item.customizationId, userId) : null;
+
+    const customization = item.customization || {};
+    const hasInlineCustomization = Boolean(customization.text || customization.image);
+    const designPrice = priceDesign(pricingGrid, design && !hasInlineCustomization ? design : customization);
+
+    // Broderie: prix au nombre de points recalculé ici (les montants envoyés par le client sont ignorés)
+    let embroidery = null;
+    if (customization.embroidery) {
+      const { design: embroideryDesign, stitches, colors, placement } = customization.embroidery;
+      const price = computeEmbroideryPrice(pricingGrid, { stitches, colors, placement }, { product });
+      embroidery = {
+        design: embroideryDesign,
+        stitches: price.details.stitches,
+        colors: Array.isArray(colors) ? colors : [],
+        placement: price.details.placement,
+        unitPrice: price.unitPrice,
+        setupFee: price.setupFee
+      };
+    }
+
+    // Paliers de quantité (produit, modèle du design ou règle globale) et frais de lancement amortis
+    const scope = { product: product._id, productModel: design?.productModel };
+    const quote = quoteQuantity({
+      parts: [
+        { type: 'garment', unitPrice: unitPriceFor(product, variant) },
+        ...priceParts(designPrice),
+        ...(embroidery ? [{ type: 'embroidery', unitPrice: embroidery.unitPrice }] : [])
+      ],
+      quantity,
+      rules: await loadQuantityRules(scope),
+      scope,
+      setupFee: embroidery?.setupFee || 0
+    });
+    const unitPrice = quote.parts[0].unitPrice;
+    const totalCustomizationPrice = round2(quote.total - unitPrice * quantity);
+
+    priced.push({
+      product: product._id,
+      ...variantFields(variant),
+      quantity,
+      unitPrice,
+      ...(design ? { design: design._id } : {}),
+      customization: {
+        ...customization,
+        // Les références d'image envoyées par le client sont ignorées: seule l'image du design enregistré est reprise
+        ...(customization.image ? { image: orderItemImage(customization.image, design) } : {}),
+        ...(embroidery ? { embroidery } : {}),
+        totalCustomizationPrice
+      },
+      totalPrice: quote.total,
+      bulkPricing: { setupFees: quote.setupFees, savings: quote.savings, parts: quote.parts },
+      status: 'pending'
+    });
+  }
+
+  return priced;
+};
+
+module.exports = {
+  DEFAULT_GRID,
+  DEFAULT_TAX_RATE,
+  PricingError,
+  round2,
+  loadCustomizationGrid,
+  computeCustomizationPrice,
+  computeLayersPrice,
+  computeEmbroideryPrice,
+  priceDesign,
+  priceParts,
+  selectionsFromCustomization,
+  findVariant,
+  unitPriceFor,
+  computeOrderTotals,
+  parseBulkItem,
+  priceBulkItem,
+  priceOrderItems
+};
@@ -0,0 +1,118 @@
+// Zones d'impression par défaut, par type de modèle et par face
+// (un ProductModel peut définir les siennes: ProductModel.printAreas).
+// x, y, width, height: rectangle en % de l'image du modèle (repère de l'éditeur)
+// widthCm, heightCm: taille physique maximale imprimée sur le textile
+// Manches: pas de visuel dédié, la zone couvre tout le canevas de la manche dans l'éditeur
+const SLEEVE_AREA = { x: 0, y: 0, width: 100, height: 100, widthCm: 9, heightCm: 12 };
+
+const DEFAULT_PRINT_AREAS = {
+  't-shirt': {
+    front: { x: 30, y: 22, width: 40, height: 50, widthCm: 30, heightCm: 40 },
+    back: { x: 30, y: 18, width: 40, height: 55, widthCm: 30, heightCm: 42 },
+    'left-sleeve': SLEEVE_AREA,
+    'right-sleeve': SLEEVE_AREA
+  },
+  sweat: {
+    front: { x: 31, y: 24, width: 38, height: 42, widthCm: 28, heightCm: 32 },
+    back: { x: 30, y: 20, width: 40, height: 50, widthCm: 30, heightCm: 38 },
+    'left-sleeve': SLEEVE_AREA,
+    'right-sleeve': SLEEVE_AREA
+  },
+  hoodie: {
+    front: { x: 32, y: 30, width: 36, height: 30, widthCm: 26, heightCm: 22 },
+    back: { x: 30, y: 22, width: 40, height: 48, widthCm: 30, heightCm: 36 },
+    'left-sleeve': SLEEVE_AREA,
+    'right-sleeve': SLEEVE_AREA
+  },
+  casquette: {
+    front: { x: 35, y: 30, width: 30, height: 20, widthCm: 10, heightCm: 6 },
+    back: { x: 40, y: 40, width: 20, height: 12, widthCm: 8, heightCm: 4 }
+  },
+  mug: {
+    front: { x: 20, y: 20, width: 60, height: 60, widthCm: 9, heightCm: 8 },
+    back: { x: 20, y: 20, width: 60, height: 60, widthCm: 9, heightCm: 8 }
+  }
+};
+
+// Techniques de marquage autorisées par zone
+const PRINT_TECHNIQUES = ['print', 'embroidery', 'sublimation'];
+
+const DEFAULT_TECHNIQUES = {
+  't-shirt': ['print', 'embroidery'],
+  sweat: ['print', 'embroidery'],
+  hoodie: ['print', 'embroidery'],
+  casquette: ['embroidery', 'print'],
+  mug: ['sublimation']
+};
+
+// Types de l'éditeur / catégories catalogue → type de modèle
+const PRODUCT_TYPE_ALIASES = {
+  't-shirts': 't-shirt',
+  sweats: 'sweat',
+  vestes: 'sweat',
+  hoodies: 'hoodie',
+  casquettes: 'casquette',
+  bonnets: 'casquette',
+  mugs: 'mug',
+  vaisselle: 'mug'
+};
+
+const normalizeProductType = (type) => {
+  const key = (type || '').toString().trim().toLowerCase();
+  if (DEFAULT_PRINT_AREAS[key]) return key;
+  return PRODUCT_TYPE_ALIASES[key] || 't-shirt';
+};
+
+// Zone d'impression d'une face (repli sur le t-shirt pour un type inconnu);
+// null si le produit n'a pas cette face (ex. manche d'un mug)
+const printAreaFor = (type, side = 'front') => {
+  const area = DEFAULT_PRINT_AREAS[normalizeProductType(type)][side];
+  return area ? { side, ...area } : null;
+};
+
+// Zones d'impression d'une face: celles du modèle (printAreas) si elles couvrent la face,
+// sinon la zone par défaut du type de produit ([] si le produit n'a pas cette face)
+const printAreasFor = (side, { productType, printAreas = [] } = {}) => {
+  const areas = (printAreas || []).filter(area => area.side === side);
+  if (areas.length) {
+    return areas.map(area => {
+      const { side: areaSide, name, x, y, width, height, widthCm, heightCm, techniques } = area.toObject?.() ?? area;
+      return { side: areaSide, name, x, y, width, height, widthCm, heightCm, techniques: techniques || [] };
+    });
+  }
+  const fallback = printAreaFor(productType, side);
+  return fallback
+    ? [{ ...fallback, name: side, techniques: DEFAULT_TECHNIQUES[normalizeProductType(productType)] }]
+    : [];
+};
+
+// Rectangle englobant les zones d'une face (fichier d'impression), à l'échelle physique
+// de la zone la plus détaillée (cm par % le plus élevé)
+const boundingArea = (areas) => {
+  if (!areas.length) return null;
+  if (areas.length === 1) return areas[0];
+  const x = Math.min(...areas.map(area => area.x));
+  const y = Math.min(...areas.map(area => area.y));
+  const width = Math.max(...areas.map(area => area.x + area.width)) - x;
+  const height = Math.max(...areas.map(area => area.y + area.height)) - y;
+  const cmPerPercentX = Math.max(...areas.map(area => area.widthCm / area.width));
+  const cmPerPercentY = Math.max(...areas.map(area => area.heightCm / area.height));
+  return {
+    side: areas[0].side,
+    x,
+    y,
+    width,
+    height,
+    widthCm: Math.round(width * cmPerPercentX * 10) / 10,
+    heightCm: Math.round(height * cmPerPercentY * 10) / 10
+  };
+};
+
+module.exports = {
+  DEFAULT_PRINT_AREAS,
+  PRINT_TECHNIQUES,
+  normalizeProductType,
+  printAreaFor,
+  printAreasFor,
+  boundingArea
+};
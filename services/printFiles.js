@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const sharp = require('sharp');
+const archiver = require('archiver');
+const Order = require('../models/Order');
+const Customization = require('../models/Customization');
+const { printAreasFor, boundingArea } = require('./printAreas');
+const { productionTechnique } = require('./production');
+const {
+  DesignRenderError,
+  designFromCustomization,
+  designFromOrderItem,
+  designSides,
+  renderSideSvg
+} = require('./designRender');
+
+// Résolution des fichiers d'impression (PNG / PDF)
+const PRINT_DPI = Number(process.env.PRINT_DPI) || 300;
+
+const PRINT_FORMATS = ['png', 'svg', 'pdf'];
+
+const CONTENT_TYPES = {
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  pdf: 'application/pdf'
+};
+
+const CM_PER_INCH = 2.54;
+const POINTS_PER_CM = 72 / CM_PER_INCH;
+
+// PDF à la taille physique de la zone d'impression, visuel PNG en pleine page
+const pdfFromPng = (png, area) => new Promise((resolve, reject) => {
+  const width = area.widthCm * POINTS_PER_CM;
+  const height = area.heightCm * POINTS_PER_CM;
+  const doc = new PDFDocument({ size: [width, height], margin: 0 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  doc.image(png, 0, 0, { width, height });
+  doc.end();
+});
+
+// Fichier d'impression d'une face: zone(s) d'impression du modèle à PRINT_DPI, fond transparent
+const renderPrintFile = async (design, side, format = 'png') => {
+  if (!PRINT_FORMATS.includes(format)) {
+    throw new DesignRenderError(`Format invalide (${PRINT_FORMATS.join(', ')})`, 400);
+  }
+  if (!designSides(design).includes(side)) {
+    throw new DesignRenderError('Aucun élément à imprimer sur cette face', 404);
+  }
+
+  const area = boundingArea(printAreasFor(side, design));
+  if (!area) {
+    throw new DesignRenderError('Face non imprimable sur ce produit');
+  }
+  const viewport = {
+    ...area,
+    pixelWidth: Math.round((area.widthCm / CM_PER_INCH) * PRINT_DPI),
+    pixelHeight: Math.round((area.heightCm / CM_PER_INCH) * PRINT_DPI)
+  };
+
+  let buffer;
+  if (format === 'svg') {
+    buffer = Buffer.from(await renderSideSvg(design, side, viewport, {
+      widthAttr: `${area.widthCm}cm`,
+      heightAttr: `${area.heightCm}cm`
+    }));
+  } else {
+    const svg = await renderSideSvg(design, side, viewport);
+    const png = await sharp(Buffer.from(svg)).png().withMetadata({ density: PRINT_DPI }).toBuffer();
+    buffer = format === 'png' ? png : await pdfFromPng(png, area);
+  }
+
+  return { buffer, contentType: CONTENT_TYPES[format] };
+};
+
+const withDesign = (query) => query
+  .populate('items.product', 'name category')
+  .populate({ path: 'items.design', populate: { path: 'productModel', select: 'type printAreas' } });
+
+// Ligne de commande à imprimer (avec son design)
+const findOrderItem = async (orderId, itemId) => {
+  const order = mongoose.Types.ObjectId.isValid(orderId) ? await withDesign(Order.findById(orderId)) : null;
+  const item = order?.items.id(itemId);
+  if (!item) {
+    throw new DesignRenderError('Article de commande non trouvé', 404);
+  }
+  return {
+    order,
+    item,
+    design: designFromOrderItem(item),
+    baseName: `${order.orderNumber}-${order.items.indexOf(item) + 1}`
+  };
+};
+
+const findCustomizationDesign = async (customizationId) => {
+  const customization = mongoose.Types.ObjectId.isValid(customizationId)
+    ? await Customization.findById(customizationId).populate('product', 'category').populate('productModel', 'type printAreas')
+    : null;
+  if (!customization) {
+    throw new DesignRenderError('Personnalisation introuvable', 404);
+  }
+  return { customization, design: designFromCustomization(customization), baseName: `design-${customization._id}` };
+};
+
+// Articles d'un lot de production (production.batch)
+const findBatchItems = async (batch) => {
+  const orders = await withDesign(Order.find({ 'items.production.batch': batch }).sort({ createdAt: 1 }));
+  return orders.flatMap(order => order.items
+    .map((item, index) => ({ order, item, index }))
+    .filter(({ item }) => item.production?.batch === batch));
+};
+
+const csvCell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+// Archive ZIP du lot: un dossier par commande, un fichier par face et par format,
+// et un manifeste CSV (les articles en erreur y sont signalés sans bloquer l'export)
+const writeBatchArchive = async (entries, output, { formats = PRINT_FORMATS } = {}) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  archive.on('warning', error => console.error('[PrintFiles] Avertissement archive:', error?.message));
+  archive.pipe(output);
+
+  const manifest = [['commande', 'article', 'produit', 'taille', 'couleur', 'quantite', 'technique', 'face', 'fichiers', 'erreur']];
+  for (const { order, item, index } of entries) {
+    const baseName = `${order.orderNumber}-${index + 1}`;
+    const design = designFromOrderItem(item);
+    const row = [
+      order.orderNumber,
+      index + 1,
+      item.product?.name || item.product,
+      item.variant?.size,
+      item.variant?.color?.name,
+      item.quantity,
+      productionTechnique(item)
+    ];
+    const sides = designSides(design);
+    if (!sides.length) {
+      manifest.push([...row, '', '', 'Aucun élément à imprimer']);
+      continue;
+    }
+
+    for (const side of sides) {
+      const files = [];
+      try {
+        for (const format of formats) {
+          const { buffer } = await renderPrintFile(design, side, format);
+          const name = `${order.orderNumber}/${baseName}-${side}.${format}`;
+          archive.append(buffer, { name });
+          files.push(name);
+        }
+        manifest.push([...row, side, files.join(' '), '']);
+      } catch (error) {
+        if (!(error instanceof DesignRenderError)) throw error;
+        manifest.push([...row, side, files.join(' '), error.message]);
+      }
+    }
+  }
+
+  archive.append(manifest.map(line => line.map(csvCell).join(';')).join('\n'), { name: 'manifest.csv' });
+  await archive.finalize();
+};
+
+module.exports = {
+  PRINT_DPI,
+  PRINT_FORMATS,
+  renderPrintFile,
+  findOrderItem,
+  findCustomizationDesign,
+  findBatchItems,
+  writeBatchArchive
+};
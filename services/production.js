@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { OrderStatusError, assertItemTransition } = require('./orderStatus');
+const { changeOrderStatus } = require('./orderWorkflow');
+
+// Commandes dont les articles peuvent passer en atelier (payées / confirmées)
+const PRODUCTION_ORDER_STATUSES = ['confirmed', 'processing', 'ready'];
+
+const TECHNIQUES = ['embroidery', 'image', 'text', 'none'];
+
+// Technique principale d'un article (la broderie prime, puis l'impression d'image, puis le texte).
+// Le design enregistré (items.design) est pris en compte s'il est peuplé.
+const productionTechnique = (item) => {
+  const customization = item.customization || {};
+  const design = item.design instanceof mongoose.Types.ObjectId ? null : item.design;
+  if (customization.embroidery?.design || customization.embroidery?.stitches) return 'embroidery';
+  const layerTypes = new Set((design?.layers || []).map(layer => layer.type));
+  if (customization.image?.url || design?.image || layerTypes.has('image') || layerTypes.has('shape')) return 'image';
+  if (customization.text?.content || design?.text?.content || layerTypes.has('text')) return 'text';
+  return 'none';
+};
+
+// Vue atelier d'un article
+const productionView = (order, item) => ({
+  orderId: order._id,
+  orderNumber: order.orderNumber,
+  orderStatus: order.status,
+  priority: order.priority,
+  itemId: item._id,
+  product: item.product?._id
+    ? { _id: item.product._id, name: item.product.name, category: item.product.category }
+    : { _id: item.product },
+  variant: item.variant,
+  quantity: item.quantity,
+  technique: productionTechnique(item),
+  design: item.design?._id,
+  artworkWarnings: item.design?.artworkWarnings || [],
+  customization: item.customization,
+  // Série: pièces à marquer individuellement, le reste de la ligne est identique
+  bulkOrder: item.bulkOrder?.group ? item.bulkOrder : undefined,
+  personalizations: item.personalizations || [],
+  plainQuantity: item.quantity - (item.personalizations?.length || 0),
+  status: item.status,
+  production: item.production,
+  orderedAt: order.createdAt
+});
+
+// Articles à produire, regroupés par technique puis par type de produit
+const listProductionItems = async ({ stages = ['pending', 'confirmed', 'in-production'], technique, category, operator } = {}) => {
+  const orders = await Order.find({
+    status: { $in: PRODUCTION_ORDER_STATUSES },
+    'items.status': { $in: stages }
+  })
+    .populate('items.product', 'name category')
+    .populate('items.production.operator', 'firstName lastName')
+    .populate('items.design', 'text.content image.side layers.type artworkWarnings')
+    .sort({ createdAt: 1 });
+
+  const groups = new Map();
+  for (const order of orders) {
+    for (const item of order.items) {
+      if (!stages.includes(item.status)) continue;
+      const view = productionView(order, item);
+      if (technique && view.technique !== technique) continue;
+      if (category && view.product.category !== category) continue;
+      if (operator && String(item.production?.operator?._id || item.production?.operator || '') !== String(operator)) continue;
+
+      const key = `${view.technique}|${view.product.category || 'autre'}`;
+      if (!groups.has(key)) {
+        groups.set(key, { technique: view.technique, category: view.product.category || 'autre', itemCount: 0, quantity: 0, items: [] });
+      }
+      const group = groups.get(key);
+      group.itemCount += 1;
+      group.quantity += item.quantity;
+      group.items.push(view);
+    }
+  }
+
+  return [...groups.values()].sort((a, b) =>
+    (TECHNIQUES.indexOf(a.technique) - TECHNIQUES.indexOf(b.technique)) || a.category.localeCompare(b.category)
+  );
+};
+
+// Vérifier que l'opérateur est un membre actif de l'équipe
+const resolveOperator = async (operatorId) => {
+  if (operatorId === null) return null;
+  if (!mongoose.Types.ObjectId.isValid(operatorId)) {
+    throw new OrderStatusError('ID d\'opérateur invalide', 400);
+  }
+  const operator = await User.findOne({ _id: operatorId, role: { $in: ['admin', 'moderator'] }, isActive: true }).select('_id');
+  if (!operator) {
+    throw new OrderStatusError('Opérateur introuvable ou inactif', 404);
+  }
+  return operator._id;
+};
+
+// Appliquer une étape et/ou une assignation à un article (sans sauvegarder)
+const applyItemChange = (order, item, { status, operator, batch, updatedBy }) => {
+  if (status && status !== item.status) {
+    assertItemTransition(item.status, status);
+    item.status = status;
+    if (status === 'in-production') {
+      item.production.startedAt = new Date();
+      item.production.readyAt = undefined;
+    }
+    if (status === 'ready') {
+      item.production.readyAt = new Date();
+    }
+    order.timeline.push({
+      status: 'production',
+      description: `Article ${item._id}: ${status}`,
+      updatedBy
+    });
+  }
+  if (operator !== undefined) {
+    item.production.operator = operator;
+    item.production.assignedAt = operator ? new Date() : undefined;
+  }
+  if (batch !== undefined) {
+    item.production.batch = batch || undefined;
+  }
+};
+
+// Faire avancer la commande selon l'avancement de ses articles
+const rollOrderForward = async (order, updatedBy = null) => {
+  const active = order.items.filter(item => item.status !== 'cancelled');
+  const started = active.some(item => ['in-production', 'ready'].includes(item.status));
+  const allReady = active.length > 0 && active.every(item => item.status === 'ready');
+
+  if (order.status === 'confirmed' && started) {
+    await changeOrderStatus(order, 'processing', { note: 'Production démarrée', updatedBy });
+  }
+  if (order.status === 'processing' && allReady) {
+    await changeOrderStatus(order, 'ready', { note: 'Tous les articles sont prêts à expédier', updatedBy });
+  }
+  if (order.status === 'ready' && !allReady) {
+    await changeOrderStatus(order, 'processing', { note: 'Article renvoyé en production', updatedBy });
+  }
+  return order;
+};
+
+// Déplacer un ou plusieurs articles: [{ orderId, itemId }] + { status, operatorId, batch }
+const updateProductionItems = async (targets, { status, operatorId, batch, updatedBy = null } = {}) => {
+  if (!status && operatorId === undefined && batch === undefined) {
+    throw new OrderStatusError('Aucune modification demandée (status, operatorId ou batch)', 400);
+  }
+  const operator = operatorId === undefined ? undefined : await resolveOperator(operatorId);
+
+  const byOrder = new Map();
+  for (const { orderId, itemId } of targets) {
+    if (!byOrder.has(String(orderId))) byOrder.set(String(orderId), []);
+    byOrder.get(String(orderId)).push(String(itemId));
+  }
+
+  const updated = [];
+  const errors = [];
+  for (const [orderId, itemIds] of byOrder) {
+    const order = mongoose.Types.ObjectId.isValid(orderId) ? await Order.findById(orderId) : null;
+    if (!order) {
+      itemIds.forEach(itemId => errors.push({ orderId, itemId, message: 'Commande non trouvée' }));
+      continue;
+    }
+    if (!PRODUCTION_ORDER_STATUSES.includes(order.status)) {
+      itemIds.forEach(itemId => errors.push({ orderId, itemId, message: `Commande au statut ${order.status}: production impossible` }));
+      continue;
+    }
+
+    const changed = [];
+    for (const itemId of itemIds) {
+      const item = order.items.id(itemId);
+      if (!item) {
+        errors.push({ orderId, itemId, message: 'Article non trouvé' });
+        continue;
+      }
+      try {
+        applyItemChange(order, item, { status, operator, batch, updatedBy });
+        changed.push(item);
+      } catch (error) {
+        if (!(error instanceof OrderStatusError)) throw error;
+        errors.push({ orderId, itemId, message: error.message });
+      }
+    }
+
+    if (!changed.length) continue;
+    await order.save();
+    await rollOrderForward(order, updatedBy);
+    changed.forEach(item => updated.push({ orderId: order._id, orderStatus: order.status, itemId: item._id, status: item.status, production: item.production }));
+  }
+
+  return { updated, errors };
+};
+
+module.exports = {
+  PRODUCTION_ORDER_STATUSES,
+  TECHNIQUES,
+  productionTechnique,
+  listProductionItems,
+  updateProductionItems
+};
@@ -0,0 +1,69 @@
+const stripe = require('../config/stripe');
+const { refundCapture } = require('../config/paypal');
+
+// Erreur métier de remboursement (message destiné au client de l'API)
+class RefundError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RefundError';
+    this.status = status;
+  }
+}
+
+// Vérifier que le paiement peut être remboursé chez son fournisseur
+const assertProviderRefundable = (order) => {
+  if (order.payment.method === 'card' && !order.payment.paymentIntentId) {
+    throw new RefundError('Aucun paiement Stripe associé à cette commande', 409);
+  }
+  if (order.payment.method === 'paypal' && !order.payment.transactionId) {
+    throw new RefundError('Aucune capture PayPal associée à cette commande', 409);
+  }
+};
+
+// Émettre le remboursement chez le fournisseur correspondant au moyen de paiement
+const issueProviderRefund = async (order, amount, reason) => {
+  const method = order.payment.method;
+  assertProviderRefundable(order);
+
+  if (method === 'card') {
+    const refund = await stripe.refunds.create({
+      payment_intent: order.payment.paymentIntentId,
+      amount: Math.round(amount * 100),
+      reason: 'requested_by_customer',
+      metadata: { orderId: order._id.toString(), reason }
+    });
+    return { provider: 'stripe', refundId: refund.id };
+  }
+
+  if (method === 'paypal') {
+    const refund = await refundCapture(order.payment.transactionId, {
+      amount,
+      currency: order.pricing.currency,
+      note: reason
+    });
+    return { provider: 'paypal', refundId: refund?.id };
+  }
+
+  // Virement / paiement à la livraison: remboursement effectué hors ligne
+  return { provider: 'manual', refundId: null };
+};
+
+// Rembourser intégralement un paiement identifié chez son fournisseur (PaymentIntent Stripe
+// ou capture PayPal), indépendamment du montant de la commande
+const refundFullPayment = async (provider, paymentId, { orderId, note } = {}) => {
+  if (provider === 'stripe') {
+    return stripe.refunds.create({
+      payment_intent: paymentId,
+      reason: 'requested_by_customer',
+      metadata: { orderId: orderId ? orderId.toString() : '', reason: note || '' }
+    });
+  }
+  return refundCapture(paymentId, { note });
+};
+
+module.exports = {
+  RefundError,
+  refundFullPayment,
+  assertProviderRefundable,
+  issueProviderRefund
+};
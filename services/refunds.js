@@ -0,0 +1,178 @@
+const Order = require('../models/Order');
+const { sendEmail, escapeHtml } = require('../config/mailer');
+const { roundCents, recordProviderRefund } = require('./orderPayments');
+const { RefundError, issueProviderRefund } = require('./providerRefunds');
+const { restockOrderItem } = require('./inventory');
+const { nextReturnNumber } = require('./numbering');
+
+const lineAmount = (item) => Number(item.totalPrice) ||
+  (item.unitPrice * item.quantity + (item.customization?.totalCustomizationPrice || 0));
+
+// Valeur TTC payée pour une unité de ligne de commande: la remise de la commande est
+// répartie entre les lignes au prorata de leur montant (comme dans computeOrderTotals)
+const unitRefundValue = (order, item) => {
+  const line = lineAmount(item);
+  const goodsTotal = order.items.reduce((total, orderItem) => total + lineAmount(orderItem), 0);
+  const goodsDiscount = Math.min(order.pricing.discount?.amount || 0, goodsTotal);
+  const share = goodsTotal > 0 ? goodsDiscount * (line / goodsTotal) : 0;
+  const taxRate = item.tax?.rate ?? order.pricing.tax?.rate ?? 0;
+  return (Math.max(0, line - share) / item.quantity) * (1 + taxRate);
+};
+
+// Valider les lignes demandées [{ itemId, quantity }] contre la commande
+const resolveRefundItems = (order, items = []) => {
+  return items.map(({ itemId, quantity }) => {
+    const item = order.items.id(itemId);
+    if (!item) {
+      throw new RefundError(`Article introuvable dans la commande: ${itemId}`);
+    }
+    const remaining = item.quantity - (item.refundedQuantity || 0);
+    const qty = quantity === undefined ? remaining : Number(quantity);
+    if (!Number.isInteger(qty) || qty < 1 || qty > remaining) {
+      throw new RefundError(`Quantité à rembourser invalide pour l'article ${itemId} (max ${remaining})`);
+    }
+    return { item, quantity: qty };
+  });
+};
+
+// Incrémenter atomiquement la quantité remboursée d'une ligne, sans dépasser la quantité commandée
+const reserveRefundQuantity = async (order, { item, quantity }) => {
+  const max = item.quantity - quantity;
+  const result = await Order.updateOne(
+    {
+      _id: order._id,
+      items: {
+        $elemMatch: {
+          _id: item._id,
+          $or: [{ refundedQuantity: { $exists: false } }, { refundedQuantity: { $lte: max } }]
+        }
+      }
+    },
+    { $inc: { 'items.$.refundedQuantity': quantity } }
+  );
+  if (!result.modifiedCount) {
+    throw new RefundError(`Quantité déjà remboursée pour l'article ${item._id}`, 409);
+  }
+};
+
+// Annuler les réservations de quantités (remboursement refusé par le fournisseur)
+const releaseRefundQuantities = async (order, selections) => {
+  for (const { item, quantity } of selections) {
+    await Order.updateOne(
+      { _id: order._id, 'items._id': item._id },
+      { $inc: { 'items.$.refundedQuantity': -quantity } }
+    );
+  }
+};
+
+// Recharger les quantités remboursées enregistrées en base (l'instance ne les modifie jamais)
+const refreshRefundedQuantities = async (order) => {
+  const fresh = await Order.findById(order._id).select('items._id items.refundedQuantity').lean();
+  for (const { _id, refundedQuantity } of fresh?.items || []) {
+    const item = order.items.id(_id);
+    if (item) item.refundedQuantity = refundedQuantity || 0;
+  }
+};
+
+const sendRefundEmail = async (order, amount) => {
+  const email = order.user?.email;
+  if (!email) return;
+
+  const value = `${amount.toFixed(2)} ${order.pricing.currency}`;
+  try {
+    await sendEmail({
+      to: email,
+      subject: `Remboursement de votre commande ${order.orderNumber}`,
+      text: `Bonjour ${order.user.firstName || ''},\n\nUn remboursement de ${value} a été effectué sur votre commande ${order.orderNumber}.\nLe délai d'apparition sur votre compte dépend de votre moyen de paiement.\n\nL'équipe CustomWear`,
+      html: `<p>Bonjour ${escapeHtml(order.user.firstName)},</p><p>Un remboursement de <strong>${value}</strong> a été effectué sur votre commande ${order.orderNumber}.</p><p>Le délai d'apparition sur votre compte dépend de votre moyen de paiement.</p><p>L'équipe CustomWear</p>`
+    });
+    order.communication.emails.push({
+      type: 'refunded',
+      subject: `Remboursement de votre commande ${order.orderNumber}`
+    });
+    await order.save();
+  } catch (mailError) {
+    console.error('[Mailer] Erreur envoi email remboursement:', mailError?.message);
+  }
+};
+
+// Rembourser une commande (montant libre ou calculé depuis les lignes), remettre en stock et notifier
+const refundOrder = async (order, { amount, reason, items = [], restock = true, processedBy = null } = {}) => {
+  if (!['completed', 'partially-refunded'].includes(order.payment.status)) {
+    throw new RefundError('Seules les commandes payées peuvent être remboursées', 409);
+  }
+  if (!reason || !String(reason).trim()) {
+    throw new RefundError('Le motif du remboursement est requis');
+  }
+
+  const selected = resolveRefundItems(order, items);
+  const refundable = roundCents(order.refundableAmount);
+
+  let value;
+  if (amount !== undefined && amount !== null && amount !== '') {
+    value = roundCents(amount);
+  } else if (selected.length) {
+    value = roundCents(selected.reduce((sum, s) => sum + unitRefundValue(order, s.item) * s.quantity, 0));
+    value = Math.min(value, refundable);
+  } else {
+    value = refundable;
+  }
+
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new RefundError('Montant de remboursement invalide');
+  }
+  if (value > refundable) {
+    throw new RefundError(`Le montant dépasse le montant remboursable (${refundable.toFixed(2)})`);
+  }
+
+  // Quantités réservées avant l'émission, enregistrées indépendamment du journal des
+  // remboursements (un webhook peut avoir déjà enregistré le même remboursement)
+  const reserved = [];
+  try {
+    for (const selection of selected) {
+      await reserveRefundQuantity(order, selection);
+      reserved.push(selection);
+    }
+  } catch (error) {
+    await releaseRefundQuantities(order, reserved);
+    throw error;
+  }
+
+  let issued;
+  try {
+    issued = await issueProviderRefund(order, value, reason);
+  } catch (error) {
+    await releaseRefundQuantities(order, reserved);
+    throw error;
+  }
+  const { provider, refundId } = issued;
+
+  const refundItems = [];
+  for (const { item, quantity } of selected) {
+    const restocked = restock ? await restockOrderItem(item, quantity) : false;
+    refundItems.push({ itemId: item._id, quantity, restocked });
+  }
+  // Remboursement d'articles: numéro de retour repris sur l'avoir
+  const returnNumber = refundItems.length ? await nextReturnNumber() : undefined;
+
+  order = await recordProviderRefund(order, {
+    amount: value,
+    refundId,
+    reason,
+    processedBy,
+    provider,
+    items: refundItems,
+    returnNumber
+  });
+  await refreshRefundedQuantities(order);
+
+  await sendRefundEmail(order, value);
+
+  return { order, refund: { amount: value, provider, refundId, returnNumber, items: refundItems } };
+};
+
+module.exports = {
+  RefundError,
+  unitRefundValue,
+  refundOrder
+};
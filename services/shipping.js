@@ -0,0 +1,200 @@
+const ShippingZone = require('../models/ShippingZone');
+const Product = require('../models/Product');
+const { round2 } = require('./pricing');
+
+const SHIPPING_METHODS = ['standard', 'express', 'overnight', 'pickup'];
+
+// Classes de colis par ordre de contrainte: la plus contraignante du panier s'applique
+const CLASS_RANK = ['standard', 'express', 'fragile', 'oversized'];
+
+// Pays par défaut quand la destination n'est pas encore connue (panier)
+const DEFAULT_COUNTRY = (process.env.SHIPPING_DEFAULT_COUNTRY || 'FR').toUpperCase();
+
+// Poids retenu pour un produit sans poids renseigné (grammes)
+const DEFAULT_ITEM_WEIGHT_G = Number(process.env.SHIPPING_DEFAULT_ITEM_WEIGHT_G) || 300;
+
+// Règle historique appliquée tant qu'aucune zone n'est configurée
+const LEGACY_THRESHOLD = 50;
+const LEGACY_COST = 5.99;
+
+// Noms de pays saisis dans les adresses -> codes ISO
+const COUNTRY_CODES = {
+  france: 'FR',
+  belgique: 'BE',
+  belgium: 'BE',
+  suisse: 'CH',
+  switzerland: 'CH',
+  luxembourg: 'LU',
+  monaco: 'MC',
+  allemagne: 'DE',
+  germany: 'DE',
+  espagne: 'ES',
+  spain: 'ES',
+  italie: 'IT',
+  italy: 'IT',
+  'pays-bas': 'NL',
+  netherlands: 'NL',
+  portugal: 'PT',
+  'royaume-uni': 'GB',
+  'united kingdom': 'GB',
+  canada: 'CA',
+  'états-unis': 'US',
+  'etats-unis': 'US',
+  'united states': 'US'
+};
+
+// Erreur de cotation (destination ou méthode non desservie)
+class ShippingError extends Error {
+  constructor(message, status = 422) {
+    super(message);
+    this.name = 'ShippingError';
+    this.status = status;
+  }
+}
+
+const normalizeCountry = (country) => {
+  const value = (country || '').toString().trim();
+  if (!value) return DEFAULT_COUNTRY;
+  if (/^[a-z]{2}$/i.test(value)) return value.toUpperCase();
+  return COUNTRY_CODES[value.toLowerCase()] || value.toUpperCase();
+};
+
+const weightInGrams = (weight) => {
+  if (!weight?.value) return DEFAULT_ITEM_WEIGHT_G;
+  return weight.unit === 'kg' ? weight.value * 1000 : weight.value;
+};
+
+// Caractéristiques du colis à partir des lignes tarifées: poids, classe, sous-total
+// items: [{ product, quantity, unitPrice, customization: { totalCustomizationPrice } }]
+const buildParcel = async (items = []) => {
+  const ids = items.map(item => item.product?._id || item.product);
+  const products = ids.length ? await Product.find({ _id: { $in: ids } }).select('shipping') : [];
+  const productById = new Map(products.map(p => [p._id.toString(), p]));
+
+  let weight = 0;
+  let classRank = 0;
+  let shippableItems = 0;
+  let subtotal = 0;
+
+  for (const item of items) {
+    const quantity = item.quantity || 0;
+    subtotal += (item.unitPrice || 0) * quantity + (item.customization?.totalCustomizationPrice || 0);
+
+    const shipping = productById.get(String(item.product?._id || item.product))?.shipping;
+    // Les produits livrés gratuitement ne pèsent pas dans le tarif
+    if (shipping?.freeShippingEligible) continue;
+
+    shippableItems += quantity;
+    weight += weightInGrams(shipping?.weight) * quantity;
+    classRank = Math.max(classRank, CLASS_RANK.indexOf(shipping?.shippingClass || 'standard'));
+  }
+
+  return {
+    weight: Math.round(weight),
+    shippingClass: CLASS_RANK[classRank],
+    shippableItems,
+    subtotal: round2(subtotal)
+  };
+};
+
+// Zone applicable: préfixe postal le plus long, puis priorité, puis zone « reste du monde »
+const findZone = async (country, postalCode) => {
+  const code = normalizeCountry(country);
+  const postal = (postalCode || '').toString().replace(/\s+/g, '');
+
+  const zones = await ShippingZone.find({
+    isActive: true,
+    $or: [{ countries: code }, { countries: { $size: 0 } }]
+  });
+
+  const candidates = zones
+    .map(zone => {
+      const prefixes = zone.postalPrefixes || [];
+      const matched = prefixes.filter(prefix => postal.startsWith(prefix));
+      if (prefixes.length && !matched.length) return null;
+      return {
+        zone,
+        specificity: (zone.countries.length ? 1000 : 0) + Math.max(0, ...matched.map(p => p.length))
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => (b.specificity - a.specificity) || (b.zone.priority - a.zone.priority));
+
+  return candidates[0]?.zone || null;
+};
+
+// Tarif d'une méthode pour le colis: classe dédiée de préférence, sinon tarif 'all'
+const findRate = (zone, method, parcel) => {
+  const matches = zone.rates.filter(rate =>
+    rate.method === method &&
+    (rate.shippingClass === parcel.shippingClass || rate.shippingClass === 'all') &&
+    parcel.weight >= (rate.minWeight || 0) &&
+    (rate.maxWeight == null || parcel.weight <= rate.maxWeight)
+  );
+  return matches.find(rate => rate.shippingClass === parcel.shippingClass) || matches[0] || null;
+};
+
+const rateCost = (rate, parcel) => {
+  const extraKg = Math.ceil(Math.max(0, parcel.weight - (rate.minWeight || 0)) / 1000);
+  return round2(rate.price + (rate.pricePerKg || 0) * extraKg);
+};
+
+// Options disponibles pour une destination (toutes méthodes confondues)
+const quoteOptions = (zone, parcel) => {
+  if (!zone) {
+    return [{
+      method: 'standard',
+      cost: parcel.subtotal > LEGACY_THRESHOLD ? 0 : LEGACY_COST,
+      estimatedDays: 3,
+      free: parcel.subtotal > LEGACY_THRESHOLD
+    }];
+  }
+
+  const freeByThreshold = zone.freeShippingThreshold != null && parcel.subtotal >= zone.freeShippingThreshold;
+  return SHIPPING_METHODS.map(method => {
+    const rate = findRate(zone, method, parcel);
+    if (!rate) return null;
+    const free = parcel.shippableItems === 0 || (freeByThreshold && rate.freeShippingEligible);
+    return {
+      method,
+      cost: free ? 0 : rateCost(rate, parcel),
+      estimatedDays: rate.estimatedDays,
+      free
+    };
+  }).filter(Boolean);
+};
+
+// Coter la livraison d'un panier ou d'une commande
+const quoteShipping = async ({ items = [], country, postalCode, method } = {}) => {
+  const parcel = await buildParcel(items);
+  const zone = await findZone(country, postalCode);
+  if (!zone && items.length && await ShippingZone.exists({ isActive: true })) {
+    throw new ShippingError('Livraison non disponible pour cette destination');
+  }
+  const options = items.length ? quoteOptions(zone, parcel) : [];
+
+  let selected = null;
+  if (method) {
+    selected = options.find(option => option.method === method) || null;
+    if (!selected && items.length) {
+      throw new ShippingError(`Mode de livraison "${method}" non disponible pour cette destination`);
+    }
+  }
+
+  return {
+    destination: { country: normalizeCountry(country), postalCode: postalCode || null },
+    zone: zone ? { _id: zone._id, name: zone.name, freeShippingThreshold: zone.freeShippingThreshold } : null,
+    parcel,
+    options,
+    selected
+  };
+};
+
+module.exports = {
+  SHIPPING_METHODS,
+  ShippingError,
+  normalizeCountry,
+  buildParcel,
+  findZone,
+  quoteShipping
+};
@@ -0,0 +1,205 @@
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const StockReservation = require('../models/StockReservation');
+
+// Durée de validité d'une réservation non payée (minutes)
+const RESERVATION_TTL_MINUTES = Number(process.env.STOCK_RESERVATION_TTL_MINUTES) || 30;
+
+// Paiements hors ligne (virement, paiement à la livraison): réglés après plusieurs jours,
+// leur réservation n'expire pas et est confirmée avec la commande
+const OFFLINE_PAYMENT_METHODS = ['bank-transfer', 'cash-on-delivery'];
+
+// Durée de réservation selon le moyen de paiement (null = sans expiration)
+const reservationTtlFor = (paymentMethod) => (
+  OFFLINE_PAYMENT_METHODS.includes(paymentMethod) ? null : RESERVATION_TTL_MINUTES
+);
+
+// Erreur de réservation (stock insuffisant au moment de la décrémentation)
+class StockError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'StockError';
+    this.status = status;
+  }
+}
+
+// Décrémenter le stock d'une variante uniquement s'il est suffisant (opération atomique)
+const decrementVariant = async ({ product, variantId, quantity }) => {
+  const result = await Product.updateOne(
+    { _id: product, variants: { $elemMatch: { _id: variantId, stock: { $gte: quantity } } } },
+    { $inc: { 'variants.$.stock': -quantity } }
+  );
+  return result.modifiedCount > 0;
+};
+
+const incrementVariant = ({ product, variantId, quantity }) => Product.updateOne(
+  { _id: product, 'variants._id': variantId },
+  { $inc: { 'variants.$.stock': quantity } }
+);
+
+// Rendre le stock de plusieurs lignes (rollback ou libération)
+const returnStock = async (items) => {
+  for (const item of items) {
+    await incrementVariant(item);
+  }
+};
+
+// Réserver le stock des lignes d'une commande: tout ou rien, avec rollback compensatoire
+const reserveStock = async (orderId, items, { ttlMinutes = RESERVATION_TTL_MINUTES } = {}) => {
+  const lines = items.map(item => ({
+    product: item.product?._id || item.product,
+    variantId: item.variantId,
+    quantity: item.quantity,
+    label: item.label
+  }));
+
+  const decremented = [];
+  for (const line of lines) {
+    if (!line.variantId) {
+      await returnStock(decremented);
+      throw new StockError('Variante inconnue pour un article de la commande', 400);
+    }
+    const ok = await decrementVariant(line);
+    if (!ok) {
+      await returnStock(decremented);
+      throw new StockError(`Stock insuffisant${line.label ? ` pour: ${line.label}` : ''}`);
+    }
+    decremented.push(line);
+  }
+
+  try {
+    return await StockReservation.create({
+      order: orderId,
+      items: lines.map(({ product, variantId, quantity }) => ({ product, variantId, quantity })),
+      expiresAt: ttlMinutes ? new Date(Date.now() + ttlMinutes * 60 * 1000) : null
+    });
+  } catch (err) {
+    await returnStock(decremented);
+    throw err;
+  }
+};
+
+// Confirmer la réservation d'une commande payée ou confirmée (le stock reste décrémenté)
+const commitReservation = async (orderId) => {
+  const reservation = await StockReservation.findOneAndUpdate(
+    { order: orderId, status: 'active' },
+    { $set: { status: 'committed', committedAt: new Date() } },
+    { new: true }
+  );
+  if (reservation) return reservation;
+  return StockReservation.findOne({ order: orderId });
+};
+
+// Prolonger une réservation encore active jusqu'à expiresAt au moins (jamais raccourcie);
+// null si elle a expiré ou n'est plus active
+const extendReservation = (orderId, expiresAt) => StockReservation.findOneAndUpdate(
+  { order: orderId, status: 'active', expiresAt: { $gt: new Date() } },
+  { $max: { expiresAt } },
+  { new: true }
+);
+
+// Paiement reçu après expiration: reprendre le stock de la réservation expirée (tout ou rien)
+// et la confirmer; null si le stock n'est plus disponible
+const reclaimExpiredReservation = async (orderId) => {
+  const reservation = await StockReservation.findOne({ order: orderId, status: 'expired' });
+  if (!reservation) return null;
+
+  const decremented = [];
+  for (const item of reservation.items) {
+    if (!(await decrementVariant(item))) {
+      await returnStock(decremented);
+      return null;
+    }
+    decremented.push(item);
+  }
+
+  const committed = await StockReservation.findOneAndUpdate(
+    { _id: reservation._id, status: 'expired' },
+    { $set: { status: 'committed', committedAt: new Date() }, $unset: { releasedAt: 1, releaseReason: 1 } },
+    { new: true }
+  );
+  if (!committed) {
+    // Repris entre-temps par un traitement concurrent
+    await returnStock(decremented);
+    return StockReservation.findOne({ order: orderId, status: 'committed' });
+  }
+  return committed;
+};
+
+// Lignes de réservation diminuées des quantités déjà remises en stock ([{ variantId, quantity }])
+const withoutReturned = (items, returned = []) => {
+  const remaining = new Map();
+  for (const { variantId, quantity } of returned) {
+    const key = String(variantId);
+    remaining.set(key, (remaining.get(key) || 0) + quantity);
+  }
+  return items
+    .map(item => {
+      const key = String(item.variantId);
+      const deducted = Math.min(item.quantity, remaining.get(key) || 0);
+      remaining.set(key, (remaining.get(key) || 0) - deducted);
+      return { product: item.product, variantId: item.variantId, quantity: item.quantity - deducted };
+    })
+    .filter(item => item.quantity > 0);
+};
+
+// Libérer la réservation (active ou confirmée) et rendre le stock, une seule fois
+// (hors quantités déjà remises en stock, ex. par un remboursement d'articles)
+const releaseReservation = async (orderId, reason = 'Commande annulée', { returned = [] } = {}) => {
+  const reservation = await StockReservation.findOneAndUpdate(
+    { order: orderId, status: { $in: ['active', 'committed'] } },
+    { $set: { status: 'released', releasedAt: new Date(), releaseReason: reason } },
+    { new: true }
+  );
+  if (reservation) {
+    await returnStock(withoutReturned(reservation.items, returned));
+    return { found: true, restocked: true };
+  }
+  const existing = await StockReservation.exists({ order: orderId });
+  return { found: Boolean(existing), restocked: false };
+};
+
+// Expirer les réservations non payées: rendre le stock et annuler les commandes en attente de paiement
+const releaseExpiredReservations = async () => {
+  const expired = await StockReservation.find({ status: 'active', expiresAt: { $lte: new Date() } })
+    .select('_id')
+    .limit(100);
+
+  let released = 0;
+  for (const { _id } of expired) {
+    const reservation = await StockReservation.findOneAndUpdate(
+      { _id, status: 'active' },
+      { $set: { status: 'expired', releasedAt: new Date(), releaseReason: 'Délai de paiement dépassé' } },
+      { new: true }
+    );
+    if (!reservation) continue;
+
+    await returnStock(reservation.items);
+    released += 1;
+
+    const order = await Order.findById(reservation.order);
+    if (order && order.status === 'pending' && ['pending', 'failed'].includes(order.payment.status)) {
+      order.status = 'cancelled';
+      order.timeline.push({
+        status: 'cancelled',
+        description: 'Commande annulée automatiquement: paiement non reçu dans le délai de réservation',
+        automatic: true
+      });
+      await order.save();
+    }
+  }
+  return released;
+};
+
+module.exports = {
+  RESERVATION_TTL_MINUTES,
+  OFFLINE_PAYMENT_METHODS,
+  reservationTtlFor,
+  StockError,
+  reserveStock,
+  commitReservation,
+  extendReservation,
+  reclaimExpiredReservation,
+  releaseReservation,
+  releaseExpiredReservations
+};
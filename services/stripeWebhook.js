@@ -0,0 +1,145 @@
+const stripe = require('../config/stripe');
+const WebhookEvent = require('../models/WebhookEvent');
+const {
+  findOrderForPayment,
+  markOrderPaid,
+  matchesOrderAmount,
+  refundMismatchedPayment,
+  markOrderPaymentFailed,
+  recordProviderRefund
+} = require('./orderPayments');
+
+// Identifiant d'un objet Stripe éventuellement expansé
+const stripeId = (value) => (value && typeof value === 'object' ? value.id : value) || undefined;
+
+const handleCheckoutSessionCompleted = async (session) => {
+  const order = await findOrderForPayment({
+    orderId: session.metadata?.orderId || session.client_reference_id,
+    checkoutSessionId: session.id,
+    paymentIntentId: stripeId(session.payment_intent)
+  });
+  if (!order) return null;
+
+  order.payment.checkoutSessionId = session.id;
+  if (session.payment_intent) {
+    order.payment.paymentIntentId = stripeId(session.payment_intent);
+  }
+
+  if (session.payment_status === 'paid') {
+    if (!matchesOrderAmount(order, session.amount_total, session.currency)) {
+      return refundMismatchedPayment(order, {
+        provider: 'stripe',
+        paymentId: stripeId(session.payment_intent),
+        amount: (session.amount_total || 0) / 100,
+        currency: session.currency
+      });
+    }
+    return markOrderPaid(order, {
+      paymentIntentId: stripeId(session.payment_intent),
+      description: 'Paiement Stripe Checkout confirmé'
+    });
+  }
+  return order.save();
+};
+
+const handlePaymentIntentSucceeded = async (intent) => {
+  const order = await findOrderForPayment({
+    orderId: intent.metadata?.orderId,
+    paymentIntentId: intent.id
+  });
+  if (!order) return null;
+
+  if (!matchesOrderAmount(order, intent.amount_received, intent.currency)) {
+    return refundMismatchedPayment(order, {
+      provider: 'stripe',
+      paymentId: intent.id,
+      amount: (intent.amount_received || 0) / 100,
+      currency: intent.currency
+    });
+  }
+
+  return markOrderPaid(order, {
+    paymentIntentId: intent.id,
+    transactionId: stripeId(intent.latest_charge),
+    description: 'Paiement Stripe confirmé'
+  });
+};
+
+const handlePaymentIntentFailed = async (intent) => {
+  const order = await findOrderForPayment({
+    orderId: intent.metadata?.orderId,
+    paymentIntentId: intent.id
+  });
+  if (!order) return null;
+
+  if (!order.payment.paymentIntentId) {
+    order.payment.paymentIntentId = intent.id;
+  }
+  return markOrderPaymentFailed(order, {
+    reason: intent.last_payment_error?.message
+  });
+};
+
+const handleChargeRefunded = async (charge) => {
+  const order = await findOrderForPayment({
+    orderId: charge.metadata?.orderId,
+    paymentIntentId: stripeId(charge.payment_intent)
+  });
+  if (!order) return null;
+
+  // Chaque remboursement est enregistré sous son identifiant (le même que celui renvoyé à
+  // l'émission par l'API): charge.refunds n'est plus inclus par défaut, la liste est alors demandée
+  const refunds = Array.isArray(charge.refunds?.data)
+    ? charge.refunds.data
+    : (await stripe.refunds.list({ charge: charge.id, limit: 100 })).data;
+
+  for (const refund of [...refunds].reverse()) {
+    if (!['succeeded', 'pending'].includes(refund.status)) continue;
+    await recordProviderRefund(order, {
+      amount: refund.amount / 100,
+      refundId: refund.id,
+      reason: refund.metadata?.reason || 'Remboursement Stripe',
+      provider: 'stripe'
+    });
+  }
+  return order;
+};
+
+const HANDLERS = {
+  'checkout.session.completed': handleCheckoutSessionCompleted,
+  'payment_intent.succeeded': handlePaymentIntentSucceeded,
+  'payment_intent.payment_failed': handlePaymentIntentFailed,
+  'charge.refunded': handleChargeRefunded
+};
+
+// Traiter un événement Stripe vérifié, une seule fois par event.id
+const processStripeEvent = async (event) => {
+  const handler = HANDLERS[event.type];
+  if (!handler) {
+    return { handled: false };
+  }
+
+  const claimed = await WebhookEvent.claim('stripe', event.id, event.type);
+  if (!claimed) {
+    return { handled: false, duplicate: true };
+  }
+
+  try {
+    const order = await handler(event.data.object);
+    if (!order) {
+      // Événement non rattaché: libéré pour qu'un nouvel envoi soit traité une fois la commande connue.
+      // S'il désigne une commande de l'application, un nouvel envoi est demandé (retry)
+      await WebhookEvent.release('stripe', event.id);
+      const object = event.data.object || {};
+      console.warn('[Stripe Webhook] Aucune commande liée à l\'événement', { id: event.id, type: event.type });
+      return { handled: false, retry: Boolean(object.metadata?.orderId || object.client_reference_id) };
+    }
+    await WebhookEvent.attachOrder('stripe', event.id, order._id);
+    return { handled: true, orderId: order._id };
+  } catch (err) {
+    await WebhookEvent.release('stripe', event.id).catch(() => {});
+    throw err;
+  }
+};
+
+module.exports = { processStripeEvent };
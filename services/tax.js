@@ -0,0 +1,168 @@
+const https = require('https');
+const Product = require('../models/Product');
+const { normalizeCountry } = require('./shipping');
+
+// Pays d'établissement du vendeur
+const ORIGIN_COUNTRY = (process.env.TAX_ORIGIN_COUNTRY || 'FR').toUpperCase();
+
+// Taux de TVA de l'UE: normal et réduit (vente à distance B2C taxée au pays de destination)
+const EU_VAT_RATES = {
+  AT: { standard: 0.20, reduced: 0.10 },
+  BE: { standard: 0.21, reduced: 0.06 },
+  BG: { standard: 0.20, reduced: 0.09 },
+  CY: { standard: 0.19, reduced: 0.05 },
+  CZ: { standard: 0.21, reduced: 0.12 },
+  DE: { standard: 0.19, reduced: 0.07 },
+  DK: { standard: 0.25, reduced: 0.25 },
+  EE: { standard: 0.24, reduced: 0.09 },
+  ES: { standard: 0.21, reduced: 0.10 },
+  FI: { standard: 0.255, reduced: 0.14 },
+  FR: { standard: 0.20, reduced: 0.055 },
+  GR: { standard: 0.24, reduced: 0.13 },
+  HR: { standard: 0.25, reduced: 0.13 },
+  HU: { standard: 0.27, reduced: 0.18 },
+  IE: { standard: 0.23, reduced: 0.135 },
+  IT: { standard: 0.22, reduced: 0.10 },
+  LT: { standard: 0.21, reduced: 0.09 },
+  LU: { standard: 0.17, reduced: 0.08 },
+  LV: { standard: 0.21, reduced: 0.12 },
+  MT: { standard: 0.18, reduced: 0.07 },
+  NL: { standard: 0.21, reduced: 0.09 },
+  PL: { standard: 0.23, reduced: 0.08 },
+  PT: { standard: 0.23, reduced: 0.13 },
+  RO: { standard: 0.21, reduced: 0.11 },
+  SE: { standard: 0.25, reduced: 0.12 },
+  SI: { standard: 0.22, reduced: 0.095 },
+  SK: { standard: 0.23, reduced: 0.10 }
+};
+
+// Territoires rattachés au territoire fiscal d'un État membre: Monaco fait partie du territoire
+// de TVA français (numéros FR, vente taxée comme une vente en France)
+const VAT_TERRITORIES = {
+  MC: 'FR'
+};
+
+// Classes fiscales d'un produit (Product.taxClass, gérée depuis l'administration)
+const TAX_CLASSES = ['standard', 'reduced'];
+
+// Format des numéros de TVA intracommunautaire (préfixe pays + identifiant national)
+const VAT_NUMBER_PATTERNS = {
+  AT: /^ATU\d{8}$/,
+  BE: /^BE[01]\d{9}$/,
+  DE: /^DE\d{9}$/,
+  ES: /^ES[0-9A-Z]\d{7}[0-9A-Z]$/,
+  FR: /^FR[0-9A-HJ-NP-Z]{2}\d{9}$/,
+  GR: /^EL\d{9}$/,
+  IE: /^IE\d[0-9A-Z+*]\d{5}[A-Z]{1,2}$/,
+  IT: /^IT\d{11}$/,
+  LU: /^LU\d{8}$/,
+  NL: /^NL\d{9}B\d{2}$/,
+  PL: /^PL\d{10}$/,
+  PT: /^PT\d{9}$/
+};
+
+const normalizeVatNumber = (vatNumber) => (vatNumber || '').toString().replace(/[\s.-]/g, '').toUpperCase();
+
+// Vérification de format (la Grèce utilise le préfixe EL)
+const isValidVatNumber = (vatNumber, country) => {
+  const value = normalizeVatNumber(vatNumber);
+  const code = normalizeCountry(country);
+  const prefix = code === 'GR' ? 'EL' : code;
+  if (!EU_VAT_RATES[code] || !value.startsWith(prefix)) return false;
+  const pattern = VAT_NUMBER_PATTERNS[code] || /^[A-Z]{2}[0-9A-Z]{8,12}$/;
+  return pattern.test(value);
+};
+
+// Interrogation du service VIES de la Commission européenne (activée par VAT_VIES_CHECK=true)
+const checkVies = (vatNumber) => new Promise((resolve) => {
+  const memberState = vatNumber.slice(0, 2);
+  const number = vatNumber.slice(2);
+  const req = https.get(
+    `https://ec.europa.eu/taxation_customs/vies/rest-api/ms/${memberState}/vat/${encodeURIComponent(number)}`,
+    { timeout: 5000 },
+    (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        try {
+          resolve(JSON.parse(data).isValid === true);
+        } catch (_) {
+          resolve(false);
+        }
+      });
+    }
+  );
+  req.on('timeout', () => req.destroy(new Error('VIES timeout')));
+  req.on('error', (err) => {
+    console.warn('[Tax] VIES indisponible:', err?.message);
+    resolve(false);
+  });
+});
+
+// Numéro de TVA valide: format, puis VIES si activé (en cas d'indisponibilité, la TVA est appliquée)
+const verifyVatNumber = async (vatNumber, country) => {
+  if (!isValidVatNumber(vatNumber, country)) return false;
+  if (process.env.VAT_VIES_CHECK !== 'true') return true;
+  return checkVies(normalizeVatNumber(vatNumber));
+};
+
+// Régime fiscal de la vente selon la destination et le numéro de TVA de l'acheteur
+//   domestic: vente dans le pays du vendeur
+//   oss: vente à distance B2C dans l'UE, TVA du pays de destination
+//   reverse-charge: B2B intracommunautaire, autoliquidation par l'acheteur
+//   export: hors UE, exonérée
+const resolveTaxContext = async ({ country, vatNumber } = {}) => {
+  const code = normalizeCountry(country);
+  const territory = VAT_TERRITORIES[code] || code;
+  const normalizedVat = normalizeVatNumber(vatNumber) || null;
+
+  if (territory === ORIGIN_COUNTRY) {
+    return { country: code, regime: 'domestic', reverseCharge: false, vatNumber: normalizedVat, rates: EU_VAT_RATES[territory] };
+  }
+  if (!EU_VAT_RATES[territory]) {
+    return { country: code, regime: 'export', reverseCharge: false, vatNumber: normalizedVat, rates: { standard: 0, reduced: 0 } };
+  }
+  if (normalizedVat && await verifyVatNumber(normalizedVat, territory)) {
+    return { country: code, regime: 'reverse-charge', reverseCharge: true, vatNumber: normalizedVat, rates: { standard: 0, reduced: 0 } };
+  }
+  return { country: code, regime: 'oss', reverseCharge: false, vatNumber: normalizedVat, rates: EU_VAT_RATES[territory] };
+};
+
+const rateFor = (context, taxClass = 'standard') => context.rates?.[taxClass] ?? context.rates?.standard ?? 0;
+
+// Attribuer un taux à chaque ligne (classe fiscale du produit, taux normal par défaut)
+const assignItemTaxRates = async (items, context) => {
+  const ids = items.map(item => item.product?._id || item.product);
+  const products = ids.length ? await Product.find({ _id: { $in: ids } }).select('taxClass') : [];
+  const taxClassById = new Map(products.map(p => [p._id.toString(), p.taxClass]));
+
+  for (const item of items) {
+    const productClass = taxClassById.get(String(item.product?._id || item.product));
+    const taxClass = TAX_CLASSES.includes(productClass) ? productClass : 'standard';
+    item.tax = { ...(item.tax || {}), taxClass, rate: rateFor(context, taxClass) };
+  }
+  return items;
+};
+
+// Bloc pricing.tax d'une commande (la livraison suit le taux normal de la destination)
+const orderTaxFields = (context) => ({
+  rate: rateFor(context, 'standard'),
+  shippingRate: rateFor(context, 'standard'),
+  country: context.country,
+  regime: context.regime,
+  reverseCharge: context.reverseCharge,
+  vatNumber: context.vatNumber || undefined
+});
+
+module.exports = {
+  ORIGIN_COUNTRY,
+  EU_VAT_RATES,
+  VAT_TERRITORIES,
+  TAX_CLASSES,
+  normalizeVatNumber,
+  isValidVatNumber,
+  verifyVatNumber,
+  resolveTaxContext,
+  assignItemTaxRates,
+  orderTaxFields
+};
@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { quoteQuantity, quantityTiers } = require('../services/bulkPricing');
+
+// Règle globale « 10 pièces et plus: -10 % », frais de lancement 30 €
+const globalRule = {
+  _id: 'global',
+  type: 'all',
+  product: null,
+  productModel: null,
+  tiers: [{ minQuantity: 10, discountPercent: 10 }],
+  setupFee: 30
+};
+
+describe('quoteQuantity', () => {
+  it('ne facture pas les frais de lancement sous le premier palier', () => {
+    const quote = quoteQuantity({ parts: [{ type: 'garment', unitPrice: 17 }], quantity: 1, rules: [globalRule] });
+    assert.equal(quote.setupFees, 0);
+    assert.equal(quote.effectiveUnitPrice, 17);
+    assert.equal(quote.total, 17);
+  });
+
+  it('applique la remise du palier et amortit les frais de lancement', () => {
+    const quote = quoteQuantity({ parts: [{ type: 'garment', unitPrice: 17 }], quantity: 10, rules: [globalRule] });
+    assert.equal(quote.unitPrice, 15.3);
+    assert.equal(quote.setupFees, 30);
+    assert.equal(quote.setupFeePerUnit, 3);
+    assert.equal(quote.total, 183);
+    assert.equal(quote.savings, 17);
+  });
+
+  it('retient la règle du produit avant la règle globale', () => {
+    const productRule = { ...globalRule, _id: 'product', product: 'p1', tiers: [{ minQuantity: 5, discountPercent: 20 }], setupFee: 0 };
+    const quote = quoteQuantity({
+      parts: [{ type: 'garment', unitPrice: 10 }],
+      quantity: 5,
+      rules: [globalRule, productRule],
+      scope: { product: 'p1' }
+    });
+    assert.equal(quote.parts[0].discountPercent, 20);
+    assert.equal(quote.total, 40);
+  });
+
+  it('ajoute les frais fixes transmis (programmation broderie)', () => {
+    const quote = quoteQuantity({ parts: [{ type: 'embroidery', unitPrice: 6 }], quantity: 2, setupFee: 25 });
+    assert.equal(quote.setupFees, 25);
+    assert.equal(quote.total, 37);
+  });
+});
+
+describe('quantityTiers', () => {
+  it('chiffre la quantité 1 et chaque seuil de palier', () => {
+    const tiers = quantityTiers({ parts: [{ type: 'garment', unitPrice: 20 }], rules: [{ ...globalRule, setupFee: 0 }] });
+    assert.deepEqual(tiers.map(tier => [tier.minQuantity, tier.total]), [[1, 20], [10, 180]]);
+  });
+
+  it('n\'ajoute les frais de lancement qu\'à partir du palier', () => {
+    const tiers = quantityTiers({ parts: [{ type: 'garment', unitPrice: 17 }], rules: [globalRule] });
+    assert.deepEqual(tiers.map(tier => [tier.minQuantity, tier.total]), [[1, 17], [10, 183]]);
+  });
+});
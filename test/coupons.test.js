@@ -0,0 +1,84 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Order = require('../models/Order');
+const { CouponError, evaluateCoupon, redeemOrderCoupon } = require('../services/coupons');
+
+const coupon = (fields = {}) => new Coupon({ code: 'BIENVENUE', type: 'percentage', value: 10, ...fields });
+const item = (unitPrice, quantity = 1) => ({ product: new mongoose.Types.ObjectId(), unitPrice, quantity });
+
+describe('evaluateCoupon', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('calcule la remise, plafonnée au montant maximal', async () => {
+    mock.method(Coupon, 'findOne', async () => coupon({ maxDiscountAmount: 5 }));
+    const { discount } = await evaluateCoupon('bienvenue', { items: [item(20, 2), item(30)] });
+    assert.equal(discount.code, 'BIENVENUE');
+    assert.equal(discount.amount, 5);
+  });
+
+  it('offre la livraison sans remise sur les articles', async () => {
+    mock.method(Coupon, 'findOne', async () => coupon({ type: 'free-shipping', value: 0 }));
+    const applied = await evaluateCoupon('LIVRAISON', { items: [item(20)], shippingCost: 4.9 });
+    assert.equal(applied.freeShipping, true);
+    assert.equal(applied.shippingCost, 0);
+    assert.equal(applied.discount.amount, 0);
+  });
+
+  it('refuse un code expiré, sous le minimum ou épuisé', async () => {
+    const cases = [
+      coupon({ endsAt: new Date(Date.now() - 1000) }),
+      coupon({ minOrderAmount: 50 }),
+      coupon({ usageLimit: 3, usedCount: 3 })
+    ];
+    for (const refused of cases) {
+      mock.method(Coupon, 'findOne', async () => refused);
+      await assert.rejects(evaluateCoupon('BIENVENUE', { items: [item(20)] }), CouponError);
+      mock.restoreAll();
+    }
+  });
+
+  it('refuse un client ayant atteint sa limite d\'utilisation', async () => {
+    mock.method(Coupon, 'findOne', async () => coupon({ usageLimitPerUser: 1 }));
+    mock.method(CouponRedemption, 'countDocuments', async () => 1);
+    await assert.rejects(
+      evaluateCoupon('BIENVENUE', { items: [item(20)], userId: new mongoose.Types.ObjectId() }),
+      (error) => error instanceof CouponError && error.status === 409
+    );
+  });
+});
+
+describe('redeemOrderCoupon', () => {
+  afterEach(() => mock.restoreAll());
+
+  const paidOrder = (couponId) => new Order({
+    orderNumber: 'CW1',
+    user: new mongoose.Types.ObjectId(),
+    pricing: { subtotal: 40, total: 36, discount: { code: 'BIENVENUE', coupon: couponId, amount: 4 } }
+  });
+
+  it('compte une seule fois l\'utilisation d\'une commande', async () => {
+    const redeemed = coupon();
+    const order = paidOrder(redeemed._id);
+    mock.method(CouponRedemption, 'record', async () => null);
+    const increment = mock.method(Coupon, 'findOneAndUpdate', async () => redeemed);
+
+    assert.deepEqual(await redeemOrderCoupon(order), { redeemed: true });
+    assert.equal(increment.mock.callCount(), 0);
+    assert.ok(order.pricing.discount.redeemedAt);
+  });
+
+  it('signale une utilisation payée au-delà de la limite', async () => {
+    const exhausted = coupon({ usageLimit: 1, usedCount: 2 });
+    const order = paidOrder(exhausted._id);
+    mock.method(CouponRedemption, 'record', async (doc) => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+    mock.method(Coupon, 'findOneAndUpdate', async () => exhausted);
+    const flag = mock.method(CouponRedemption, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    await redeemOrderCoupon(order);
+    assert.deepEqual(flag.mock.calls[0].arguments[1], { $set: { overLimit: true } });
+    assert.equal(order.timeline.at(-1).status, 'coupon-warning');
+  });
+});
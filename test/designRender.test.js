@@ -0,0 +1,16 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DesignRenderError, readImageSource } = require('../services/designRender');
+
+describe('readImageSource', () => {
+  it('refuse les URL hors du stockage d\'images', async () => {
+    for (const source of ['http://127.0.0.1:27017/', 'https://example.com/logo.png', 'file:///etc/passwd']) {
+      await assert.rejects(readImageSource(source), DesignRenderError);
+    }
+  });
+
+  it('décode les data URL', async () => {
+    const buffer = await readImageSource(`data:image/png;base64,${Buffer.from('png').toString('base64')}`);
+    assert.equal(buffer.toString(), 'png');
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { previewPath, verifyPreviewSignature } = require('../services/mockupPreview');
+
+const ID = '64b7f0c2a1b2c3d4e5f60718';
+const params = (path) => Object.fromEntries(new URL(path, 'http://api').searchParams);
+
+describe('previewPath / verifyPreviewSignature', () => {
+  const secret = process.env.JWT_SECRET;
+  afterEach(() => {
+    if (secret === undefined) delete process.env.JWT_SECRET;
+    else process.env.JWT_SECRET = secret;
+  });
+
+  it('signe une URL valable pour la personnalisation et la face', () => {
+    process.env.JWT_SECRET = 'secret-de-test';
+    const { exp, sig } = params(previewPath(ID, 'back'));
+    assert.ok(Number(exp) * 1000 > Date.now());
+    assert.equal(verifyPreviewSignature(ID, 'back', exp, sig), true);
+    assert.equal(verifyPreviewSignature(ID, 'front', exp, sig), false);
+    assert.equal(verifyPreviewSignature(ID, 'back', Number(exp) + 86400, sig), false);
+  });
+
+  it('refuse une URL expirée', () => {
+    process.env.JWT_SECRET = 'secret-de-test';
+    const { sig } = params(previewPath(ID, 'front'));
+    assert.equal(verifyPreviewSignature(ID, 'front', Math.floor(Date.now() / 1000) - 1, sig), false);
+  });
+
+  it('ne signe ni ne vérifie sans secret', () => {
+    process.env.JWT_SECRET = 'secret-de-test';
+    const { exp, sig } = params(previewPath(ID, 'front'));
+    delete process.env.JWT_SECRET;
+    assert.equal(previewPath(ID, 'front'), `/api/customizations/${ID}/preview/front.jpg`);
+    assert.equal(verifyPreviewSignature(ID, 'front', exp, sig), false);
+  });
+});
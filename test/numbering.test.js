@@ -0,0 +1,59 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+const Invoice = require('../models/Invoice');
+const { assignDocumentNumber } = require('../services/numbering');
+
+// Compteurs et documents en mémoire
+const stubStore = ({ counter, documents }) => {
+  const matches = (doc, filter) => Object.entries(filter).every(([field, value]) => (
+    field === '_id' ? doc._id.equals(value) : doc[field] === value
+  ));
+  mock.method(Counter, 'findById', () => ({ lean: async () => counter && { ...counter, pending: counter.pending && { ...counter.pending } } }));
+  mock.method(Counter, 'updateOne', async (filter, { $set }) => {
+    if (counter.seq !== filter.seq) return { modifiedCount: 0 };
+    Object.assign(counter, $set);
+    return { modifiedCount: 1 };
+  });
+  mock.method(Invoice, 'updateOne', async (filter, { $set }) => {
+    const doc = documents.find(d => matches(d, filter));
+    if (doc) Object.assign(doc, $set);
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+  mock.method(Invoice, 'exists', async ({ _id }) => documents.some(d => d._id.equals(_id) && typeof d.number === 'string'));
+  mock.method(Invoice, 'findById', async (id) => documents.find(d => d._id.equals(id)));
+};
+
+const invoice = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  type: 'invoice',
+  number: null,
+  issuedAt: new Date(2026, 9, 19)
+});
+
+describe('assignDocumentNumber', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('termine la numérotation interrompue avant de réserver la valeur suivante', async () => {
+    const [interrupted, next] = [invoice(), invoice()];
+    const counter = { _id: 'invoice:2026', seq: 1, pending: { owner: interrupted._id, seq: 1 } };
+    stubStore({ counter, documents: [interrupted, next] });
+
+    const numbered = await assignDocumentNumber(next);
+    assert.equal(interrupted.number, 'FA-2026-000001');
+    assert.equal(numbered.number, 'FA-2026-000002');
+    assert.equal(counter.seq, 2);
+  });
+
+  it('attribue la même valeur à des numérotations répétées du même document', async () => {
+    const document = invoice();
+    const counter = { _id: 'invoice:2026', seq: 41 };
+    stubStore({ counter, documents: [document] });
+
+    await Promise.all([assignDocumentNumber(document), assignDocumentNumber(document)]);
+    await assignDocumentNumber(document);
+    assert.equal(document.number, 'FA-2026-000042');
+    assert.equal(counter.seq, 42);
+  });
+});
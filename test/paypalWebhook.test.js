@@ -0,0 +1,62 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Order = require('../models/Order');
+const WebhookEvent = require('../models/WebhookEvent');
+const { InvoiceError } = require('../services/invoices');
+const { processPayPalEvent } = require('../services/paypalWebhook');
+
+describe('processPayPalEvent', () => {
+  afterEach(() => mock.restoreAll());
+
+  const paidOrder = () => new Order({
+    orderNumber: 'CW1',
+    user: new mongoose.Types.ObjectId(),
+    pricing: { subtotal: 40, total: 48 },
+    payment: { method: 'paypal', status: 'completed', transactionId: 'CAP1' }
+  });
+
+  const stubStore = (order) => {
+    const claimed = new Set();
+    mock.method(WebhookEvent, 'claim', async (provider, key) => !claimed.has(key) && Boolean(claimed.add(key)));
+    mock.method(WebhookEvent, 'attachOrder', async () => {});
+    mock.method(Order, 'findOne', async () => order);
+    mock.method(Order.prototype, 'save', async function() { return this; });
+    mock.method(Invoice, 'findOne', async () => { throw new InvoiceError('Facture indisponible'); });
+  };
+
+  const resolvedDispute = {
+    id: 'WH-1',
+    event_type: 'CUSTOMER.DISPUTE.RESOLVED',
+    resource: {
+      dispute_id: 'PP-D-1',
+      status: 'RESOLVED',
+      dispute_amount: { value: '48.00', currency_code: 'EUR' },
+      dispute_outcome: { outcome_code: 'RESOLVED_BUYER_FAVOUR' },
+      disputed_transactions: [{ seller_transaction_id: 'CAP1' }]
+    }
+  };
+  const reversal = {
+    id: 'WH-2',
+    event_type: 'PAYMENT.CAPTURE.REVERSED',
+    resource: {
+      id: 'REV1',
+      amount: { value: '48.00', currency_code: 'EUR' },
+      links: [{ rel: 'up', href: 'https://api.paypal.com/v2/payments/captures/CAP1' }]
+    }
+  };
+
+  it('ne compte qu\'une fois le litige tranché et l\'annulation de la même capture', async () => {
+    for (const events of [[resolvedDispute, reversal], [reversal, resolvedDispute]]) {
+      const order = paidOrder();
+      stubStore(order);
+      for (const event of events) {
+        await processPayPalEvent(event);
+      }
+      assert.deepEqual(order.payment.refunds.map(r => [r.refundId, r.amount]), [['reversal:CAP1', 48]]);
+      assert.equal(order.payment.disputes[0].outcome, 'RESOLVED_BUYER_FAVOUR');
+      mock.restoreAll();
+    }
+  });
+});
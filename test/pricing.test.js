@@ -0,0 +1,184 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Customization = require('../models/Customization');
+const QuantityPricing = require('../models/QuantityPricing');
+const {
+  DEFAULT_GRID,
+  PricingError,
+  computeEmbroideryPrice,
+  computeOrderTotals,
+  parseBulkItem,
+  priceBulkItem,
+  priceOrderItems
+} = require('../services/pricing');
+
+describe('computeOrderTotals', () => {
+  it('additionne articles, personnalisation et livraison, remise déduite avant la TVA', () => {
+    const totals = computeOrderTotals({
+      items: [
+        { unitPrice: 10, quantity: 2, customization: { totalCustomizationPrice: 5 } },
+        { unitPrice: 10, quantity: 1 }
+      ],
+      shippingCost: 5,
+      discountAmount: 7,
+      taxRate: 0.2
+    });
+    assert.equal(totals.subtotal, 30);
+    assert.equal(totals.customizationTotal, 5);
+    assert.equal(totals.taxAmount, 6.6);
+    assert.equal(totals.total, 39.6);
+  });
+
+  it('ne descend pas sous zéro si la remise dépasse le montant', () => {
+    const totals = computeOrderTotals({ items: [{ unitPrice: 10, quantity: 1 }], discountAmount: 15, taxRate: 0.2 });
+    assert.equal(totals.taxAmount, 0);
+    assert.equal(totals.total, 0);
+  });
+
+  it('taxe chaque ligne à son taux et répartit la remise au prorata', () => {
+    const totals = computeOrderTotals({
+      items: [
+        { unitPrice: 10, quantity: 2, customization: { totalCustomizationPrice: 5 }, tax: { rate: 0.2 } },
+        { unitPrice: 10, quantity: 1, tax: { rate: 0.055 } }
+      ],
+      shippingCost: 5,
+      discountAmount: 7,
+      taxRate: 0.2
+    });
+    assert.deepEqual(totals.breakdown, [
+      { rate: 0.2, taxableAmount: 25, amount: 5 },
+      { rate: 0.055, taxableAmount: 8, amount: 0.44 }
+    ]);
+    assert.equal(totals.taxAmount, 5.44);
+    assert.equal(totals.total, 38.44);
+  });
+
+  it('reporte sur la livraison la remise qui dépasse les articles', () => {
+    const totals = computeOrderTotals({
+      items: [{ unitPrice: 10, quantity: 1 }],
+      shippingCost: 5,
+      discountAmount: 12,
+      taxRate: 0.2
+    });
+    assert.equal(totals.shippingTax.taxable, 3);
+    assert.equal(totals.taxAmount, 0.6);
+    assert.equal(totals.total, 3.6);
+  });
+});
+
+describe('computeEmbroideryPrice', () => {
+  it('applique le palier de points et les frais de programmation', () => {
+    const price = computeEmbroideryPrice(DEFAULT_GRID, { stitches: 4000, colors: 3 });
+    assert.equal(price.unitPrice, 6);
+    assert.equal(price.setupFee, 25);
+    assert.equal(price.details.tier, 5000);
+  });
+
+  it('facture les points au-delà du dernier palier et les couleurs supplémentaires', () => {
+    const price = computeEmbroideryPrice(DEFAULT_GRID, { stitches: 17500, colors: ['a', 'b', 'c', 'd', 'e'] });
+    assert.equal(price.details.stitchPrice, 14.4);
+    assert.equal(price.details.colorPrice, 1);
+    assert.equal(price.unitPrice, 15.4);
+  });
+
+  it('utilise le tarif au point du produit avec le prix plancher de la grille', () => {
+    const product = { customization: { options: { embroidery: { enabled: true, basePrice: 0, pricePerStitch: 0.0002 } } } };
+    const price = computeEmbroideryPrice(DEFAULT_GRID, { stitches: 1000 }, { product });
+    assert.equal(price.details.pricing, 'product');
+    assert.equal(price.details.minimumApplied, true);
+    assert.equal(price.unitPrice, 5);
+  });
+
+  it('refuse un nombre de points invalide ou excessif', () => {
+    assert.throws(() => computeEmbroideryPrice(DEFAULT_GRID, { stitches: 0 }), PricingError);
+    assert.throws(() => computeEmbroideryPrice(DEFAULT_GRID, { stitches: 50001 }), PricingError);
+  });
+});
+
+describe('priceBulkItem', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const designId = new mongoose.Types.ObjectId();
+  const product = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'T-shirt',
+    status: 'active',
+    effectivePrice: 17,
+    variants: [
+      { _id: new mongoose.Types.ObjectId(), size: 'M', color: { name: 'Noir' }, stock: 20 },
+      { _id: new mongoose.Types.ObjectId(), size: 'L', color: { name: 'Noir' }, stock: 20 }
+    ]
+  };
+  const rules = [{
+    _id: 'global',
+    type: 'all',
+    product: null,
+    productModel: null,
+    tiers: [{ minQuantity: 10, discountPercent: 10 }],
+    setupFee: 30
+  }];
+  const item = {
+    product: product._id,
+    customizationId: designId.toString(),
+    variant: { color: 'Noir' },
+    sizes: [{ size: 'M', quantity: 6 }, { size: 'L', quantity: 4 }]
+  };
+
+  const stubCatalog = (design) => {
+    mock.method(Product, 'findById', async () => product);
+    mock.method(Customization, 'findOne', async () => design);
+    mock.method(QuantityPricing, 'find', () => ({ lean: async () => rules }));
+  };
+
+  afterEach(() => mock.restoreAll());
+
+  it('remise la série sur la quantité totale et répartit les frais de lancement par taille', async () => {
+    stubCatalog({ _id: designId, user: userId, productModel: null, layers: [{ type: 'text', side: 'front' }] });
+    const lines = await priceBulkItem(item, { grid: DEFAULT_GRID, userId });
+
+    assert.deepEqual(lines.map(line => [line.variant.size, line.quantity, line.unitPrice]), [['M', 6, 15.3], ['L', 4, 15.3]]);
+    assert.deepEqual(lines.map(line => line.bulkPricing.setupFees), [18, 12]);
+    assert.deepEqual(lines.map(line => line.totalPrice), [136.8, 91.2]);
+    assert.equal(lines[0].bulkOrder.group, lines[1].bulkOrder.group);
+  });
+
+  it('refuse le design d\'un autre client', async () => {
+    stubCatalog(null);
+    await assert.rejects(priceBulkItem(item, { grid: DEFAULT_GRID, userId }), PricingError);
+  });
+
+  it('refuse plus de marquages que de pièces pour une taille', () => {
+    assert.throws(() => parseBulkItem({
+      sizes: [{ size: 'M', quantity: 1 }],
+      personalizations: [{ size: 'M', name: 'A' }, { size: 'M', number: '9' }]
+    }), PricingError);
+  });
+});
+
+describe('priceOrderItems', () => {
+  const product = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'T-shirt',
+    status: 'active',
+    effectivePrice: 17,
+    variants: [{ _id: new mongoose.Types.ObjectId(), size: 'M', color: { name: 'Noir' }, stock: 20 }]
+  };
+
+  afterEach(() => mock.restoreAll());
+
+  it('ignore l\'URL d\'image envoyée par le client', async () => {
+    mock.method(Product, 'findById', async () => product);
+    mock.method(QuantityPricing, 'find', () => ({ lean: async () => [] }));
+    const [line] = await priceOrderItems([{
+      product: product._id,
+      quantity: 1,
+      variant: { size: 'M', color: 'Noir' },
+      customization: { image: { url: 'http://169.254.169.254/latest/meta-data', position: 'front' } }
+    }], { grid: DEFAULT_GRID });
+
+    assert.equal(line.customization.image.url, undefined);
+    assert.equal(line.customization.image.position, 'front');
+    assert.ok(line.customization.totalCustomizationPrice > 0);
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Order = require('../models/Order');
+const WebhookEvent = require('../models/WebhookEvent');
+const { recordProviderRefund } = require('../services/orderPayments');
+const { variantFilter } = require('../services/inventory');
+const { unitRefundValue } = require('../services/refunds');
+
+const cents = (value) => Math.round(value * 100) / 100;
+
+describe('unitRefundValue', () => {
+  const order = (discountAmount) => ({
+    items: [
+      { unitPrice: 20, quantity: 2, totalPrice: 40, tax: { rate: 0.2 } },
+      { unitPrice: 10, quantity: 1, customization: { totalCustomizationPrice: 10 }, tax: { rate: 0.055 } }
+    ],
+    pricing: { tax: { rate: 0.2 }, discount: { amount: discountAmount } }
+  });
+
+  it('rembourse le prix TTC de l\'unité sans remise', () => {
+    const o = order(0);
+    assert.equal(unitRefundValue(o, o.items[0]), 24);
+    assert.equal(cents(unitRefundValue(o, o.items[1])), 21.1);
+  });
+
+  it('répartit la remise de la commande au prorata des lignes', () => {
+    const o = order(12);
+    // 40 / 60 de la remise (8) sur la première ligne, 4 sur la seconde
+    assert.equal(unitRefundValue(o, o.items[0]), 19.2);
+    assert.equal(cents(unitRefundValue(o, o.items[1])), 16.88);
+  });
+
+  it('ne rembourse rien au-delà d\'une remise couvrant les articles', () => {
+    const o = order(100);
+    assert.equal(unitRefundValue(o, o.items[0]), 0);
+  });
+});
+
+describe('variantFilter', () => {
+  it('cible la variante par identifiant, sinon par taille et couleur', () => {
+    const product = new mongoose.Types.ObjectId();
+    const variantId = new mongoose.Types.ObjectId();
+    const variant = { size: 'M', color: { name: 'Noir' } };
+
+    assert.deepEqual(variantFilter({ product, variantId, variant }), { _id: product, 'variants._id': variantId });
+    assert.deepEqual(variantFilter({ product, variant }), {
+      _id: product,
+      variants: { $elemMatch: { size: 'M', 'color.name': 'Noir' } }
+    });
+  });
+});
+
+describe('recordProviderRefund', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('complète le remboursement déjà enregistré par le webhook', async () => {
+    const order = new Order({ orderNumber: 'CW1', user: new mongoose.Types.ObjectId(), pricing: { subtotal: 40, total: 48 } });
+    const recorded = new Order({ _id: order._id, orderNumber: 'CW1', user: order.user, pricing: { subtotal: 40, total: 48 } });
+    const items = [{ itemId: new mongoose.Types.ObjectId(), quantity: 1, restocked: true }];
+    mock.method(WebhookEvent, 'claim', async () => false);
+    mock.method(Invoice, 'findOne', async () => null);
+    const update = mock.method(Order, 'findOneAndUpdate', async () => recorded);
+
+    const result = await recordProviderRefund(order, {
+      amount: 24,
+      refundId: 're_1',
+      provider: 'stripe',
+      items,
+      returnNumber: 'RT2610190001'
+    });
+
+    const [filter, { $set }] = update.mock.calls[0].arguments;
+    assert.equal(filter['payment.refunds.refundId'], 're_1');
+    assert.equal($set['payment.refunds.$.items'], items);
+    assert.equal($set['payment.refunds.$.returnNumber'], 'RT2610190001');
+    assert.equal(result, recorded);
+    assert.equal(order.payment.refunds.length, 0);
+  });
+});
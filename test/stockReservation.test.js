@@ -0,0 +1,73 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const StockReservation = require('../models/StockReservation');
+const {
+  RESERVATION_TTL_MINUTES,
+  StockError,
+  releaseReservation,
+  reservationTtlFor,
+  reserveStock
+} = require('../services/stockReservation');
+
+const line = (quantity) => ({
+  product: new mongoose.Types.ObjectId(),
+  variantId: new mongoose.Types.ObjectId(),
+  quantity
+});
+
+describe('reservationTtlFor', () => {
+  it('limite la réservation des paiements en ligne et pas celle des paiements hors ligne', () => {
+    assert.equal(reservationTtlFor('card'), RESERVATION_TTL_MINUTES);
+    assert.equal(reservationTtlFor('paypal'), RESERVATION_TTL_MINUTES);
+    assert.equal(reservationTtlFor('bank-transfer'), null);
+    assert.equal(reservationTtlFor('cash-on-delivery'), null);
+  });
+});
+
+describe('reserveStock', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('rend le stock déjà décrémenté si une ligne est en rupture', async () => {
+    const updates = [];
+    mock.method(Product, 'updateOne', async (filter, update) => {
+      updates.push(update.$inc['variants.$.stock']);
+      return { modifiedCount: updates.length === 1 ? 1 : 0 };
+    });
+    const create = mock.method(StockReservation, 'create', async (doc) => doc);
+
+    await assert.rejects(reserveStock('order', [line(2), line(3)]), StockError);
+    assert.deepEqual(updates, [-2, -3, 2]);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it('crée une réservation sans expiration pour un paiement hors ligne', async () => {
+    mock.method(Product, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(StockReservation, 'create', async (doc) => doc);
+
+    const online = await reserveStock('order', [line(1)]);
+    const offline = await reserveStock('order', [line(1)], { ttlMinutes: reservationTtlFor('bank-transfer') });
+    assert.ok(online.expiresAt > new Date());
+    assert.equal(offline.expiresAt, null);
+  });
+});
+
+describe('releaseReservation', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('ne rend pas une seconde fois les articles déjà remis en stock', async () => {
+    const [shirt, cap] = [line(3), line(2)];
+    mock.method(StockReservation, 'findOneAndUpdate', async () => ({ items: [shirt, cap] }));
+    const updates = [];
+    mock.method(Product, 'updateOne', async (filter, update) => {
+      updates.push([filter['variants._id'], update.$inc['variants.$.stock']]);
+      return { modifiedCount: 1 };
+    });
+
+    await releaseReservation('order', 'Commande annulée', {
+      returned: [{ variantId: shirt.variantId, quantity: 1 }, { variantId: cap.variantId, quantity: 2 }]
+    });
+    assert.deepEqual(updates, [[shirt.variantId, 2]]);
+  });
+});
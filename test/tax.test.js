@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidVatNumber, resolveTaxContext } = require('../services/tax');
+
+describe('isValidVatNumber', () => {
+  it('vérifie le préfixe et le format du pays', () => {
+    assert.equal(isValidVatNumber('FR 40 303 265 045', 'FR'), true);
+    assert.equal(isValidVatNumber('DE123456789', 'DE'), true);
+    assert.equal(isValidVatNumber('EL123456789', 'GR'), true);
+    assert.equal(isValidVatNumber('DE12345678', 'DE'), false);
+    assert.equal(isValidVatNumber('DE123456789', 'FR'), false);
+    assert.equal(isValidVatNumber('CHE123456789', 'CH'), false);
+  });
+});
+
+describe('resolveTaxContext', () => {
+  it('taxe une vente en France au taux français', async () => {
+    const context = await resolveTaxContext({ country: 'France' });
+    assert.equal(context.regime, 'domestic');
+    assert.deepEqual(context.rates, { standard: 0.20, reduced: 0.055 });
+  });
+
+  it('taxe une vente B2C dans l\'UE au taux du pays de destination', async () => {
+    const context = await resolveTaxContext({ country: 'DE' });
+    assert.equal(context.regime, 'oss');
+    assert.equal(context.rates.standard, 0.19);
+  });
+
+  it('autoliquide une vente B2B intracommunautaire', async () => {
+    const context = await resolveTaxContext({ country: 'DE', vatNumber: 'DE 123456789' });
+    assert.equal(context.regime, 'reverse-charge');
+    assert.equal(context.reverseCharge, true);
+    assert.equal(context.vatNumber, 'DE123456789');
+    assert.equal(context.rates.standard, 0);
+  });
+
+  it('exonère une vente hors UE', async () => {
+    const context = await resolveTaxContext({ country: 'CH' });
+    assert.equal(context.regime, 'export');
+    assert.equal(context.rates.standard, 0);
+  });
+
+  it('taxe une vente à Monaco comme une vente en France, même avec un numéro de TVA', async () => {
+    for (const vatNumber of [undefined, 'FR40303265045']) {
+      const context = await resolveTaxContext({ country: 'MC', vatNumber });
+      assert.equal(context.country, 'MC');
+      assert.equal(context.regime, 'domestic');
+      assert.equal(context.reverseCharge, false);
+      assert.equal(context.rates.standard, 0.20);
+    }
+  });
+});